@@ -2,27 +2,46 @@
 
 /**
  * WebDNA MCP HTTP Server
- * This server exposes the MCP stdin/stdout protocol via HTTP endpoints
- * It acts as a bridge between HTTP clients and the MCP stdin/stdout server
+ * Implements the MCP Streamable HTTP transport on a single /mcp endpoint:
+ * POST carries JSON-RPC messages, GET opens an SSE stream for server
+ * notifications and DELETE terminates the session.
+ * The original /mcp/init, /mcp/list_tools and /mcp/invoke_tool routes are
+ * kept for existing clients.
  */
 
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { spawn } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 
+const { mcp_tools } = require('./src/mcp-tools');
+const { invokeTool } = require('./src/tool-handlers');
+const { createMcpSession, SUPPORTED_PROTOCOL_VERSIONS } = require('./src/mcp-protocol');
+const { ErrorCodes, createErrorResponse, getMessageKind } = require('./src/jsonrpc');
+const { initializeDatabase } = require('./src/database');
+
 // Create Express app
 const app = express();
-app.use(cors());
+// Browser clients need to read the session header
+app.use(cors({ exposedHeaders: ['Mcp-Session-Id'] }));
 app.use(express.json({ limit: '10mb' }));
 
 // Set up port from env or default
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Idle sessions without an open stream are dropped after this many milliseconds
+const SESSION_TTL = parseInt(process.env.MCP_SESSION_TTL || '1800000', 10);
+
+// Browser origins allowed to reach /mcp (comma separated, '*' for any).
+// Requests without an Origin header (non-browser clients) are always allowed.
+const ALLOWED_ORIGINS = (process.env.MCP_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Configure logging
 const LOG_DIR = path.join(__dirname, 'logs');
 if (!fs.existsSync(LOG_DIR)) {
@@ -59,172 +78,138 @@ const log = {
   debug: (message, data) => NODE_ENV === 'development' && logMessage('DEBUG', message, data)
 };
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  log.error(`Unhandled error: ${err.message}`, { stack: err.stack });
-  res.status(500).json({
-    type: 'error',
-    error: {
-      message: 'An unexpected error occurred',
-      code: 'INTERNAL_SERVER_ERROR'
-    }
-  });
-});
+// Active MCP sessions keyed by Mcp-Session-Id
+const sessions = new Map();
 
-// Store child process references
-let mcpProcess = null;
+/**
+ * Create a new MCP session
+ * The session is only registered once its initialize request succeeds.
+ * @returns {Object} - Session record
+ */
+function createSession() {
+  const id = uuidv4();
+  const record = {
+    id,
+    mcp: null,
+    streams: new Set(),
+    lastActivity: Date.now()
+  };
 
-// Start MCP process function
-function startMcpProcess() {
-  if (mcpProcess) {
-    try {
-      mcpProcess.kill();
-    } catch (e) {
-      log.warn('Error killing existing MCP process', e);
-    }
-  }
-  
-  log.info('Starting MCP child process...');
-  
-  // Start the MCP server as a child process
-  mcpProcess = spawn('node', [path.join(__dirname, 'mcp-stdin-server.js')], {
-    stdio: ['pipe', 'pipe', 'pipe'],
-    env: process.env
-  });
-  
-  // Keep track of pending requests with their callbacks
-  const pendingResponses = new Map();
-  
-  // Log process output for debugging
-  mcpProcess.stderr.on('data', (data) => {
-    log.debug(`[MCP stderr]: ${data.toString().trim()}`);
-  });
-  
-  // Handle messages from MCP server
-  mcpProcess.stdout.on('data', (data) => {
-    const lines = data.toString().trim().split('\n');
-    
-    for (const line of lines) {
-      try {
-        const message = JSON.parse(line);
-        log.debug(`Received from MCP:`, message);
-        
-        // Match response to pending request
-        if (message.id && pendingResponses.has(message.id)) {
-          const { res, startTime, timeoutId } = pendingResponses.get(message.id);
-          pendingResponses.delete(message.id);
-          
-          // Clear timeout
-          if (timeoutId) {
-            clearTimeout(timeoutId);
-          }
-          
-          // Log response time
-          const responseTime = Date.now() - startTime;
-          log.info(`Request completed in ${responseTime}ms`);
-          
-          res.json(message);
-        } else if (message.type === 'ready') {
-          // Handle ready message
-          log.info('MCP server is ready');
-        } else if (message.type === 'ping') {
-          // Handle ping (no response needed)
-          log.debug('Received ping from MCP');
-        } else {
-          log.warn(`Unhandled message from MCP:`, message);
-        }
-      } catch (error) {
-        log.error(`Error processing MCP response: ${error.message}`, { line });
+  record.mcp = createMcpSession({
+    log: (message, data) => log.debug(`[session ${id}] ${message}`, data),
+    // Notifications can only be delivered while the client has a GET stream open
+    notify: (message) => {
+      for (const stream of record.streams) {
+        writeSseMessage(stream, message);
       }
     }
   });
-  
-  // Handle process exit
-  mcpProcess.on('exit', (code, signal) => {
-    log.warn(`MCP process exited with code ${code} and signal ${signal}`);
-    
-    // Fail all pending requests
-    for (const [id, { res, timeoutId }] of pendingResponses.entries()) {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
-      
-      res.status(500).json({ 
-        type: 'tool_error',
-        id,
-        error: { 
-          message: 'MCP process terminated unexpectedly' 
-        } 
-      });
-    }
-    
-    pendingResponses.clear();
-    
-    // Restart the process after a delay
-    setTimeout(() => {
-      log.info('Attempting to restart MCP process...');
-      startMcpProcess();
-    }, 5000);
+
+  return record;
+}
+
+/**
+ * Close a session and any SSE streams attached to it
+ * @param {string} id - Session ID
+ */
+function closeSession(id) {
+  const record = sessions.get(id);
+  if (!record) return;
+
+  record.mcp.close();
+
+  for (const stream of record.streams) {
+    stream.end();
+  }
+
+  sessions.delete(id);
+  log.info(`Closed MCP session ${id}`);
+}
+
+/**
+ * Write a JSON-RPC message to an SSE stream
+ * @param {Object} res - Express response with an open event stream
+ * @param {Object|Array} message - JSON-RPC message(s)
+ */
+function writeSseMessage(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Start an SSE response
+ * @param {Object} res - Express response
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
   });
-  
-  // Create an init request function
-  const initMcp = () => {
-    mcpProcess.stdin.write(JSON.stringify({ type: 'init' }) + '\n');
-  };
-  
-  // Initialize MCP server
-  initMcp();
-  
-  // Return API for interacting with the MCP process
-  return {
-    send: (message, res, timeout = 30000) => {
-      const id = message.id || uuidv4();
-      message.id = id;
-      
-      const startTime = Date.now();
-      log.debug(`Sending to MCP:`, message);
-      
-      // Set timeout for response
-      const timeoutId = setTimeout(() => {
-        if (pendingResponses.has(id)) {
-          const { res } = pendingResponses.get(id);
-          pendingResponses.delete(id);
-          
-          log.warn(`Request timed out after ${timeout}ms`, { id });
-          
-          res.status(504).json({ 
-            type: 'tool_error',
-            id,
-            error: { 
-              message: 'Timeout waiting for MCP response',
-              code: 'TIMEOUT'
-            } 
-          });
-        }
-      }, timeout);
-      
-      // Store the response object and timeout ID
-      pendingResponses.set(id, { res, startTime, timeoutId });
-      
-      // Send the message to the MCP process
-      mcpProcess.stdin.write(JSON.stringify(message) + '\n');
-      
-      return id;
-    },
-    
-    init: initMcp,
-    
-    kill: () => {
-      if (mcpProcess) {
-        mcpProcess.kill();
-        mcpProcess = null;
-      }
+  res.flushHeaders();
+}
+
+/**
+ * Check whether the request accepts a given media type
+ * @param {Object} req - Express request
+ * @param {string} type - Media type
+ * @returns {boolean}
+ */
+function accepts(req, type) {
+  return (req.get('Accept') || '').toLowerCase().includes(type);
+}
+
+/**
+ * Reject browser requests from origins that are not explicitly allowed
+ * (protects local servers against DNS rebinding)
+ */
+function validateOrigin(req, res, next) {
+  const origin = req.get('Origin');
+
+  if (!origin || ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin)) {
+    return next();
+  }
+
+  try {
+    const { hostname } = new URL(origin);
+    if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]') {
+      return next();
     }
-  };
+  } catch (error) {
+    // Fall through to rejection
+  }
+
+  log.warn(`Rejected request from origin ${origin}`);
+  res.status(403).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, `Forbidden origin: ${origin}`));
 }
 
-// Start the MCP process
-const mcp = startMcpProcess();
+/**
+ * Resolve the session referenced by the Mcp-Session-Id header
+ * Sends the error response itself and returns null if there is no valid session.
+ */
+function requireSession(req, res) {
+  const sessionId = req.get('Mcp-Session-Id');
+
+  if (!sessionId) {
+    res.status(400).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Bad Request: Mcp-Session-Id header is required'));
+    return null;
+  }
+
+  const record = sessions.get(sessionId);
+  if (!record) {
+    res.status(404).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Session not found'));
+    return null;
+  }
+
+  const protocolVersion = req.get('MCP-Protocol-Version');
+  if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    res.status(400).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`));
+    return null;
+  }
+
+  record.lastActivity = Date.now();
+  return record;
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -236,6 +221,7 @@ app.get('/health', (req, res) => {
     message: 'WebDNA MCP HTTP Server is running',
     uptime: process.uptime(),
     environment: NODE_ENV,
+    sessions: sessions.size,
     timestamp: new Date().toISOString()
   });
 });
@@ -249,35 +235,139 @@ app.get('/', (req, res) => {
     endpoints: {
       '/': 'This documentation',
       '/health': 'Health check endpoint',
-      '/mcp/init': 'Initialize MCP connection',
-      '/mcp/list_tools': 'List available MCP tools',
-      '/mcp/invoke_tool': 'Invoke an MCP tool with parameters'
+      '/mcp': 'MCP Streamable HTTP endpoint (POST messages, GET event stream, DELETE session)',
+      '/mcp/init': 'Legacy: initialize MCP connection',
+      '/mcp/list_tools': 'Legacy: list available MCP tools',
+      '/mcp/invoke_tool': 'Legacy: invoke an MCP tool with parameters'
+    }
+  });
+});
+
+/**
+ * Whether a POST body is a JSON-RPC message object or a non-empty batch of them
+ */
+function isMessageBody(body) {
+  if (Array.isArray(body)) return body.length > 0;
+  return body !== null && typeof body === 'object' && Object.keys(body).length > 0;
+}
+
+// Streamable HTTP: client to server messages
+app.post('/mcp', validateOrigin, async (req, res) => {
+  const body = req.body;
+
+  // A message or a non-empty batch; an empty body leaves req.body undefined
+  if (!isMessageBody(body)) {
+    return res.status(400).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request: expected a JSON-RPC message or batch'));
+  }
+
+  const messages = Array.isArray(body) ? body : [body];
+  const isInitialize = messages.some(message => message && message.method === 'initialize');
+
+  if (isInitialize) {
+    if (messages.length > 1) {
+      return res.status(400).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'initialize must not be batched with other messages'));
+    }
+    if (getMessageKind(body) !== 'request') {
+      return res.status(400).json(createErrorResponse(body.id ?? null, ErrorCodes.INVALID_REQUEST, 'Invalid Request: initialize must be sent as a JSON-RPC request'));
     }
+
+    const record = createSession();
+    const response = await record.mcp.handleMessage(body);
+
+    // A refused initialize leaves no session behind
+    if (!response || response.error) {
+      record.mcp.close();
+      return res.status(400).json(response);
+    }
+
+    sessions.set(record.id, record);
+    log.info(`Created MCP session ${record.id}`);
+    res.set('Mcp-Session-Id', record.id);
+    return sendResponse(req, res, response);
+  }
+
+  const record = requireSession(req, res);
+  if (!record) return;
+
+  const hasRequests = messages.some(message => getMessageKind(message) === 'request');
+  const response = await record.mcp.handleMessage(body);
+
+  res.set('Mcp-Session-Id', record.id);
+
+  // Only notifications or responses: acknowledge without a body
+  if (!hasRequests || !response) {
+    return res.status(202).end();
+  }
+
+  sendResponse(req, res, response);
+});
+
+/**
+ * Send the response to a POST as JSON or as a one-shot event stream, as the client accepts
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object|Array} response - JSON-RPC response(s)
+ */
+function sendResponse(req, res, response) {
+  if (accepts(req, 'application/json') || !accepts(req, 'text/event-stream')) {
+    return res.status(200).json(response);
+  }
+
+  openEventStream(res);
+  writeSseMessage(res, response);
+  res.end();
+}
+
+// Streamable HTTP: server to client event stream
+app.get('/mcp', validateOrigin, (req, res) => {
+  if (!accepts(req, 'text/event-stream')) {
+    return res.status(405).set('Allow', 'POST, DELETE').end();
+  }
+
+  const record = requireSession(req, res);
+  if (!record) return;
+
+  openEventStream(res);
+  record.streams.add(res);
+  log.info(`Opened event stream for session ${record.id}`);
+
+  // Keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, 30000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    record.streams.delete(res);
+    record.lastActivity = Date.now();
+    log.info(`Event stream closed for session ${record.id}`);
   });
 });
 
-// Initialize MCP endpoint
+// Streamable HTTP: explicit session termination
+app.delete('/mcp', validateOrigin, (req, res) => {
+  const record = requireSession(req, res);
+  if (!record) return;
+
+  closeSession(record.id);
+  res.status(200).end();
+});
+
+// Legacy: initialize MCP endpoint
 app.post('/mcp/init', (req, res) => {
   log.info('Received init request');
-  
-  // Send init message to MCP
-  mcp.init();
-  
-  // Respond immediately
   res.status(200).json({ type: 'ready' });
 });
 
-// List tools endpoint
+// Legacy: list tools endpoint
 app.post('/mcp/list_tools', (req, res) => {
   log.info('Received list_tools request');
-  
-  // Send list_tools message to MCP
-  mcp.send({ type: 'list_tools' }, res, 5000);
+  res.status(200).json({ type: 'tools', tools: mcp_tools });
 });
 
-// Invoke tool endpoint
-app.post('/mcp/invoke_tool', (req, res) => {
-  const { tool, params } = req.body;
+// Legacy: invoke tool endpoint
+app.post('/mcp/invoke_tool', async (req, res) => {
+  const { tool, params, id = uuidv4() } = req.body || {};
   log.info(`Received invoke_tool request for ${tool}`, { params });
   
   if (!tool) {
@@ -289,13 +379,68 @@ app.post('/mcp/invoke_tool', (req, res) => {
       } 
     });
   }
-  
-  // Send invoke_tool message to MCP with a longer timeout
-  mcp.send({
-    type: 'invoke_tool',
-    tool,
-    params: params || {}
-  }, res, 60000);
+
+  const startTime = Date.now();
+
+  try {
+    const result = await invokeTool(tool, params || {});
+    log.info(`Request completed in ${Date.now() - startTime}ms`);
+    res.status(200).json({ type: 'tool_result', id, result });
+  } catch (error) {
+    log.error(`Error invoking tool ${tool}: ${error.message}`);
+    res.status(200).json({ type: 'tool_error', id, error: { message: error.message } });
+  }
+});
+
+/**
+ * Whether text parses as JSON
+ */
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  // Malformed JSON on the MCP endpoint is a JSON-RPC parse error
+  if (err.type === 'entity.parse.failed' && req.path === '/mcp') {
+    // Valid JSON that isn't an object or array, such as 42, is refused by the strict parser
+    if (isJson(err.body)) {
+      return res.status(400).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request: expected a JSON-RPC message or batch'));
+    }
+    return res.status(400).json(createErrorResponse(null, ErrorCodes.PARSE_ERROR, 'Parse error'));
+  }
+
+  log.error(`Unhandled error: ${err.message}`, { stack: err.stack });
+  res.status(500).json({
+    type: 'error',
+    error: {
+      message: 'An unexpected error occurred',
+      code: 'INTERNAL_SERVER_ERROR'
+    }
+  });
+});
+
+// Drop idle sessions
+const sessionSweeper = setInterval(() => {
+  const now = Date.now();
+
+  for (const [id, record] of sessions.entries()) {
+    if (record.streams.size === 0 && now - record.lastActivity > SESSION_TTL) {
+      log.info(`Expiring idle MCP session ${id}`);
+      closeSession(id);
+    }
+  }
+}, 60000);
+sessionSweeper.unref();
+
+// Initialize the database in the background (tools report errors until it is ready)
+initializeDatabase().catch(error => {
+  log.error(`Error during database initialization: ${error.message}`);
 });
 
 // Start the server
@@ -306,19 +451,18 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 function gracefulShutdown() {
   log.info('Received termination signal, shutting down gracefully...');
+
+  // Close open event streams so the server can finish closing
+  for (const id of [...sessions.keys()]) {
+    closeSession(id);
+  }
   
   // Close the HTTP server
   server.close(() => {
     log.info('HTTP server closed');
     
-    // Kill the MCP process
-    if (mcp) {
-      mcp.kill();
-    }
-    
     // Close the log stream
     logStream.end(() => {
-      log.info('Log stream closed');
       process.exit(0);
     });
   });
@@ -2,9 +2,14 @@
 
 /**
  * WebDNA MCP Server using stdin/stdout for communication
- * This version doesn't require HTTP ports and works directly with Windsurf
+ * Speaks MCP (JSON-RPC 2.0, one message per line) so standard MCP clients can connect.
+ * Pass --legacy (or set MCP_LEGACY_PROTOCOL=true) to also accept the original
+ * {type: 'init' | 'list_tools' | 'invoke_tool'} envelope used by older Windsurf setups.
  */
 
+// stdout is reserved for protocol messages, so route console.log to stderr
+console.log = console.error;
+
 require('dotenv').config();
 const readline = require('readline');
 const { v4: uuidv4 } = require('uuid');
@@ -13,16 +18,15 @@ const fs = require('fs');
 
 // Import MCP tools from external file
 const { mcp_tools } = require('./src/mcp-tools');
+const { invokeTool } = require('./src/tool-handlers');
+const { createMcpSession } = require('./src/mcp-protocol');
+const { ErrorCodes, createErrorResponse } = require('./src/jsonrpc');
 
-// Import database and documentation modules
+// Import database module
 const { initializeDatabase } = require('./src/database');
-const { 
-  searchDocumentation, 
-  getDocumentationById, 
-  getCategories,
-  getRandomDocumentation,
-  getDocumentationCount
-} = require('./src/documentation');
+
+// Accept the legacy message envelope alongside JSON-RPC
+const LEGACY_PROTOCOL = process.argv.includes('--legacy') || process.env.MCP_LEGACY_PROTOCOL === 'true';
 
 // Configure logging
 const LOG_DIR = path.join(__dirname, 'logs');
@@ -63,6 +67,12 @@ let messageCount = 0;
 let lastMessageTime = Date.now();
 const startTime = Date.now();
 
+// MCP session for the client on the other end of stdin/stdout
+const session = createMcpSession({ log, notify: sendMessage });
+
+// Messages still being handled, so closing stdin doesn't drop their responses
+const pending = new Set();
+
 // Initialize the system
 async function initialize() {
   try {
@@ -79,172 +89,111 @@ async function initialize() {
 }
 
 // Handle incoming messages
-rl.on('line', async (line) => {
+rl.on('line', (line) => {
+  const handling = handleLine(line).catch(error => {
+    log(`Error handling message: ${error.message}`);
+  });
+
+  pending.add(handling);
+  handling.then(() => pending.delete(handling));
+});
+
+// Handle one line of input
+async function handleLine(line) {
+  if (!line.trim()) {
+    return;
+  }
+
   messageCount++;
   lastMessageTime = Date.now();
-  
+
+  let message;
   try {
-    const message = JSON.parse(line);
-    log(`Received message: ${message.type}`);
-    
-    switch (message.type) {
-      case 'init':
-        // Respond to initialization
-        await initialize();
-        sendMessage({
-          type: 'ready'
-        });
-        break;
-        
-      case 'list_tools':
-        // Send available tools
-        sendMessage({
-          type: 'tools',
-          tools: mcp_tools
-        });
-        break;
-        
-      case 'invoke_tool':
-        // Handle tool invocation
-        await handleToolInvocation(message);
-        break;
-        
-      default:
-        log(`Unknown message type: ${message.type}`);
-    }
+    message = JSON.parse(line);
   } catch (error) {
-    log(`Error processing message: ${error.message}`);
+    log(`Error parsing message: ${error.message}`);
     log(`Problematic line: ${line}`);
-    
-    // If there's a message ID, send an error response
-    try {
-      const message = JSON.parse(line);
-      if (message.id) {
-        sendMessage({
-          type: 'tool_error',
-          id: message.id,
-          error: {
-            message: `Error processing request: ${error.message}`
-          }
-        });
-      }
-    } catch (parseError) {
-      // If we can't parse the message, we can't send a proper error response
-      log(`Cannot parse message to send error response: ${parseError.message}`);
+
+    if (!LEGACY_PROTOCOL) {
+      sendMessage(createErrorResponse(null, ErrorCodes.PARSE_ERROR, `Parse error: ${error.message}`));
     }
+    return;
   }
-});
+
+  if (LEGACY_PROTOCOL && message && message.type) {
+    await handleLegacyMessage(message);
+    return;
+  }
+
+  try {
+    const response = await session.handleMessage(message);
+
+    if (response) {
+      sendMessage(response);
+    }
+  } catch (error) {
+    log(`Error processing message: ${error.message}`);
+    sendMessage(createErrorResponse(message?.id ?? null, ErrorCodes.INTERNAL_ERROR, error.message));
+  }
+}
 
 // Send a message to stdout
 function sendMessage(message) {
-  console.log(JSON.stringify(message));
+  process.stdout.write(JSON.stringify(message) + '\n');
 }
 
-// Handle tool invocation
+// Handle a message in the legacy {type: ...} envelope
+async function handleLegacyMessage(message) {
+  log(`Received legacy message: ${message.type}`);
+
+  switch (message.type) {
+    case 'init':
+      // Respond to initialization
+      await initialize();
+      sendMessage({
+        type: 'ready'
+      });
+      break;
+
+    case 'list_tools':
+      // Send available tools
+      sendMessage({
+        type: 'tools',
+        tools: mcp_tools
+      });
+      break;
+
+    case 'invoke_tool':
+      // Handle tool invocation
+      await handleToolInvocation(message);
+      break;
+
+    default:
+      log(`Unknown message type: ${message.type}`);
+  }
+}
+
+// Handle legacy tool invocation
 async function handleToolInvocation(message) {
-  const { tool, id = uuidv4(), params } = message;
+  const { tool, id = uuidv4(), params = {} } = message;
   log(`Invoking tool: ${tool} with params:`, params);
-  
+
   try {
-    switch (tool) {
-      case 'search-webdna-docs':
-        const searchResults = await searchDocumentation(
-          params.query,
-          {
-            limit: params.limit,
-            offset: params.offset,
-            category: params.category
-          }
-        );
-        
-        sendMessage({
-          type: 'tool_result',
-          id,
-          result: searchResults
-        });
-        break;
-        
-      case 'get-webdna-doc':
-        const docResult = await getDocumentationById(params.id);
-        
-        if (!docResult) {
-          sendMessage({
-            type: 'tool_error',
-            id,
-            error: {
-              message: `Documentation not found for ID: ${params.id}`
-            }
-          });
-          return;
-        }
-        
-        sendMessage({
-          type: 'tool_result',
-          id,
-          result: {
-            doc: docResult
-          }
-        });
-        break;
-        
-      case 'get-webdna-categories':
-        const categories = await getCategories();
-        
-        sendMessage({
-          type: 'tool_result',
-          id,
-          result: {
-            categories
-          }
-        });
-        break;
-        
-      case 'get-random-webdna-docs':
-        const randomDocs = await getRandomDocumentation(params.limit || 5);
-        
-        sendMessage({
-          type: 'tool_result',
-          id,
-          result: {
-            docs: randomDocs
-          }
-        });
-        break;
-        
-      case 'get-webdna-stats':
-        const docCount = await getDocumentationCount();
-        const statsCategories = await getCategories();
-        
-        sendMessage({
-          type: 'tool_result',
-          id,
-          result: {
-            total_docs: docCount,
-            total_categories: statsCategories.length,
-            server_uptime: Math.floor((Date.now() - startTime) / 1000),
-            server_version: require('./package.json').version
-          }
-        });
-        break;
-        
-      default:
-        log(`Unknown tool: ${tool}`);
-        sendMessage({
-          type: 'tool_error',
-          id,
-          error: {
-            message: `Unknown tool: ${tool}`
-          }
-        });
-    }
+    const result = await invokeTool(tool, params);
+
+    sendMessage({
+      type: 'tool_result',
+      id,
+      result
+    });
   } catch (error) {
     log(`Error invoking tool ${tool}: ${error.message}`);
-    
+
     sendMessage({
       type: 'tool_error',
       id,
       error: {
-        message: `Error invoking tool ${tool}: ${error.message}`
+        message: error.message
       }
     });
   }
@@ -263,15 +212,24 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
+// The client closed stdin: answer what it already sent, then stop
+rl.on('close', () => {
+  log(`stdin closed, shutting down after ${pending.size} pending message(s)`);
+  Promise.allSettled([...pending]).then(() => {
+    logStream.end(() => process.exit(0));
+  });
+});
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
   log(`Uncaught exception: ${error.message}`, error.stack);
   // Keep running despite the error
 });
 
-// Send a ping every 30 seconds to keep the connection alive
+// Send a ping every 30 seconds to keep legacy connections alive
+// (MCP clients do not expect unsolicited messages in this format)
 setInterval(() => {
-  if (isConnected) {
+  if (LEGACY_PROTOCOL && isConnected) {
     sendMessage({
       type: 'ping',
       id: uuidv4(),
@@ -287,7 +245,7 @@ setInterval(() => {
   log(`Health check: Connected=${isConnected}, Messages=${messageCount}, Last message=${Math.floor(timeSinceLastMessage / 1000)}s ago, Uptime=${Math.floor((Date.now() - startTime) / 1000)}s`);
 }, 60000);
 
-log('WebDNA MCP Server (stdin/stdout) starting...');
+log(`WebDNA MCP Server (stdin/stdout) starting${LEGACY_PROTOCOL ? ' with legacy protocol support' : ''}...`);
 
 // Initialize the server
 initialize().then(() => {
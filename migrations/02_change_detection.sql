@@ -0,0 +1,6 @@
+-- Track page content so re-scrapes only update entries that changed,
+-- and mark entries that disappeared from the "At A Glance" index
+ALTER TABLE documentation ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE documentation ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS documentation_removed_at_idx ON documentation (removed_at);
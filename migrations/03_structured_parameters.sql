@@ -0,0 +1,5 @@
+-- Store parameters as structured records
+-- ({ name, required, default, values, description }) and keep the original
+-- markup in parameters_html, which search_vector continues to index
+ALTER TABLE documentation RENAME COLUMN parameters TO parameters_html;
+ALTER TABLE documentation ADD COLUMN parameters JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,4 @@
+-- Store every example as a separate record ({ code, language, explanation, results })
+-- and keep the original markup in examples_html, which search_vector continues to index
+ALTER TABLE documentation RENAME COLUMN examples TO examples_html;
+ALTER TABLE documentation ADD COLUMN examples JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,6 @@
+-- References to other instructions found on each page (WebDNA IDs or
+-- instruction names), resolved into the related ID list after every scrape
+ALTER TABLE documentation ADD COLUMN IF NOT EXISTS related_refs JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Find the entries that link to a given entry
+CREATE INDEX IF NOT EXISTS documentation_related_idx ON documentation USING GIN (related jsonb_path_ops);
@@ -0,0 +1,3 @@
+-- How each page was read: 'static' (HTML as served) or 'rendered' (DOM
+-- after running the page's scripts in a headless browser)
+ALTER TABLE documentation ADD COLUMN IF NOT EXISTS render_mode TEXT;
@@ -0,0 +1,6 @@
+-- Markdown versions of the scraped HTML, and the HTML of the description,
+-- so tools can return either form (or plain text)
+ALTER TABLE documentation ADD COLUMN IF NOT EXISTS description_html TEXT;
+ALTER TABLE documentation ADD COLUMN IF NOT EXISTS description_markdown TEXT;
+ALTER TABLE documentation ADD COLUMN IF NOT EXISTS parameters_markdown TEXT;
+ALTER TABLE documentation ADD COLUMN IF NOT EXISTS examples_markdown TEXT;
@@ -0,0 +1,60 @@
+-- SQLite schema equivalent to migrations/01_initial_setup.sql
+
+CREATE TABLE IF NOT EXISTS categories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  description TEXT
+);
+
+-- JSONB columns are stored as JSON text
+CREATE TABLE IF NOT EXISTS documentation (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instruction TEXT NOT NULL,
+  category_id INTEGER REFERENCES categories(id),
+  description TEXT,
+  syntax TEXT,
+  parameters TEXT,
+  examples TEXT,
+  related TEXT DEFAULT '[]',
+  url TEXT UNIQUE,
+  webdna_id TEXT UNIQUE,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Full-text index, the equivalent of the search_vector column.
+-- Column weights are applied at query time with bm25().
+CREATE VIRTUAL TABLE IF NOT EXISTS documentation_fts USING fts5(
+  instruction,
+  description,
+  syntax,
+  parameters,
+  examples,
+  tokenize = 'porter unicode61'
+);
+
+-- Keep the full-text index in sync with the documentation table
+CREATE TRIGGER IF NOT EXISTS documentation_fts_insert AFTER INSERT ON documentation
+BEGIN
+  INSERT INTO documentation_fts (rowid, instruction, description, syntax, parameters, examples)
+  VALUES (NEW.id, NEW.instruction, NEW.description, NEW.syntax, NEW.parameters, NEW.examples);
+END;
+
+CREATE TRIGGER IF NOT EXISTS documentation_fts_delete AFTER DELETE ON documentation
+BEGIN
+  DELETE FROM documentation_fts WHERE rowid = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS documentation_fts_update AFTER UPDATE ON documentation
+BEGIN
+  DELETE FROM documentation_fts WHERE rowid = OLD.id;
+  INSERT INTO documentation_fts (rowid, instruction, description, syntax, parameters, examples)
+  VALUES (NEW.id, NEW.instruction, NEW.description, NEW.syntax, NEW.parameters, NEW.examples);
+END;
+
+-- Update the updated_at timestamp
+CREATE TRIGGER IF NOT EXISTS update_documentation_updated_at AFTER UPDATE ON documentation
+FOR EACH ROW WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE documentation SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
@@ -0,0 +1,6 @@
+-- Store parameters as structured records
+-- ({ name, required, default, values, description }) and keep the original
+-- markup in parameters_html. Renaming the column also updates the full-text
+-- triggers, so parameters_html stays indexed.
+ALTER TABLE documentation RENAME COLUMN parameters TO parameters_html;
+ALTER TABLE documentation ADD COLUMN parameters TEXT NOT NULL DEFAULT '[]';
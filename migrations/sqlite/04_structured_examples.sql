@@ -0,0 +1,5 @@
+-- Store every example as a separate record ({ code, language, explanation, results })
+-- and keep the original markup in examples_html. Renaming the column also
+-- updates the full-text triggers, so examples_html stays indexed.
+ALTER TABLE documentation RENAME COLUMN examples TO examples_html;
+ALTER TABLE documentation ADD COLUMN examples TEXT NOT NULL DEFAULT '[]';
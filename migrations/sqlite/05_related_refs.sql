@@ -0,0 +1,3 @@
+-- References to other instructions found on each page (WebDNA IDs or
+-- instruction names), resolved into the related ID list after every scrape
+ALTER TABLE documentation ADD COLUMN related_refs TEXT NOT NULL DEFAULT '[]';
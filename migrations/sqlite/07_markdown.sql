@@ -0,0 +1,6 @@
+-- Markdown versions of the scraped HTML, and the HTML of the description,
+-- so tools can return either form (or plain text)
+ALTER TABLE documentation ADD COLUMN description_html TEXT;
+ALTER TABLE documentation ADD COLUMN description_markdown TEXT;
+ALTER TABLE documentation ADD COLUMN parameters_markdown TEXT;
+ALTER TABLE documentation ADD COLUMN examples_markdown TEXT;
@@ -0,0 +1,6 @@
+-- Documentation search ranks with the in-process index of src/search-index.js,
+-- so the FTS5 table and the triggers keeping it in sync are no longer read
+DROP TRIGGER IF EXISTS documentation_fts_insert;
+DROP TRIGGER IF EXISTS documentation_fts_delete;
+DROP TRIGGER IF EXISTS documentation_fts_update;
+DROP TABLE IF EXISTS documentation_fts;
@@ -1,25 +1,16 @@
 require('dotenv').config();
-const { supabase } = require('./supabase');
+const { getStorage } = require('./storage');
+const { runMigrations } = require('./migrations');
 
 /**
- * Execute SQL query directly on Supabase PostgreSQL database
+ * Execute SQL directly on the storage backend
  * @param {string} query - SQL query to execute
  * @param {Object} params - Query parameters to prevent SQL injection
  * @returns {Promise<Object>} - Query result
  */
 async function executeSql(query, params = {}) {
   try {
-    const { data, error } = await supabase.rpc('execute_sql', { 
-      query,
-      params: JSON.stringify(params)
-    });
-    
-    if (error) {
-      console.error('SQL execution failed:', error);
-      throw error;
-    }
-    
-    return data;
+    return await getStorage().executeSql(query, params);
   } catch (error) {
     console.error('Error executing SQL:', error);
     throw error;
@@ -33,75 +24,46 @@ async function executeSql(query, params = {}) {
  */
 async function tableExists(tableName) {
   try {
-    const { count, error } = await supabase
-      .from(tableName)
-      .select('*', { count: 'exact', head: true });
-    
-    if (error) {
-      if (error.code === 'PGRST116' || error.code === '42P01') {
-        return false; // Table doesn't exist
-      }
-      throw error;
-    }
-    
-    return true;
+    return await getStorage().tableExists(tableName);
   } catch (error) {
-    if (error.code === 'PGRST116' || error.code === '42P01') {
-      return false; // Table doesn't exist
-    }
     console.error(`Error checking if table ${tableName} exists:`, error);
     throw error;
   }
 }
 
 /**
- * Initialize the database and create tables if they don't exist
+ * Initialize the database and apply pending migrations
+ * Without DATABASE_URL the Supabase schema can't be migrated from here, so
+ * only its tables are checked.
  */
 async function initializeDatabase() {
   try {
-    console.log('Setting up Supabase database...');
+    const storage = getStorage();
+    console.log(`Setting up ${storage.name} database...`);
+    
+    await storage.init();
+    
+    if (storage.supportsMigrations()) {
+      // Apply pending migrations; a failed migration stops startup
+      await runMigrations();
+    }
     
     // Check if tables exist
     const categoryTableExists = await tableExists('categories');
     const documentationTableExists = await tableExists('documentation');
     
     if (!categoryTableExists || !documentationTableExists) {
-      console.log('Tables missing, running migration scripts...');
-      try {
-        const fs = require('fs');
-        const path = require('path');
-        const migrationPath = path.join(__dirname, '../migrations/01_initial_setup.sql');
-        
-        if (fs.existsSync(migrationPath)) {
-          const migrationSql = fs.readFileSync(migrationPath, 'utf8');
-          await executeSql(migrationSql);
-          console.log('Migration completed successfully');
-        } else {
-          console.error('Migration file not found at:', migrationPath);
-        }
-      } catch (migrationError) {
-        console.error('Error running migration:', migrationError);
-      }
+      throw new Error('Database tables are missing. Run "npm run migrate" (with DATABASE_URL set for Supabase) to create them.');
     }
     
     // Get current tables state
-    if (categoryTableExists) {
-      const { count: categoriesCount } = await supabase
-        .from('categories')
-        .select('*', { count: 'exact', head: true });
-      
-      console.log(`Categories table exists with ${categoriesCount} rows`);
-    }
+    const categoriesCount = await storage.countRows('categories');
+    console.log(`Categories table exists with ${categoriesCount} rows`);
     
-    if (documentationTableExists) {
-      const { count: docsCount } = await supabase
-        .from('documentation')
-        .select('*', { count: 'exact', head: true });
-      
-      console.log(`Documentation table exists with ${docsCount} rows`);
-    }
+    const docsCount = await storage.countRows('documentation');
+    console.log(`Documentation table exists with ${docsCount} rows`);
     
-    console.log('Supabase database setup completed successfully');
+    console.log(`${storage.name} database setup completed successfully`);
     return true;
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -110,18 +72,17 @@ async function initializeDatabase() {
 }
 
 /**
- * Get database instance (for compatibility with previous code)
+ * Get the storage backend (for compatibility with previous code)
  */
 function getDb() {
-  return supabase;
+  return getStorage();
 }
 
 /**
- * Close database connection (no-op for Supabase, included for compatibility)
+ * Close the database connection
  */
 async function closeDatabase() {
-  console.log('No need to close Supabase connection');
-  return true;
+  return getStorage().close();
 }
 
 // Create a cache for frequently used queries
@@ -130,7 +91,7 @@ const queryCache = new Map();
 /**
  * Executes a cached database query
  * @param {string} cacheKey - Unique key for caching
- * @param {Function} queryFn - Function that returns a Supabase query promise
+ * @param {Function} queryFn - Function that returns a query promise
  * @param {number} ttl - Cache TTL in milliseconds (default: 5 minutes)
  * @returns {Promise<any>} - Query result
  */
@@ -174,7 +135,6 @@ module.exports = {
   initializeDatabase,
   getDb,
   closeDatabase,
-  supabase,
   executeSql,
   cachedQuery,
   clearQueryCache,
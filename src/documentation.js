@@ -1,138 +1,139 @@
-const { supabase, cachedQuery } = require('./database');
+const { cachedQuery } = require('./database');
+const { getStorage } = require('./storage');
+const { FORMATS, htmlToMarkdown, htmlToText } = require('./markdown');
+const { createSearchIndex } = require('./search-index');
+const { createDictionary, analyzeSearchQuery } = require('./webdna');
+
+/**
+ * Check a response format
+ * @param {string} format - 'markdown' (default), 'html' or 'text'
+ * @returns {string} - The format
+ */
+function checkFormat(format = 'markdown') {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Get the description of an entry in a response format
+ * Entries scraped before the Markdown and HTML forms were stored fall back
+ * to the plain text.
+ * @param {Object} doc - Documentation row
+ * @param {string} format - 'markdown', 'html' or 'text'
+ * @returns {string}
+ */
+function formatDescription(doc, format) {
+  if (format === 'markdown') return doc.description_markdown || doc.description;
+  if (format === 'html') return doc.description_html || doc.description;
+  return doc.description;
+}
+
+/**
+ * Keep only the requested form of an entry's description, parameters and examples
+ * The sections are returned as parameters_markdown/examples_markdown,
+ * parameters_html/examples_html or parameters_text/examples_text.
+ * @param {Object} doc - Documentation row with every stored form
+ * @param {string} format - 'markdown', 'html' or 'text'
+ * @returns {Object} - The entry, with a format property
+ */
+function formatSections(doc, format) {
+  const {
+    description_html,
+    description_markdown,
+    parameters_html,
+    parameters_markdown,
+    examples_html,
+    examples_markdown,
+    ...rest
+  } = doc;
+  const formatted = { ...rest, description: formatDescription(doc, format), format };
+  
+  if (format === 'markdown') {
+    formatted.parameters_markdown = parameters_markdown ?? htmlToMarkdown(parameters_html);
+    formatted.examples_markdown = examples_markdown ?? htmlToMarkdown(examples_html);
+  } else if (format === 'html') {
+    formatted.parameters_html = parameters_html || '';
+    formatted.examples_html = examples_html || '';
+  } else {
+    formatted.parameters_text = htmlToText(parameters_html);
+    formatted.examples_text = htmlToText(examples_html);
+  }
+  
+  return formatted;
+}
+
+/**
+ * Get the in-process search index over the current documentation
+ * Built from the same rows with every storage backend, so search ranks
+ * entries identically on Supabase and SQLite.
+ * @returns {Promise<Object>} - { index from createSearchIndex, dictionary from createDictionary }
+ */
+async function getSearchIndex() {
+  try {
+    return await cachedQuery('search_index', async () => {
+      const docs = await getStorage().listSearchableDocumentation();
+      return { index: createSearchIndex(docs), dictionary: createDictionary(docs) };
+    }, 30 * 60 * 1000); // Cache for 30 minutes
+  } catch (error) {
+    console.error('Error building search index:', error);
+    throw error;
+  }
+}
 
 /**
  * Search for WebDNA documentation based on a query
+ * Entries are ranked by BM25 over their name, description, syntax,
+ * parameters and examples. Words also match the longer words they begin and,
+ * when misspelt, the closest indexed words; words starting with "-"
+ * exclude entries. WebDNA code in the query ("[search db=", "[/founditems]",
+ * "&eqNAMEdatarq") is mapped to the instructions it belongs to, which rank
+ * as if their name had been searched for.
  * @param {string} query - The search query
  * @param {Object} options - Search options
  * @param {number} options.limit - Maximum number of results (default: 20)
  * @param {number} options.offset - Offset for pagination (default: 0)
  * @param {string} options.category - Filter by category (optional)
- * @returns {Promise<Array>} - Array of matching documentation entries
+ * @param {string} options.format - Description format: 'markdown' (default), 'html' or 'text'
+ * @returns {Promise<Object>} - { results, total_count, offset, limit, query, corrections, syntax }
  */
 async function searchDocumentation(query, options = {}) {
   const { limit = 20, offset = 0, category = null } = options;
+  const format = checkFormat(options.format);
   
   try {
     // Normalize query
     const normalizedQuery = query.trim().toLowerCase();
     
     // Generate cache key
-    const cacheKey = `search:${normalizedQuery}:${limit}:${offset}:${category || 'all'}`;
+    const cacheKey = `search:${normalizedQuery}:${limit}:${offset}:${category || 'all'}:${format}`;
     
     return await cachedQuery(cacheKey, async () => {
-      // First try exact match on instruction name
-      let exactMatchQuery = supabase
-        .from('documentation')
-        .select(`
-          id,
-          instruction,
-          description,
-          url,
-          webdna_id,
-          categories(id, name)
-        `)
-        .ilike('instruction', `%${normalizedQuery}%`)
-        .order('instruction');
-        
-      // Add category filter if provided
-      if (category) {
-        exactMatchQuery = exactMatchQuery
-          .eq('categories.name', category);
-      }
-      
-      const { data: exactMatches, error: exactError } = await exactMatchQuery;
-      
-      if (exactError) throw exactError;
-      
-      // Then try full-text search
-      let ftsQuery = supabase
-        .from('documentation')
-        .select(`
-          id,
-          instruction,
-          description,
-          url,
-          webdna_id,
-          categories(id, name)
-        `)
-        .textSearch('search_vector', normalizedQuery, {
-          type: 'websearch',
-          config: 'english'
-        });
-        
-      // Add category filter if provided
-      if (category) {
-        ftsQuery = ftsQuery
-          .eq('categories.name', category);
-      }
-      
-      const { data: ftsMatches, error: ftsError } = await ftsQuery;
-      
-      if (ftsError) throw ftsError;
-      
-      // Combine results, removing duplicates
-      const seen = new Set();
-      const results = [];
-      
-      // Process exact matches first (higher priority)
-      exactMatches.forEach(match => {
-        seen.add(match.id);
-        results.push({
-          id: match.id,
-          instruction: match.instruction,
-          category: match.categories?.name || 'Uncategorized',
-          category_id: match.categories?.id,
-          description: match.description,
-          url: match.url,
-          webdna_id: match.webdna_id,
-          match_type: 'exact',
-          relevance_score: 1.0 // Highest score for exact matches
-        });
-      });
-      
-      // Process full-text search matches with relevance scoring
-      ftsMatches.forEach(match => {
-        if (!seen.has(match.id)) {
-          seen.add(match.id);
-          
-          // Calculate relevance score based on position of query in text
-          // This is a simplified approach - could be more sophisticated
-          let relevanceScore = 0.5; // Base score for FTS matches
-          
-          if (match.instruction.toLowerCase().includes(normalizedQuery)) {
-            // Boost score if query appears in instruction name
-            relevanceScore += 0.3;
-          }
-          
-          if (match.description?.toLowerCase().includes(normalizedQuery)) {
-            // Boost score if query appears in description
-            relevanceScore += 0.1;
-          }
-          
-          results.push({
-            id: match.id,
-            instruction: match.instruction,
-            category: match.categories?.name || 'Uncategorized',
-            category_id: match.categories?.id,
-            description: match.description,
-            url: match.url,
-            webdna_id: match.webdna_id,
-            match_type: 'content',
-            relevance_score: relevanceScore
-          });
-        }
-      });
-      
-      // Sort by relevance score (descending)
-      results.sort((a, b) => b.relevance_score - a.relevance_score);
+      const { index, dictionary } = await getSearchIndex();
+      const { text, fragments, boosts } = analyzeSearchQuery(normalizedQuery, dictionary);
+      const { results, corrections } = index.search(text, { category, boosts });
       
       // Apply pagination
       return {
-        results: results.slice(offset, offset + limit),
+        results: results.slice(offset, offset + limit).map(({ doc, score, match_type, matched_words }) => ({
+          id: doc.id,
+          instruction: doc.instruction,
+          category: doc.categories?.name || 'Uncategorized',
+          category_id: doc.categories?.id,
+          description: formatDescription(doc, format),
+          url: doc.url,
+          webdna_id: doc.webdna_id,
+          match_type,
+          matched_words,
+          relevance_score: Math.round(score * 1000) / 1000
+        })),
         total_count: results.length,
         offset,
         limit,
-        query: normalizedQuery
+        query: normalizedQuery,
+        corrections,
+        syntax: fragments.map(({ text: fragment, kind, instructions }) => ({ fragment, kind, instructions }))
       };
     }, 5 * 60 * 1000); // Cache for 5 minutes
   } catch (error) {
@@ -144,51 +145,29 @@ async function searchDocumentation(query, options = {}) {
 /**
  * Get a specific WebDNA documentation entry by ID or name
  * @param {number|string} idOrName - The documentation ID, WebDNA ID, or instruction name
+ * @param {Object} options - Options
+ * @param {string} options.format - Text format: 'markdown' (default), 'html' or 'text'
  * @returns {Promise<Object>} - The documentation entry
  */
-async function getDocumentationById(idOrName) {
+async function getDocumentationById(idOrName, options = {}) {
+  const format = checkFormat(options.format);
+  
   try {
     // Generate cache key
-    const cacheKey = `doc:${idOrName}`;
+    const cacheKey = `doc:${idOrName}:${format}`;
     
     return await cachedQuery(cacheKey, async () => {
       // Determine if id is numeric (database id), webdna_id, or instruction name
       const isNumeric = /^\d+$/.test(idOrName);
+      const storage = getStorage();
       
-      let query = supabase
-        .from('documentation')
-        .select(`
-          *,
-          categories(id, name)
-        `);
-      
+      let data;
       if (isNumeric) {
-        query = query.eq('id', idOrName);
+        data = await storage.getDocumentation({ id: parseInt(idOrName, 10) });
       } else {
         // Try webdna_id first, then instruction name
-        query = query.eq('webdna_id', idOrName);
-      }
-      
-      let { data, error } = await query.maybeSingle();
-      
-      // If not found by webdna_id, try instruction name
-      if (!data && !isNumeric) {
-        ({ data, error } = await supabase
-          .from('documentation')
-          .select(`
-            *,
-            categories(id, name)
-          `)
-          .ilike('instruction', idOrName)
-          .maybeSingle());
-      }
-      
-      if (error) {
-        if (error.code === 'PGRST116') {
-          // No rows returned
-          return null;
-        }
-        throw error;
+        data = await storage.getDocumentation({ webdnaId: idOrName })
+          || await storage.getDocumentation({ instruction: idOrName });
       }
       
       if (!data) return null;
@@ -196,19 +175,25 @@ async function getDocumentationById(idOrName) {
       // Process related documentation if available
       let relatedDocs = [];
       if (data.related && Array.isArray(data.related) && data.related.length > 0) {
-        const { data: related, error: relatedError } = await supabase
-          .from('documentation')
-          .select('id, instruction, description, url, webdna_id')
-          .in('id', data.related);
-        
-        if (!relatedError && related) {
-          relatedDocs = related;
+        try {
+          // Keep the stored order: page links come before example co-occurrences
+          relatedDocs = (await storage.getDocumentationByIds(data.related))
+            .sort((a, b) => data.related.indexOf(a.id) - data.related.indexOf(b.id))
+            .map(doc => ({
+              id: doc.id,
+              instruction: doc.instruction,
+              description: formatDescription(doc, format),
+              url: doc.url,
+              webdna_id: doc.webdna_id
+            }));
+        } catch (relatedError) {
+          console.error('Error getting related documentation:', relatedError);
         }
       }
       
       // Format the response
       return {
-        ...data,
+        ...formatSections(data, format),
         category_name: data.categories?.name || 'Uncategorized',
         category_id: data.categories?.id,
         related_docs: relatedDocs
@@ -221,38 +206,126 @@ async function getDocumentationById(idOrName) {
 }
 
 /**
- * Get all WebDNA documentation categories
- * @returns {Promise<Array>} - Array of categories
+ * Walk the graph of related instructions from an entry
+ * @param {string} idOrName - ID, WebDNA ID, or instruction name of the starting entry
+ * @param {Object} options - Walk options
+ * @param {number} options.depth - Number of hops to follow, 1 to 3 (default: 1)
+ * @param {string} options.direction - 'outgoing' (see also), 'incoming' (referenced by) or 'both' (default)
+ * @param {number} options.limit - Maximum number of entries in the graph (default: 50)
+ * @param {string} options.format - Description format: 'markdown' (default), 'html' or 'text'
+ * @returns {Promise<Object|null>} - { root, nodes, edges, truncated }, or null if the entry was not found
  */
-async function getCategories() {
+async function getRelatedGraph(idOrName, options = {}) {
+  const depth = Math.min(Math.max(parseInt(options.depth, 10) || 1, 1), 3);
+  const direction = options.direction || 'both';
+  const limit = Math.max(parseInt(options.limit, 10) || 50, 1);
+  const format = checkFormat(options.format);
+  
+  if (!['outgoing', 'incoming', 'both'].includes(direction)) {
+    throw new Error(`Invalid direction: ${direction} (expected outgoing, incoming or both)`);
+  }
+  
   try {
-    return await cachedQuery('categories', async () => {
-      // Get all categories
-      const { data: categories, error: categoriesError } = await supabase
-        .from('categories')
-        .select('*')
-        .order('name');
+    const cacheKey = `related:${idOrName}:${depth}:${direction}:${limit}:${format}`;
+    
+    return await cachedQuery(cacheKey, async () => {
+      const root = await getDocumentationById(idOrName, { format });
+      if (!root) return null;
       
-      if (categoriesError) throw categoriesError;
+      const toNode = (doc, hops) => ({
+        id: doc.id,
+        instruction: doc.instruction,
+        webdna_id: doc.webdna_id,
+        description: doc.description,
+        url: doc.url,
+        depth: hops
+      });
       
-      // Get count of instructions per category
-      const { data: counts, error: countsError } = await supabase
-        .from('documentation')
-        .select('category_id, count(*)', { count: 'exact' })
-        .group('category_id');
+      const nodes = new Map([[root.id, toNode(root, 0)]]);
+      const edges = new Map();
+      let truncated = false;
+      let frontier = [root];
       
-      if (countsError) throw countsError;
+      for (let hops = 1; hops <= depth && frontier.length > 0; hops++) {
+        const next = [];
+        
+        for (const doc of frontier) {
+          const neighbours = [];
+          
+          if (direction !== 'incoming') {
+            doc.related_docs.forEach(related => neighbours.push({ related, from: doc, to: related }));
+          }
+          if (direction !== 'outgoing') {
+            (await getStorage().findDocumentationReferencing(doc.id))
+              .map(related => ({ ...related, description: formatDescription(related, format) }))
+              .forEach(related => neighbours.push({ related, from: related, to: doc }));
+          }
+          
+          for (const { related, from, to } of neighbours) {
+            if (!nodes.has(related.id)) {
+              if (nodes.size >= limit) {
+                truncated = true;
+                continue;
+              }
+              
+              nodes.set(related.id, toNode(related, hops));
+              
+              // Only fetch the full entry if there is another hop to follow
+              if (hops < depth) {
+                const relatedDoc = await getDocumentationById(String(related.id), { format });
+                if (relatedDoc) next.push(relatedDoc);
+              }
+            }
+            
+            edges.set(`${from.id}:${to.id}`, { from: from.webdna_id, to: to.webdna_id });
+          }
+        }
+        
+        frontier = next;
+      }
       
-      // Map counts to categories
-      const countMap = {};
-      counts.forEach(item => {
-        countMap[item.category_id] = parseInt(item.count);
-      });
+      return {
+        root: root.webdna_id,
+        nodes: [...nodes.values()],
+        edges: [...edges.values()],
+        truncated
+      };
+    }, 15 * 60 * 1000); // Cache for 15 minutes
+  } catch (error) {
+    console.error('Error getting related documentation graph:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the syntax, parameters and category of every documented instruction
+ * Used to check WebDNA code against the documentation.
+ * @returns {Promise<Array>} - { id, instruction, webdna_id, description, syntax, parameters, url, categories }
+ */
+async function getInstructionReference() {
+  try {
+    return await cachedQuery('instruction_reference', async () => {
+      return await getStorage().listDocumentationSignatures();
+    }, 30 * 60 * 1000); // Cache for 30 minutes
+  } catch (error) {
+    console.error('Error getting instruction reference:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all WebDNA documentation categories
+ * @returns {Promise<Array>} - Array of categories
+ */
+async function getCategories() {
+  try {
+    return await cachedQuery('categories', async () => {
+      // Get all categories with the count of instructions per category
+      const categories = await getStorage().listCategories();
       
-      // Combine data
       return categories.map(category => ({
         ...category,
-        instruction_count: countMap[category.id] || 0
+        instruction_count: parseInt(category.instruction_count) || 0
       }));
     }, 30 * 60 * 1000); // Cache for 30 minutes
   } catch (error) {
@@ -264,32 +337,23 @@ async function getCategories() {
 /**
  * Get random WebDNA documentation entries
  * @param {number} limit - Maximum number of entries to return
+ * @param {Object} options - Options
+ * @param {string} options.format - Description format: 'markdown' (default), 'html' or 'text'
  * @returns {Promise<Array>} - Array of random documentation entries
  */
-async function getRandomDocumentation(limit = 5) {
+async function getRandomDocumentation(limit = 5, options = {}) {
+  const format = checkFormat(options.format);
+  
   try {
     // Generate new results every time, don't cache
-    const { data, error } = await supabase
-      .from('documentation')
-      .select(`
-        id,
-        instruction,
-        description,
-        url,
-        webdna_id,
-        categories(id, name)
-      `)
-      .order('id', { ascending: false }) // Using 'random' doesn't work well in RLS
-      .limit(limit);
-    
-    if (error) throw error;
+    const data = await getStorage().getRecentDocumentation(limit);
     
     return data.map(doc => ({
       id: doc.id,
       instruction: doc.instruction,
       category: doc.categories?.name || 'Uncategorized',
       category_id: doc.categories?.id,
-      description: doc.description,
+      description: formatDescription(doc, format),
       url: doc.url,
       webdna_id: doc.webdna_id
     }));
@@ -306,13 +370,7 @@ async function getRandomDocumentation(limit = 5) {
 async function getDocumentationCount() {
   try {
     return await cachedQuery('doc_count', async () => {
-      const { count, error } = await supabase
-        .from('documentation')
-        .select('*', { count: 'exact', head: true });
-      
-      if (error) throw error;
-      
-      return count || 0;
+      return await getStorage().countDocumentation();
     }, 60 * 60 * 1000); // Cache for 1 hour
   } catch (error) {
     console.error('Error getting documentation count:', error);
@@ -320,10 +378,97 @@ async function getDocumentationCount() {
   }
 }
 
+/**
+ * List WebDNA documentation entries in instruction order
+ * @param {Object} options - List options
+ * @param {number} options.limit - Maximum number of entries (default: 100)
+ * @param {number} options.offset - Offset for pagination (default: 0)
+ * @param {number} options.categoryId - Only list entries in this category (optional)
+ * @returns {Promise<Array>} - Array of documentation entries
+ */
+async function listDocumentation(options = {}) {
+  const { limit = 100, offset = 0, categoryId = null } = options;
+  
+  try {
+    const cacheKey = `list:${limit}:${offset}:${categoryId || 'all'}`;
+    
+    return await cachedQuery(cacheKey, async () => {
+      const data = await getStorage().listDocumentation({ limit, offset, categoryId });
+      
+      return data.map(doc => ({
+        id: doc.id,
+        instruction: doc.instruction,
+        category: doc.categories?.name || 'Uncategorized',
+        category_id: doc.categories?.id,
+        description: formatDescription(doc, 'markdown'),
+        url: doc.url,
+        webdna_id: doc.webdna_id,
+        updated_at: doc.updated_at
+      }));
+    }, 15 * 60 * 1000); // Cache for 15 minutes
+  } catch (error) {
+    console.error('Error listing documentation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a category and the documentation entries it contains
+ * @param {string} name - Category name (case-insensitive)
+ * @returns {Promise<Object|null>} - Category with a docs array, or null if not found
+ */
+async function getCategoryByName(name) {
+  try {
+    const categories = await getCategories();
+    const category = categories.find(c => c.name.toLowerCase() === String(name).toLowerCase());
+    
+    if (!category) return null;
+    
+    const docs = await listDocumentation({ categoryId: category.id, limit: 1000 });
+    
+    return {
+      ...category,
+      docs
+    };
+  } catch (error) {
+    console.error('Error getting category by name:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get documentation entries created or updated after a point in time
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array>} - Entries with their created_at/updated_at timestamps
+ */
+async function getDocumentationUpdatedSince(since) {
+  try {
+    // Not cached: used to detect changes
+    const data = await getStorage().getDocumentationUpdatedSince(since);
+    
+    return data.map(doc => ({
+      id: doc.id,
+      instruction: doc.instruction,
+      webdna_id: doc.webdna_id,
+      category: doc.categories?.name || 'Uncategorized',
+      created_at: doc.created_at,
+      updated_at: doc.updated_at
+    }));
+  } catch (error) {
+    console.error('Error getting updated documentation:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   searchDocumentation,
   getDocumentationById,
+  getRelatedGraph,
+  getInstructionReference,
   getCategories,
   getRandomDocumentation,
-  getDocumentationCount
-};
\ No newline at end of file
+  getDocumentationCount,
+  listDocumentation,
+  getCategoryByName,
+  getDocumentationUpdatedSince
+};
@@ -0,0 +1,114 @@
+/**
+ * JSON-RPC 2.0 helpers shared by the MCP transports
+ */
+
+// Standard JSON-RPC 2.0 error codes
+const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // Implementation-defined server errors (-32000 to -32099)
+  SERVER_NOT_INITIALIZED: -32000,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * Error that is reported to the client as a JSON-RPC error object
+ */
+class JsonRpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Human readable error message
+   * @param {*} data - Optional additional error data
+   */
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Build a successful JSON-RPC response
+ * @param {string|number} id - Request ID
+ * @param {Object} result - Result payload
+ * @returns {Object} - JSON-RPC response
+ */
+function createResponse(id, result) {
+  return {
+    jsonrpc: '2.0',
+    id,
+    result
+  };
+}
+
+/**
+ * Build a JSON-RPC error response
+ * @param {string|number|null} id - Request ID (null if it could not be determined)
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {*} data - Optional additional error data
+ * @returns {Object} - JSON-RPC error response
+ */
+function createErrorResponse(id, code, message, data = undefined) {
+  const error = { code, message };
+
+  if (data !== undefined) {
+    error.data = data;
+  }
+
+  return {
+    jsonrpc: '2.0',
+    id: id === undefined ? null : id,
+    error
+  };
+}
+
+/**
+ * Build a JSON-RPC notification
+ * @param {string} method - Notification method
+ * @param {Object} params - Notification parameters (optional)
+ * @returns {Object} - JSON-RPC notification
+ */
+function createNotification(method, params = undefined) {
+  const notification = { jsonrpc: '2.0', method };
+
+  if (params !== undefined) {
+    notification.params = params;
+  }
+
+  return notification;
+}
+
+/**
+ * Classify a decoded JSON-RPC message
+ * @param {*} message - Decoded message
+ * @returns {string} - 'request', 'notification', 'response' or 'invalid'
+ */
+function getMessageKind(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+    return 'invalid';
+  }
+
+  if (typeof message.method === 'string') {
+    return message.id === undefined ? 'notification' : 'request';
+  }
+
+  if (message.id !== undefined && ('result' in message || 'error' in message)) {
+    return 'response';
+  }
+
+  return 'invalid';
+}
+
+module.exports = {
+  ErrorCodes,
+  JsonRpcError,
+  createResponse,
+  createErrorResponse,
+  createNotification,
+  getMessageKind
+};
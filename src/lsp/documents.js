@@ -0,0 +1,94 @@
+/**
+ * Open text documents of a language server session
+ * Keeps the text of every document the editor opened, up to date with its
+ * incremental edits. LSP positions are 0-based lines and UTF-16 character
+ * offsets, which is also how JavaScript strings index text.
+ */
+
+/**
+ * Convert an LSP position to an offset in the text
+ * @param {string} text - Document text
+ * @param {Object} position - { line, character }
+ * @returns {number}
+ */
+function offsetAt(text, position) {
+  let offset = 0;
+
+  for (let line = 0; line < position.line; line++) {
+    const next = text.indexOf('\n', offset);
+    if (next < 0) return text.length;
+    offset = next + 1;
+  }
+
+  const lineEnd = text.indexOf('\n', offset);
+  return Math.min(offset + position.character, lineEnd < 0 ? text.length : lineEnd);
+}
+
+/**
+ * Convert an offset in the text to an LSP position
+ * @param {string} text - Document text
+ * @param {number} offset - Character offset
+ * @returns {Object} - { line, character }
+ */
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length - 1;
+  return { line, character: offset - (before.lastIndexOf('\n') + 1) };
+}
+
+/**
+ * Create the store of open documents
+ * @returns {Object} - { open, change, close, get }
+ */
+function createDocumentStore() {
+  const documents = new Map();
+
+  return {
+    /**
+     * Handle textDocument/didOpen
+     */
+    open({ uri, languageId, version, text }) {
+      documents.set(uri, { uri, languageId, version, text });
+    },
+
+    /**
+     * Handle textDocument/didChange: apply full or ranged changes in order
+     */
+    change({ uri, version }, changes) {
+      const document = documents.get(uri);
+      if (!document) return;
+
+      changes.forEach(change => {
+        if (!change.range) {
+          document.text = change.text;
+          return;
+        }
+        const start = offsetAt(document.text, change.range.start);
+        const end = offsetAt(document.text, change.range.end);
+        document.text = document.text.slice(0, start) + change.text + document.text.slice(end);
+      });
+      document.version = version;
+    },
+
+    /**
+     * Handle textDocument/didClose
+     */
+    close(uri) {
+      documents.delete(uri);
+    },
+
+    /**
+     * Get an open document
+     * @returns {Object|null} - { uri, languageId, version, text }
+     */
+    get(uri) {
+      return documents.get(uri) || null;
+    }
+  };
+}
+
+module.exports = {
+  offsetAt,
+  positionAt,
+  createDocumentStore
+};
@@ -0,0 +1,161 @@
+/**
+ * Language features for WebDNA documents
+ * Hover documentation, completion of instruction names, parameters and
+ * parameter values, signature help inside a tag, and links from every
+ * documented tag to its documentation page. Positions are found with the
+ * WebDNA tokenizer, so the features keep working while a tag is only half
+ * typed.
+ */
+
+const { tokenize } = require('../webdna/lexer');
+const { createReference, findTagAt, currentSegment, syntaxLine, complete } = require('../webdna/complete');
+const { positionAt } = require('./documents');
+
+// LSP CompletionItemKind for each kind of completion
+const COMPLETION_ITEM_KINDS = {
+  instruction: 3, // Function
+  context: 9, // Module
+  parameter: 10, // Property
+  value: 12, // Value
+  'closing-tag': 14 // Keyword
+};
+
+/**
+ * Range of a tag's name, without its brackets
+ */
+function nameRange(text, token) {
+  const start = token.start + (token.type === 'close' ? 2 : 1);
+  return { start: positionAt(text, start), end: positionAt(text, start + token.name.length) };
+}
+
+/**
+ * Hover documentation for the tag name under the cursor
+ * @param {string} text - Document text
+ * @param {number} offset - Cursor offset
+ * @param {Function} lookup - Async function returning the full documentation of an instruction name, or null
+ * @returns {Promise<Object|null>} - LSP Hover
+ */
+async function getHover(text, offset, lookup) {
+  const { name } = findTagAt(text, offset);
+  if (!name) return null;
+
+  const doc = await lookup(name.name);
+  if (!doc) return null;
+
+  const parts = [];
+  if (doc.syntax) parts.push('```webdna\n' + doc.syntax + '\n```');
+  if (doc.description) parts.push(doc.description);
+  if (doc.parameters_markdown) parts.push(`**Parameters**\n\n${doc.parameters_markdown}`);
+  if (doc.url) parts.push(`[Documentation](${doc.url})`);
+
+  return {
+    contents: { kind: 'markdown', value: parts.join('\n\n') },
+    range: nameRange(text, name)
+  };
+}
+
+/**
+ * Completion items at the cursor, in the order complete() ranks them
+ * @param {string} text - Document text
+ * @param {number} offset - Cursor offset
+ * @param {Object} reference - Lookup tables from createReference
+ * @returns {Object} - LSP CompletionList
+ */
+function getCompletions(text, offset, reference) {
+  const { completions } = complete(text, offset, reference);
+
+  return {
+    isIncomplete: false,
+    items: completions.map((completion, index) => ({
+      label: completion.label,
+      kind: COMPLETION_ITEM_KINDS[completion.kind],
+      detail: completion.detail || undefined,
+      documentation: completion.documentation
+        ? { kind: 'markdown', value: completion.url ? `${completion.documentation}\n\n[Documentation](${completion.url})` : completion.documentation }
+        : undefined,
+      insertText: completion.insert_text,
+      filterText: completion.insert_text,
+      sortText: String(index).padStart(4, '0')
+    }))
+  };
+}
+
+/**
+ * Signature of the tag whose parameters hold the cursor
+ * @param {string} text - Document text
+ * @param {number} offset - Cursor offset
+ * @param {Object} reference - Lookup tables from createReference
+ * @returns {Object|null} - LSP SignatureHelp
+ */
+function getSignatureHelp(text, offset, reference) {
+  const { tag } = findTagAt(text, offset);
+  const doc = tag && reference.docs.get(tag.name.toLowerCase());
+  if (!doc) return null;
+
+  const parameters = (Array.isArray(doc.parameters) ? doc.parameters : []).filter(parameter => parameter.name);
+  let label = syntaxLine(doc);
+
+  // Use the documented syntax when it shows every parameter, otherwise list them
+  if (!parameters.every(parameter => label.includes(parameter.name))) {
+    const list = parameters.map(parameter => `${parameter.name}=…`).join('&');
+    label = `[${doc.instruction}${list ? ` ${list}` : ''}]`;
+  }
+
+  let searchFrom = 0;
+  const signatureParameters = parameters.map(parameter => {
+    let start = label.indexOf(parameter.name, searchFrom);
+    if (start < 0) start = label.indexOf(parameter.name);
+    searchFrom = start + parameter.name.length;
+    return {
+      label: [start, start + parameter.name.length],
+      documentation: parameter.description || undefined
+    };
+  });
+
+  const segment = currentSegment(text, tag, offset);
+  const typedName = segment.includes('=') ? segment.slice(0, segment.indexOf('=')).trim().toLowerCase() : null;
+  const entry = reference.dictionary.entries.get(tag.name.toLowerCase());
+  const activeParameter = typedName && entry
+    ? parameters.findIndex(parameter => {
+      const documented = entry.parameters.find(candidate => candidate.name === parameter.name);
+      return documented && documented.pattern.test(typedName);
+    })
+    : -1;
+
+  return {
+    signatures: [{
+      label,
+      documentation: doc.description ? { kind: 'markdown', value: doc.url ? `${doc.description}\n\n[Documentation](${doc.url})` : doc.description } : undefined,
+      parameters: signatureParameters
+    }],
+    activeSignature: 0,
+    activeParameter: activeParameter >= 0 ? activeParameter : undefined
+  };
+}
+
+/**
+ * Links from every documented tag in a document to its documentation page
+ * @param {string} text - Document text
+ * @param {Object} reference - Lookup tables from createReference
+ * @returns {Array} - LSP DocumentLinks
+ */
+function getDocumentLinks(text, reference) {
+  return tokenize(text)
+    .filter(token => token.type === 'open' || token.type === 'close')
+    .map(token => ({ token, doc: reference.docs.get(token.name.toLowerCase()) }))
+    .filter(({ doc }) => doc && doc.url)
+    .map(({ token, doc }) => ({
+      range: nameRange(text, token),
+      target: doc.url,
+      tooltip: `Open the documentation of [${doc.instruction}]`
+    }));
+}
+
+module.exports = {
+  createReference,
+  findTagAt,
+  getHover,
+  getCompletions,
+  getSignatureHelp,
+  getDocumentLinks
+};
@@ -0,0 +1,33 @@
+/**
+ * WebDNA language server
+ * Serves the scraped documentation to editors over the Language Server
+ * Protocol: hover, completion, signature help and documentation links.
+ */
+
+const { createLspSession, SERVER_INFO } = require('./session');
+const { createMessageReader, encodeMessage } = require('./transport');
+const { createDocumentStore, offsetAt, positionAt } = require('./documents');
+const {
+  createReference,
+  findTagAt,
+  getHover,
+  getCompletions,
+  getSignatureHelp,
+  getDocumentLinks
+} = require('./features');
+
+module.exports = {
+  createLspSession,
+  SERVER_INFO,
+  createMessageReader,
+  encodeMessage,
+  createDocumentStore,
+  offsetAt,
+  positionAt,
+  createReference,
+  findTagAt,
+  getHover,
+  getCompletions,
+  getSignatureHelp,
+  getDocumentLinks
+};
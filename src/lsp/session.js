@@ -0,0 +1,220 @@
+/**
+ * Language Server Protocol message handling
+ * Implements the LSP lifecycle and the WebDNA language features on top of
+ * JSON-RPC 2.0. The documentation comes from the same storage the MCP
+ * server reads, so editors and agents see the same data.
+ */
+
+const { getInstructionReference, getDocumentationById } = require('../documentation');
+const {
+  ErrorCodes,
+  JsonRpcError,
+  createResponse,
+  createErrorResponse,
+  getMessageKind
+} = require('../jsonrpc');
+const { offsetAt, createDocumentStore } = require('./documents');
+const {
+  createReference,
+  getHover,
+  getCompletions,
+  getSignatureHelp,
+  getDocumentLinks
+} = require('./features');
+
+// LSP-specific error codes
+const LspErrorCodes = {
+  SERVER_NOT_INITIALIZED: -32002
+};
+
+// LSP TextDocumentSyncKind.Incremental
+const INCREMENTAL_SYNC = 2;
+
+const SERVER_INFO = {
+  name: 'webdna-language-server',
+  version: require('../../package.json').version
+};
+
+/**
+ * Create a language server session for one editor
+ * @param {Object} options - Session options
+ * @param {Function} options.log - Logging function (message, data)
+ * @param {Function} options.onExit - Called with the exit code when the editor sends exit
+ * @returns {Object} - Session with handleMessage(message) and getState()
+ */
+function createLspSession(options = {}) {
+  const { log = () => {}, onExit = () => {} } = options;
+  const documents = createDocumentStore();
+
+  const state = {
+    initialized: false,
+    shutdown: false,
+    clientInfo: null
+  };
+
+  // The reference only changes when the documentation cache is refreshed
+  let referenceSource = null;
+  let reference = null;
+
+  /**
+   * Get the lookup tables built from the current instruction reference
+   */
+  async function loadReference() {
+    const entries = await getInstructionReference();
+    if (entries !== referenceSource) {
+      referenceSource = entries;
+      reference = createReference(entries);
+    }
+    return reference;
+  }
+
+  /**
+   * Get the text and cursor offset of a text document position request
+   */
+  function resolvePosition(params = {}) {
+    const document = params.textDocument && documents.get(params.textDocument.uri);
+    if (!document) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Document is not open: ${params.textDocument && params.textDocument.uri}`);
+    }
+
+    return { text: document.text, offset: params.position ? offsetAt(document.text, params.position) : 0 };
+  }
+
+  /**
+   * Handle the initialize request
+   */
+  async function handleInitialize(params = {}) {
+    state.initialized = true;
+    state.clientInfo = params.clientInfo || null;
+
+    log(`Initializing language server for ${state.clientInfo?.name || 'unknown editor'}`);
+
+    return {
+      capabilities: {
+        textDocumentSync: {
+          openClose: true,
+          change: INCREMENTAL_SYNC
+        },
+        hoverProvider: true,
+        completionProvider: {
+          triggerCharacters: ['[', '/', ' ', '&', '=']
+        },
+        signatureHelpProvider: {
+          triggerCharacters: [' ', '&'],
+          retriggerCharacters: ['=']
+        },
+        documentLinkProvider: {
+          resolveProvider: false
+        }
+      },
+      serverInfo: SERVER_INFO
+    };
+  }
+
+  const requestHandlers = {
+    'initialize': handleInitialize,
+    'shutdown': async () => {
+      state.shutdown = true;
+      log('Editor requested shutdown');
+      return null;
+    },
+    'textDocument/hover': async (params) => {
+      const { text, offset } = resolvePosition(params);
+      return getHover(text, offset, name => getDocumentationById(name));
+    },
+    'textDocument/completion': async (params) => {
+      const { text, offset } = resolvePosition(params);
+      return getCompletions(text, offset, await loadReference());
+    },
+    'textDocument/signatureHelp': async (params) => {
+      const { text, offset } = resolvePosition(params);
+      return getSignatureHelp(text, offset, await loadReference());
+    },
+    'textDocument/documentLink': async (params) => {
+      const { text } = resolvePosition(params);
+      return getDocumentLinks(text, await loadReference());
+    }
+  };
+
+  const notificationHandlers = {
+    'initialized': () => {
+      log('Editor reported initialization complete');
+    },
+    'exit': () => {
+      log('Editor requested exit');
+      onExit(state.shutdown ? 0 : 1);
+    },
+    'textDocument/didOpen': (params) => documents.open(params.textDocument),
+    'textDocument/didChange': (params) => documents.change(params.textDocument, params.contentChanges),
+    'textDocument/didClose': (params) => documents.close(params.textDocument.uri)
+  };
+
+  /**
+   * Handle a single decoded JSON-RPC message
+   * Notifications are applied before the first await, so a change is always
+   * seen by the requests that follow it.
+   * @param {Object} message - Decoded message
+   * @returns {Promise<Object|null>} - Response to send, or null for notifications
+   */
+  async function handleMessage(message) {
+    const kind = getMessageKind(message);
+
+    if (kind === 'invalid') {
+      const id = message && typeof message === 'object' ? message.id : null;
+      return createErrorResponse(id, ErrorCodes.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+    }
+
+    if (kind === 'response') {
+      log(`Ignoring response for unknown request ${message.id}`);
+      return null;
+    }
+
+    if (kind === 'notification') {
+      const handler = notificationHandlers[message.method];
+
+      if (handler) {
+        handler(message.params || {});
+      } else if (!message.method.startsWith('$/')) {
+        // $/ notifications such as $/cancelRequest may be ignored
+        log(`Ignoring unknown notification: ${message.method}`);
+      }
+      return null;
+    }
+
+    const { id, method, params } = message;
+    const handler = requestHandlers[method];
+
+    if (!state.initialized && method !== 'initialize') {
+      return createErrorResponse(id, LspErrorCodes.SERVER_NOT_INITIALIZED, 'Server not initialized');
+    }
+
+    if (state.shutdown) {
+      return createErrorResponse(id, ErrorCodes.INVALID_REQUEST, 'Server is shutting down');
+    }
+
+    if (!handler) {
+      return createErrorResponse(id, ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+
+    try {
+      return createResponse(id, await handler(params));
+    } catch (error) {
+      if (error instanceof JsonRpcError) {
+        return createErrorResponse(id, error.code, error.message, error.data);
+      }
+
+      log(`Error handling ${method}: ${error.message}`);
+      return createErrorResponse(id, ErrorCodes.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  return {
+    handleMessage,
+    getState: () => ({ ...state })
+  };
+}
+
+module.exports = {
+  createLspSession,
+  SERVER_INFO
+};
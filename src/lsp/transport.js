@@ -0,0 +1,70 @@
+/**
+ * Language Server Protocol framing
+ * LSP messages are JSON-RPC 2.0 bodies preceded by headers, of which only
+ * Content-Length (the body size in bytes) is required:
+ *
+ *   Content-Length: 52\r\n
+ *   \r\n
+ *   {"jsonrpc":"2.0","id":1,"method":"initialize",...}
+ */
+
+const HEADER_SEPARATOR = Buffer.from('\r\n\r\n');
+
+/**
+ * Create a reader that decodes framed messages from a byte stream
+ * @param {Function} onMessage - Called with each decoded message
+ * @param {Function} onError - Called with an Error for a malformed header or body
+ * @returns {Function} - Function to call with each chunk of input
+ */
+function createMessageReader(onMessage, onError = () => {}) {
+  let buffer = Buffer.alloc(0);
+
+  return function read(chunk) {
+    buffer = Buffer.concat([buffer, Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)]);
+
+    while (true) {
+      const headerEnd = buffer.indexOf(HEADER_SEPARATOR);
+      if (headerEnd < 0) return;
+
+      const headers = buffer.slice(0, headerEnd).toString('ascii');
+      const match = /^content-length:\s*(\d+)\s*$/im.exec(headers);
+      if (!match) {
+        // Without a length the body can't be found, so drop the header and resynchronize
+        buffer = buffer.slice(headerEnd + HEADER_SEPARATOR.length);
+        onError(new Error(`Missing Content-Length header: ${headers}`));
+        continue;
+      }
+
+      const bodyStart = headerEnd + HEADER_SEPARATOR.length;
+      const bodyEnd = bodyStart + Number(match[1]);
+      if (buffer.length < bodyEnd) return;
+
+      const body = buffer.slice(bodyStart, bodyEnd).toString('utf8');
+      buffer = buffer.slice(bodyEnd);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        onError(new Error(`Invalid JSON body: ${error.message}`));
+        continue;
+      }
+      onMessage(message);
+    }
+  };
+}
+
+/**
+ * Frame a message for sending
+ * @param {Object} message - JSON-RPC message
+ * @returns {string}
+ */
+function encodeMessage(message) {
+  const body = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`;
+}
+
+module.exports = {
+  createMessageReader,
+  encodeMessage
+};
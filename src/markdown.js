@@ -0,0 +1,132 @@
+/**
+ * HTML to Markdown and plain text conversion
+ * Scraped fragments (descriptions, parameter and example sections) are
+ * stored as HTML and as Markdown, so tools can return whichever form the
+ * client asks for. Code blocks become fenced blocks tagged with their
+ * language, tables become GFM tables and links are made absolute.
+ */
+
+const cheerio = require('cheerio');
+const TurndownService = require('turndown');
+const { tables, strikethrough } = require('turndown-plugin-gfm');
+const { detectLanguage } = require('./scraper-parser');
+
+// Response formats accepted by the tools
+const FORMATS = ['markdown', 'html', 'text'];
+
+// Elements set apart by blank lines in plain text, and elements that end a line
+const TEXT_BLOCK_ELEMENTS = 'p, div, h1, h2, h3, h4, h5, h6, table, ul, ol, dl, blockquote';
+const TEXT_LINE_ELEMENTS = 'li, tr, dt, dd';
+
+// Converters keyed by base URL
+const converters = new Map();
+
+/**
+ * Get the Markdown converter for a documentation site
+ * @param {string} baseUrl - Site that relative links point to (optional)
+ * @returns {TurndownService}
+ */
+function getConverter(baseUrl = '') {
+  if (converters.has(baseUrl)) return converters.get(baseUrl);
+
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+    emDelimiter: '_'
+  });
+  turndown.use([tables, strikethrough]);
+
+  // Code blocks keep their text as-is (placeholders such as <em>database</em> included)
+  turndown.addRule('fencedCode', {
+    filter: node => node.nodeName === 'PRE',
+    replacement: (content, node) => {
+      const code = node.textContent.replace(/\n+$/, '');
+      const fence = code.includes('```') ? '~~~' : '```';
+      return `\n\n${fence}${detectLanguage(code)}\n${code}\n${fence}\n\n`;
+    }
+  });
+
+  turndown.addRule('absoluteLinks', {
+    filter: node => node.nodeName === 'A' && node.getAttribute('href'),
+    replacement: (content, node) => {
+      const href = resolveLink(node.getAttribute('href'), baseUrl);
+      const title = node.getAttribute('title');
+      return `[${content}](${href}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+    }
+  });
+
+  converters.set(baseUrl, turndown);
+  return turndown;
+}
+
+/**
+ * Resolve a link against the documentation site
+ */
+function resolveLink(href, baseUrl) {
+  if (!baseUrl || /^[a-z][a-z\d+.-]*:/i.test(href) || href.startsWith('#')) return href;
+
+  try {
+    return new URL(href, `${baseUrl}/`).href;
+  } catch (error) {
+    return href;
+  }
+}
+
+/**
+ * Convert an HTML fragment to Markdown
+ * @param {string} html - HTML fragment
+ * @param {Object} options - { baseUrl } of the site, to make relative links absolute
+ * @returns {string} - Markdown (empty for empty input)
+ */
+function htmlToMarkdown(html, options = {}) {
+  if (!html || !html.trim()) return '';
+  return getConverter(options.baseUrl).turndown(html).trim();
+}
+
+/**
+ * Convert an HTML fragment to plain text
+ * Blocks and line breaks start new lines; code blocks are kept as they are.
+ * @param {string} html - HTML fragment
+ * @returns {string} - Text (empty for empty input)
+ */
+function htmlToText(html) {
+  if (!html || !html.trim()) return '';
+
+  const $ = cheerio.load(html, null, false);
+
+  // Set code blocks aside so their indentation survives
+  const code = [];
+  $('pre').each((index, element) => {
+    code.push($(element).text().replace(/\n+$/, ''));
+    $(element).replaceWith(`<p>\uE000${code.length - 1}\uE000</p>`);
+  });
+
+  // Collapse the source formatting
+  $('*').contents().each((index, node) => {
+    if (node.type === 'text') {
+      node.data = node.data.replace(/\s+/g, ' ');
+    }
+  });
+
+  $('br').replaceWith('\n');
+  $('td, th').append('\t');
+  $(TEXT_LINE_ELEMENTS).append('\n');
+  $(TEXT_BLOCK_ELEMENTS).each((index, element) => {
+    $(element).prepend('\n\n').append('\n\n');
+  });
+
+  return $.root().text()
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\uE000(\d+)\uE000/g, (match, index) => code[index])
+    .replace(/^\n+|\s+$/g, '');
+}
+
+module.exports = {
+  FORMATS,
+  htmlToMarkdown,
+  htmlToText
+};
@@ -0,0 +1,376 @@
+/**
+ * Model Context Protocol (MCP) message handling
+ * Implements the MCP lifecycle and methods on top of JSON-RPC 2.0.
+ * Transports (stdin/stdout, HTTP) create one session per connected client
+ * and feed it decoded messages.
+ */
+
+const { mcp_tools } = require('./mcp-tools');
+const { invokeTool } = require('./tool-handlers');
+const {
+  RESOURCE_TEMPLATES,
+  parseResourceUri,
+  listResources,
+  readResource,
+  onResourcesUpdated
+} = require('./resources');
+const { mcp_prompts, getPrompt, getMissingArguments } = require('./prompts');
+const {
+  ErrorCodes,
+  JsonRpcError,
+  createResponse,
+  createErrorResponse,
+  createNotification,
+  getMessageKind
+} = require('./jsonrpc');
+
+// Protocol revisions this server understands, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+const SERVER_INFO = {
+  name: 'webdna-mcp-server',
+  title: 'WebDNA Documentation',
+  version: require('../package.json').version
+};
+
+const SERVER_INSTRUCTIONS = 'Use search-webdna-docs to find WebDNA instructions and contexts, ' +
+  'then get-webdna-doc to retrieve the full syntax, parameters and examples for one of them.';
+
+/**
+ * Convert an internal tool definition to the MCP tool format
+ * @param {Object} tool - Tool definition from src/mcp-tools.js
+ * @returns {Object} - MCP tool descriptor
+ */
+function toMcpTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.parameters
+  };
+}
+
+/**
+ * Wrap a tool result in an MCP CallToolResult
+ * @param {Object} result - Tool result object
+ * @returns {Object} - CallToolResult
+ */
+function toToolResult(result) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ],
+    structuredContent: result,
+    isError: false
+  };
+}
+
+/**
+ * Wrap a tool execution failure in an MCP CallToolResult
+ * Tool errors are reported in the result so the model can see them,
+ * protocol errors are reported as JSON-RPC errors instead.
+ * @param {string} message - Error message
+ * @returns {Object} - CallToolResult with isError set
+ */
+function toToolError(message) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message
+      }
+    ],
+    isError: true
+  };
+}
+
+/**
+ * Create an MCP session
+ * @param {Object} options - Session options
+ * @param {Function} options.log - Logging function (message, data)
+ * @param {Function} options.notify - Sends a server notification to the client (message)
+ * @returns {Object} - Session with handleMessage and close functions
+ */
+function createMcpSession(options = {}) {
+  const { log = () => {}, notify = () => {} } = options;
+
+  // Resource URIs the client subscribed to
+  const subscriptions = new Set();
+  let stopWatchingResources = null;
+
+  const state = {
+    initializeReceived: false,
+    initialized: false,
+    protocolVersion: null,
+    clientInfo: null,
+    clientCapabilities: {}
+  };
+
+  /**
+   * Handle the initialize request and negotiate the protocol version
+   */
+  async function handleInitialize(params = {}) {
+    const requestedVersion = params.protocolVersion;
+
+    state.initializeReceived = true;
+    state.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+      ? requestedVersion
+      : LATEST_PROTOCOL_VERSION;
+    state.clientInfo = params.clientInfo || null;
+    state.clientCapabilities = params.capabilities || {};
+
+    log(`Initializing session for ${state.clientInfo?.name || 'unknown client'} (requested protocol ${requestedVersion}, using ${state.protocolVersion})`);
+
+    return {
+      protocolVersion: state.protocolVersion,
+      capabilities: {
+        tools: {
+          listChanged: false
+        },
+        resources: {
+          subscribe: true,
+          listChanged: true
+        },
+        prompts: {
+          listChanged: false
+        }
+      },
+      serverInfo: SERVER_INFO,
+      instructions: SERVER_INSTRUCTIONS
+    };
+  }
+
+  /**
+   * Handle a tools/call request
+   */
+  async function handleToolCall(params = {}) {
+    const { name, arguments: args = {} } = params;
+
+    if (typeof name !== 'string') {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Missing tool name');
+    }
+
+    const tool = mcp_tools.find(t => t.name === name);
+    if (!tool) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    const missing = (tool.parameters.required || []).filter(key => args[key] === undefined);
+    if (missing.length > 0) {
+      return toToolError(`Missing required argument(s) for ${name}: ${missing.join(', ')}`);
+    }
+
+    log(`Invoking tool: ${name} with params:`, args);
+
+    try {
+      return toToolResult(await invokeTool(name, args));
+    } catch (error) {
+      log(`Error invoking tool ${name}: ${error.message}`);
+      return toToolError(`Error invoking tool ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forward documentation updates the client cares about
+   */
+  function handleResourcesUpdated({ uris, listChanged }) {
+    if (!state.initialized) return;
+
+    uris
+      .filter(uri => subscriptions.has(uri))
+      .forEach(uri => notify(createNotification('notifications/resources/updated', { uri })));
+
+    if (listChanged) {
+      notify(createNotification('notifications/resources/list_changed'));
+    }
+  }
+
+  /**
+   * Handle a resources/read request
+   */
+  async function handleResourceRead(params = {}) {
+    const { uri } = params;
+
+    if (typeof uri !== 'string') {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Missing resource uri');
+    }
+
+    const resource = await readResource(uri);
+    if (!resource) {
+      throw new JsonRpcError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+
+    return resource;
+  }
+
+  /**
+   * Handle a resources/subscribe request
+   */
+  async function handleResourceSubscribe(params = {}) {
+    const { uri } = params;
+
+    if (!parseResourceUri(uri)) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unsupported resource uri: ${uri}`);
+    }
+
+    subscriptions.add(uri);
+    log(`Subscribed to ${uri}`);
+
+    if (!stopWatchingResources) {
+      stopWatchingResources = onResourcesUpdated(handleResourcesUpdated);
+    }
+
+    return {};
+  }
+
+  /**
+   * Handle a resources/unsubscribe request
+   */
+  async function handleResourceUnsubscribe(params = {}) {
+    subscriptions.delete(params.uri);
+    log(`Unsubscribed from ${params.uri}`);
+    return {};
+  }
+
+  /**
+   * Handle a prompts/get request
+   */
+  async function handlePromptGet(params = {}) {
+    const { name, arguments: args = {} } = params;
+
+    const definition = mcp_prompts.find(prompt => prompt.name === name);
+    if (!definition) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+
+    const missing = getMissingArguments(definition, args);
+    if (missing.length > 0) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Missing required argument(s) for ${name}: ${missing.join(', ')}`);
+    }
+
+    return getPrompt(name, args);
+  }
+
+  const requestHandlers = {
+    'initialize': handleInitialize,
+    'ping': async () => ({}),
+    'tools/list': async () => ({ tools: mcp_tools.map(toMcpTool) }),
+    'tools/call': handleToolCall,
+    'resources/list': async (params = {}) => listResources(params.cursor),
+    'resources/templates/list': async () => ({ resourceTemplates: RESOURCE_TEMPLATES }),
+    'resources/read': handleResourceRead,
+    'resources/subscribe': handleResourceSubscribe,
+    'resources/unsubscribe': handleResourceUnsubscribe,
+    'prompts/list': async () => ({ prompts: mcp_prompts }),
+    'prompts/get': handlePromptGet
+  };
+
+  const notificationHandlers = {
+    'notifications/initialized': () => {
+      state.initialized = true;
+      log('Client reported initialization complete');
+    },
+    'notifications/cancelled': (params = {}) => {
+      log(`Client cancelled request ${params.requestId}`, params.reason);
+    }
+  };
+
+  /**
+   * Handle a single decoded JSON-RPC message
+   * @param {Object} message - Decoded message
+   * @returns {Promise<Object|null>} - Response to send, or null for notifications
+   */
+  async function handleSingleMessage(message) {
+    const kind = getMessageKind(message);
+
+    if (kind === 'invalid') {
+      const id = message && typeof message === 'object' ? message.id : null;
+      return createErrorResponse(id, ErrorCodes.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+    }
+
+    if (kind === 'response') {
+      // The server does not issue requests to the client, nothing to match
+      log(`Ignoring response for unknown request ${message.id}`);
+      return null;
+    }
+
+    if (kind === 'notification') {
+      const handler = notificationHandlers[message.method];
+
+      if (handler) {
+        handler(message.params);
+      } else {
+        log(`Ignoring unknown notification: ${message.method}`);
+      }
+      return null;
+    }
+
+    const { id, method, params } = message;
+    const handler = requestHandlers[method];
+
+    if (!handler) {
+      return createErrorResponse(id, ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+
+    if (!state.initializeReceived && method !== 'initialize' && method !== 'ping') {
+      return createErrorResponse(id, ErrorCodes.SERVER_NOT_INITIALIZED, 'Server not initialized');
+    }
+
+    try {
+      return createResponse(id, await handler(params));
+    } catch (error) {
+      if (error instanceof JsonRpcError) {
+        return createErrorResponse(id, error.code, error.message, error.data);
+      }
+
+      log(`Error handling ${method}: ${error.message}`);
+      return createErrorResponse(id, ErrorCodes.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  /**
+   * Handle a decoded JSON-RPC message or batch
+   * @param {Object|Array} message - Decoded message or batch of messages
+   * @returns {Promise<Object|Array|null>} - Response(s) to send, or null if none
+   */
+  async function handleMessage(message) {
+    if (!Array.isArray(message)) {
+      return handleSingleMessage(message);
+    }
+
+    if (message.length === 0) {
+      return createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Empty batch');
+    }
+
+    const responses = (await Promise.all(message.map(handleSingleMessage))).filter(Boolean);
+    return responses.length > 0 ? responses : null;
+  }
+
+  /**
+   * Release resources held by the session
+   */
+  function close() {
+    subscriptions.clear();
+
+    if (stopWatchingResources) {
+      stopWatchingResources();
+      stopWatchingResources = null;
+    }
+  }
+
+  return {
+    handleMessage,
+    close,
+    getState: () => ({ ...state })
+  };
+}
+
+module.exports = {
+  createMcpSession,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LATEST_PROTOCOL_VERSION,
+  SERVER_INFO
+};
@@ -4,7 +4,7 @@
 const mcp_tools = [
   {
     "name": "search-webdna-docs",
-    "description": "Searches WebDNA documentation for specific instructions, contexts, or keywords. Returns matching documentation entries with descriptions and links to full documentation.",
+    "description": "Searches WebDNA documentation for specific instructions, contexts, or keywords. Returns matching documentation entries ranked by relevance, with descriptions and links to full documentation. Misspelt and partial words still match (\"serch\" finds [search], \"founditem\" finds [founditems]), and words starting with - exclude entries. WebDNA code such as \"[search db=\", \"[/founditems]\" or \"&eqNAMEdatarq\" finds the instruction it belongs to.",
     "parameters": {
       "type": "object",
       "properties": {
@@ -25,6 +25,12 @@ const mcp_tools = [
           "type": "integer",
           "description": "Optional: Offset for pagination (default: 0)",
           "default": 0
+        },
+        "format": {
+          "type": "string",
+          "enum": ["markdown", "html", "text"],
+          "description": "Optional: Format of the descriptions (default: markdown)",
+          "default": "markdown"
         }
       },
       "required": ["query"]
@@ -32,18 +38,224 @@ const mcp_tools = [
   },
   {
     "name": "get-webdna-doc",
-    "description": "Retrieves detailed documentation for a specific WebDNA instruction or context by its ID or name. Returns full documentation including syntax, parameters, examples, and related instructions.",
+    "description": "Retrieves detailed documentation for a specific WebDNA instruction or context by its ID or name. Returns full documentation including syntax, parameters (each with name, required flag, default value, allowed values and description), examples (each with its code, explanation and results), and related instructions. Text is returned as Markdown unless another format is requested.",
     "parameters": {
       "type": "object",
       "properties": {
         "id": {
           "type": "string",
           "description": "The ID, WebDNA ID, or instruction name of the WebDNA instruction or context to retrieve documentation for"
+        },
+        "examples_only": {
+          "type": "boolean",
+          "description": "Optional: Only return the examples (code, language, explanation and results) instead of the whole entry (default: false)",
+          "default": false
+        },
+        "format": {
+          "type": "string",
+          "enum": ["markdown", "html", "text"],
+          "description": "Optional: Format of the description and of the parameters and examples sections (default: markdown)",
+          "default": "markdown"
+        }
+      },
+      "required": ["id"]
+    }
+  },
+  {
+    "name": "get-webdna-related",
+    "description": "Walks the graph of related WebDNA instructions: the \"see also\" links on each documentation page and instructions used together in its examples. Returns the instructions reached and the links between them.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "id": {
+          "type": "string",
+          "description": "The ID, WebDNA ID, or instruction name to start from"
+        },
+        "depth": {
+          "type": "integer",
+          "description": "Optional: Number of hops to follow, from 1 to 3 (default: 1)",
+          "default": 1
+        },
+        "direction": {
+          "type": "string",
+          "enum": ["outgoing", "incoming", "both"],
+          "description": "Optional: Follow links from each instruction (outgoing), links to it (incoming) or both (default: both)",
+          "default": "both"
+        },
+        "limit": {
+          "type": "integer",
+          "description": "Optional: Maximum number of instructions in the graph (default: 50)",
+          "default": 50
+        },
+        "format": {
+          "type": "string",
+          "enum": ["markdown", "html", "text"],
+          "description": "Optional: Format of the descriptions (default: markdown)",
+          "default": "markdown"
         }
       },
       "required": ["id"]
     }
   },
+  {
+    "name": "lint-webdna-code",
+    "description": "Checks a WebDNA snippet for problems before it is run: unbalanced brackets, unclosed contexts such as [founditems] or [showif], unknown instructions, unknown or missing required parameters, and deprecated instructions. Each diagnostic has a severity, a line and column, and a link to the relevant documentation page.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "code": {
+          "type": "string",
+          "description": "The WebDNA code to check"
+        }
+      },
+      "required": ["code"]
+    }
+  },
+  {
+    "name": "explain-webdna-code",
+    "description": "Explains a block of WebDNA line by line: every instruction and context used, including nested ones, with its documentation summary, link and syntax, and notes on the exact arguments passed to it. Use this instead of searching for each bracket separately.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "code": {
+          "type": "string",
+          "description": "The WebDNA code to explain"
+        }
+      },
+      "required": ["code"]
+    }
+  },
+  {
+    "name": "format-webdna-code",
+    "description": "Pretty-prints WebDNA code: indents the content of nested contexts, normalizes the spacing around parameter names and their & separators without touching their values, and leaves the surrounding HTML, including <pre> and <textarea> content, as it is. Formatting already formatted code changes nothing.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "code": {
+          "type": "string",
+          "description": "The WebDNA code to format"
+        },
+        "indent_size": {
+          "type": "integer",
+          "description": "Optional: Number of spaces per indentation level (default: 2)",
+          "default": 2
+        },
+        "indent_with_tabs": {
+          "type": "boolean",
+          "description": "Optional: Indent with tabs instead of spaces (default: false)",
+          "default": false
+        }
+      },
+      "required": ["code"]
+    }
+  },
+  {
+    "name": "complete-webdna-code",
+    "description": "Suggests what can be typed at a cursor in partial WebDNA code, ranked best first: instruction and context names after [, parameter names inside a tag, documented values after name=, and the closing tag of the innermost open context. Instructions come with a snippet built from their documented syntax.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "code": {
+          "type": "string",
+          "description": "The WebDNA code being written"
+        },
+        "offset": {
+          "type": "integer",
+          "description": "Optional: Cursor position as a character offset into code (default: the end of the code)"
+        },
+        "limit": {
+          "type": "integer",
+          "description": "Optional: Maximum number of completions to return (default: 20)",
+          "default": 20
+        }
+      },
+      "required": ["code"]
+    }
+  },
+  {
+    "name": "eval-webdna",
+    "description": "Runs side-effect-free WebDNA in a sandbox and returns its output: [math], [text], [showif], [hideif], [loop], [listwords], [format], [date] and [time] against a fixed clock, and [search] with [founditems] against databases passed in the call. Other tags are left in the output as they are and listed as unsupported. Pass the result shown in the documentation as expected to check an example.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "code": {
+          "type": "string",
+          "description": "The WebDNA code to run"
+        },
+        "databases": {
+          "type": "object",
+          "description": "Optional: Databases for [search], keyed by path (e.g. products.db). Each is tab-delimited text with the field names on the first line, or an array of records",
+          "additionalProperties": {
+            "anyOf": [
+              { "type": "string" },
+              { "type": "array", "items": { "type": "object" } }
+            ]
+          }
+        },
+        "variables": {
+          "type": "object",
+          "description": "Optional: Text variables set before the code runs",
+          "additionalProperties": { "type": "string" }
+        },
+        "now": {
+          "type": "string",
+          "description": "Optional: Date and time shown by [date] and [time], as an ISO 8601 string (default: 2000-01-01T00:00:00Z)",
+          "default": "2000-01-01T00:00:00Z"
+        },
+        "max_steps": {
+          "type": "integer",
+          "description": "Optional: Number of steps after which the run stops, up to 100000 (default: 10000)",
+          "default": 10000
+        },
+        "expected": {
+          "type": "string",
+          "description": "Optional: Output the code should produce; the result says whether it matches, ignoring whitespace"
+        }
+      },
+      "required": ["code"]
+    }
+  },
+  {
+    "name": "inspect-webdna-db",
+    "description": "Inspects a tab-delimited WebDNA .db file: its field names, row count, a type guess for each field and the rows whose number of fields doesn't match the header. Given WebDNA code, it checks that every field the code uses in [search], [lookup], [append], [replace] and [founditems] exists in the database it names. Paths are relative to the server's database directory.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "path": {
+          "type": "string",
+          "description": "Optional: Path of the .db file to inspect, relative to the database directory"
+        },
+        "code": {
+          "type": "string",
+          "description": "Optional: WebDNA code whose field references are checked against the databases it names"
+        }
+      }
+    }
+  },
+  {
+    "name": "scan-webdna-workspace",
+    "description": "Scans a directory of WebDNA templates and reports the instructions each file uses: usage counts by instruction and by documentation category, instructions the documentation doesn't know (typos or custom functions) with suggestions, deprecated usages, and the files that use each .db file. Paths are relative to the server's workspace directory.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "path": {
+          "type": "string",
+          "description": "Optional: Directory to scan, relative to the workspace directory (default: the workspace directory itself)"
+        },
+        "extensions": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          },
+          "description": "Optional: File extensions to scan (default: .tpl, .html, .htm, .inc)"
+        },
+        "include_files": {
+          "type": "boolean",
+          "description": "Optional: Include the instructions, unknown instructions and databases of every file (default: false)"
+        }
+      }
+    }
+  },
   {
     "name": "get-webdna-categories",
     "description": "Retrieves all WebDNA documentation categories with the count of instructions in each category. Useful for exploring the WebDNA framework structure.",
@@ -62,6 +274,12 @@ const mcp_tools = [
           "type": "integer",
           "description": "Optional: Maximum number of random entries to return (default: 5)",
           "default": 5
+        },
+        "format": {
+          "type": "string",
+          "enum": ["markdown", "html", "text"],
+          "description": "Optional: Format of the descriptions (default: markdown)",
+          "default": "markdown"
         }
       }
     }
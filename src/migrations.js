@@ -0,0 +1,198 @@
+/**
+ * Versioned migration runner
+ * Migration files are named NN_description.sql and live in the storage
+ * backend's migrations directory (migrations/ for Supabase, migrations/sqlite/
+ * for SQLite). Each file is applied once, inside a transaction, and recorded
+ * in the schema_migrations table with a checksum of its contents.
+ *
+ * Usage:
+ *   node src/migrations.js status
+ *   node src/migrations.js up [--dry-run]
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('./storage');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+/**
+ * Read the migration files of a directory in version order
+ * @param {string} dir - Migrations directory
+ * @returns {Array} - { version, name, file, checksum, sql }
+ */
+function loadMigrationFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Migrations directory not found: ${dir}`);
+  }
+
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+        sql
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  // Two files with the same number would be applied in an arbitrary order
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file} and ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Get the state of every migration
+ * @returns {Promise<Array>} - { version, name, file, status, applied_at } where status is
+ *   'applied', 'pending', 'modified' (file changed after it was applied) or 'missing' (file deleted)
+ */
+async function getMigrationStatus() {
+  const storage = getStorage();
+
+  if (!storage.supportsMigrations()) {
+    throw new Error(`The ${storage.name} backend cannot run migrations (for Supabase, set DATABASE_URL)`);
+  }
+
+  await storage.init();
+  await storage.ensureMigrationsTable();
+
+  const files = loadMigrationFiles(storage.migrationsDir);
+  const applied = new Map((await storage.getAppliedMigrations()).map(row => [row.version, row]));
+
+  const status = files.map(migration => {
+    const record = applied.get(migration.version);
+    applied.delete(migration.version);
+
+    let state = 'pending';
+    if (record) {
+      state = record.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      file: migration.file,
+      status: state,
+      applied_at: record ? record.applied_at : null,
+      migration
+    };
+  });
+
+  // Recorded versions whose file no longer exists
+  for (const record of applied.values()) {
+    status.push({
+      version: record.version,
+      name: record.name,
+      file: null,
+      status: 'missing',
+      applied_at: record.applied_at,
+      migration: null
+    });
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply every pending migration in version order
+ * Stops at the first failure; already applied migrations stay applied.
+ * @param {Object} options - Runner options
+ * @param {boolean} options.dryRun - Only report what would be applied
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Array>} - Migrations that were (or would be) applied
+ */
+async function runMigrations(options = {}) {
+  const { dryRun = false, log = console.log } = options;
+  const storage = getStorage();
+  const status = await getMigrationStatus();
+
+  // Refuse to continue on a schema that no longer matches the files
+  const modified = status.filter(entry => entry.status === 'modified');
+  if (modified.length > 0) {
+    throw new Error(`Applied migration(s) changed on disk: ${modified.map(entry => entry.file).join(', ')}. Add a new migration instead of editing an applied one.`);
+  }
+
+  const pending = status.filter(entry => entry.status === 'pending');
+
+  if (pending.length === 0) {
+    log(`${storage.name} schema is up to date`);
+    return [];
+  }
+
+  for (const entry of pending) {
+    if (dryRun) {
+      log(`[dry run] Would apply ${entry.file}`);
+      continue;
+    }
+
+    log(`Applying ${entry.file}...`);
+
+    try {
+      await storage.applyMigration(entry.migration);
+    } catch (error) {
+      throw new Error(`Migration ${entry.file} failed and was rolled back: ${error.message}`);
+    }
+
+    log(`Applied ${entry.file}`);
+  }
+
+  return pending.map(({ version, name, file }) => ({ version, name, file }));
+}
+
+/**
+ * Print the migration status table
+ */
+async function printStatus() {
+  const status = await getMigrationStatus();
+
+  status.forEach(entry => {
+    const label = entry.file || `${String(entry.version).padStart(2, '0')}_${entry.name}.sql`;
+    const appliedAt = entry.applied_at ? ` (${entry.applied_at})` : '';
+    console.log(`${entry.status.padEnd(8)} ${label}${appliedAt}`);
+  });
+
+  const pending = status.filter(entry => entry.status === 'pending').length;
+  console.log(`\n${status.length} migration(s), ${pending} pending`);
+}
+
+// Run the CLI if this file is executed directly
+if (require.main === module) {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  const commands = {
+    status: printStatus,
+    up: () => runMigrations({ dryRun: args.includes('--dry-run') })
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command: ${command} (expected: status, up [--dry-run])`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => getStorage().close())
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`Migration error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadMigrationFiles,
+  getMigrationStatus,
+  runMigrations
+};
@@ -0,0 +1,284 @@
+/**
+ * MCP prompts for common WebDNA tasks
+ * Each prompt embeds the relevant documentation as resources so the agent
+ * works from the scraped docs instead of memory.
+ */
+
+const { searchDocumentation, getDocumentationById } = require('./documentation');
+const { instructionUri, formatDocumentationMarkdown } = require('./resources');
+const { extractInstructionNames } = require('./scraper-parser');
+
+// Maximum number of documentation entries embedded in a single prompt
+const MAX_EMBEDDED_DOCS = 12;
+
+/**
+ * Prompt definitions (MCP prompts/list format)
+ */
+const mcp_prompts = [
+  {
+    name: 'explain-webdna-snippet',
+    title: 'Explain WebDNA code',
+    description: 'Explains what a WebDNA snippet does, using the documentation for every instruction it contains.',
+    arguments: [
+      {
+        name: 'code',
+        description: 'The WebDNA snippet to explain',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'write-webdna-search',
+    title: 'Write a [search]',
+    description: 'Writes a WebDNA [search] against a database, with a [founditems] loop to display the results.',
+    arguments: [
+      {
+        name: 'database',
+        description: 'Path of the WebDNA database file (e.g. products.db)',
+        required: true
+      },
+      {
+        name: 'criteria',
+        description: 'What the search should find, in plain language',
+        required: true
+      },
+      {
+        name: 'fields',
+        description: 'Optional: Comma separated list of fields to display',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'port-php-to-webdna',
+    title: 'Port PHP to WebDNA',
+    description: 'Ports a PHP page to WebDNA, grounded in the documentation for the equivalent WebDNA instructions.',
+    arguments: [
+      {
+        name: 'php_code',
+        description: 'The PHP source to port',
+        required: true
+      },
+      {
+        name: 'notes',
+        description: 'Optional: Extra requirements, such as database file names',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'use-webdna-instruction',
+    title: 'How to use an instruction',
+    description: 'Explains how to use a WebDNA instruction or context, with its syntax, parameters and related instructions.',
+    arguments: [
+      {
+        name: 'instruction',
+        description: 'Instruction name or WebDNA ID (e.g. search, founditems)',
+        required: true
+      },
+      {
+        name: 'task',
+        description: 'Optional: What you are trying to accomplish with it',
+        required: false
+      }
+    ]
+  }
+];
+
+// PHP constructs and the WebDNA instructions that replace them
+const PHP_EQUIVALENTS = [
+  { pattern: /\b(mysqli?_query|mysqli?_fetch|PDO|SELECT\b)/i, instructions: ['search', 'founditems'] },
+  { pattern: /\b(INSERT\b|fwrite|file_put_contents)/i, instructions: ['append'] },
+  { pattern: /\bUPDATE\b/i, instructions: ['replace'] },
+  { pattern: /\bDELETE\b/i, instructions: ['delete'] },
+  { pattern: /\b(if|else|elseif)\s*\(/, instructions: ['showif', 'hideif'] },
+  { pattern: /\b(for|foreach|while)\s*\(/, instructions: ['loop'] },
+  { pattern: /\b(include|require)(_once)?\b/, instructions: ['include'] },
+  { pattern: /\bdate\s*\(/, instructions: ['date'] },
+  { pattern: /\bmail\s*\(/, instructions: ['sendmail'] },
+  { pattern: /\bsetcookie\s*\(/, instructions: ['setcookie'] },
+  { pattern: /\bheader\s*\(\s*['"]Location/i, instructions: ['redirect'] },
+  { pattern: /\bexplode\s*\(/, instructions: ['listwords'] },
+  { pattern: /[-+*/]\s*\$\w+|\$\w+\s*[-+*/]/, instructions: ['math'] }
+];
+
+/**
+ * Fetch documentation entries, skipping names that are not documented
+ * @param {Array<string>} names - Instruction names or WebDNA IDs
+ * @returns {Promise<Array>} - Documentation entries
+ */
+async function fetchDocs(names) {
+  const docs = [];
+  const seen = new Set();
+
+  for (const name of names) {
+    if (docs.length >= MAX_EMBEDDED_DOCS) break;
+
+    const doc = await getDocumentationById(name);
+    if (doc && !seen.has(doc.id)) {
+      seen.add(doc.id);
+      docs.push(doc);
+    }
+  }
+
+  return docs;
+}
+
+/**
+ * Build the prompt messages that embed documentation entries
+ * @param {Array} docs - Documentation entries
+ * @returns {Array} - MCP prompt messages
+ */
+function docMessages(docs) {
+  return docs.map(doc => ({
+    role: 'user',
+    content: {
+      type: 'resource',
+      resource: {
+        uri: instructionUri(doc.webdna_id),
+        mimeType: 'text/markdown',
+        text: formatDocumentationMarkdown(doc)
+      }
+    }
+  }));
+}
+
+/**
+ * Build a text prompt message
+ * @param {string} text - Message text
+ * @returns {Object} - MCP prompt message
+ */
+function textMessage(text) {
+  return {
+    role: 'user',
+    content: {
+      type: 'text',
+      text
+    }
+  };
+}
+
+const promptBuilders = {
+  'explain-webdna-snippet': async ({ code }) => {
+    const docs = await fetchDocs(extractInstructionNames(code));
+
+    return {
+      description: 'Explain a WebDNA snippet',
+      messages: [
+        ...docMessages(docs),
+        textMessage(
+          'Using the WebDNA documentation above, explain what the following WebDNA code does, ' +
+          'instruction by instruction. Point out anything that looks like a mistake.\n\n' +
+          '```webdna\n' + code + '\n```'
+        )
+      ]
+    };
+  },
+
+  'write-webdna-search': async ({ database, criteria, fields }) => {
+    const docs = await fetchDocs(['search', 'founditems', 'numfound', 'showif']);
+
+    const fieldNote = fields
+      ? `Display these fields for each result: ${fields}.`
+      : 'Display the fields that are relevant to the criteria.';
+
+    return {
+      description: `Write a [search] against ${database}`,
+      messages: [
+        ...docMessages(docs),
+        textMessage(
+          `Using the WebDNA documentation above, write a [search] against the database "${database}" ` +
+          `that finds: ${criteria}\n\n` +
+          `${fieldNote} Use a [founditems] loop for the results and handle the case where nothing is found. ` +
+          'Only use search parameters that appear in the documentation.'
+        )
+      ]
+    };
+  },
+
+  'port-php-to-webdna': async ({ php_code, notes }) => {
+    const names = [];
+    PHP_EQUIVALENTS.forEach(({ pattern, instructions }) => {
+      if (pattern.test(php_code)) {
+        names.push(...instructions);
+      }
+    });
+
+    const docs = await fetchDocs(names.length > 0 ? names : ['text', 'showif', 'include']);
+
+    return {
+      description: 'Port a PHP page to WebDNA',
+      messages: [
+        ...docMessages(docs),
+        textMessage(
+          'Port the following PHP page to WebDNA, keeping the HTML output identical. ' +
+          'Use the WebDNA documentation above for the equivalent instructions and note any PHP ' +
+          'behaviour that has no direct WebDNA equivalent.' +
+          (notes ? `\n\nAdditional requirements: ${notes}` : '') +
+          '\n\n```php\n' + php_code + '\n```'
+        )
+      ]
+    };
+  },
+
+  'use-webdna-instruction': async ({ instruction, task }) => {
+    const doc = await getDocumentationById(instruction);
+
+    let docs = doc ? [doc] : [];
+    if (!doc) {
+      // Fall back to the closest search matches
+      const { results } = await searchDocumentation(instruction, { limit: 3 });
+      docs = await fetchDocs(results.map(result => result.webdna_id));
+    } else if (doc.related_docs) {
+      docs = docs.concat(await fetchDocs(doc.related_docs.map(related => related.webdna_id).slice(0, 3)));
+    }
+
+    return {
+      description: `How to use ${instruction}`,
+      messages: [
+        ...docMessages(docs),
+        textMessage(
+          `Using the WebDNA documentation above, explain how to use ${instruction}` +
+          (task ? ` to ${task}` : '') +
+          '. Show a short, complete example and explain each parameter it uses.'
+        )
+      ]
+    };
+  }
+};
+
+/**
+ * List the required arguments missing from a prompt call
+ * @param {Object} definition - Prompt definition
+ * @param {Object} args - Prompt arguments
+ * @returns {Array<string>} - Names of missing arguments
+ */
+function getMissingArguments(definition, args = {}) {
+  return definition.arguments
+    .filter(arg => arg.required && !args[arg.name])
+    .map(arg => arg.name);
+}
+
+/**
+ * Get a prompt with its arguments filled in
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments
+ * @returns {Promise<Object|null>} - { description, messages }, or null if the prompt does not exist
+ */
+async function getPrompt(name, args = {}) {
+  const definition = mcp_prompts.find(prompt => prompt.name === name);
+  if (!definition) return null;
+
+  const missing = getMissingArguments(definition, args);
+  if (missing.length > 0) {
+    throw new Error(`Missing required argument(s) for ${name}: ${missing.join(', ')}`);
+  }
+
+  return promptBuilders[name](args);
+}
+
+module.exports = {
+  mcp_prompts,
+  getPrompt,
+  getMissingArguments
+};
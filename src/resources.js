@@ -0,0 +1,346 @@
+/**
+ * MCP resources for WebDNA documentation
+ * Every documentation entry is exposed as webdna://instruction/{webdna_id}
+ * and every category as webdna://category/{name}, rendered as markdown.
+ */
+
+const { EventEmitter } = require('events');
+const { clearQueryCache } = require('./database');
+const {
+  getDocumentationById,
+  getCategories,
+  listDocumentation,
+  getCategoryByName,
+  getDocumentationUpdatedSince
+} = require('./documentation');
+
+const URI_SCHEME = 'webdna://';
+const MARKDOWN_MIME_TYPE = 'text/markdown';
+
+// Number of resources returned per resources/list page
+const PAGE_SIZE = 200;
+
+// How often to check the database for refreshed entries (milliseconds)
+const POLL_INTERVAL = parseInt(process.env.RESOURCE_POLL_INTERVAL || '60000', 10);
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${URI_SCHEME}instruction/{webdna_id}`,
+    name: 'webdna-instruction',
+    title: 'WebDNA instruction',
+    description: 'Documentation for a single WebDNA instruction or context, by its WebDNA ID',
+    mimeType: MARKDOWN_MIME_TYPE
+  },
+  {
+    uriTemplate: `${URI_SCHEME}category/{name}`,
+    name: 'webdna-category',
+    title: 'WebDNA category',
+    description: 'Overview of a WebDNA documentation category and the instructions it contains',
+    mimeType: MARKDOWN_MIME_TYPE
+  }
+];
+
+/**
+ * Build the resource URI for a documentation entry
+ * @param {string} webdnaId - WebDNA ID of the entry
+ * @returns {string} - Resource URI
+ */
+function instructionUri(webdnaId) {
+  return `${URI_SCHEME}instruction/${encodeURIComponent(webdnaId)}`;
+}
+
+/**
+ * Build the resource URI for a category
+ * @param {string} name - Category name
+ * @returns {string} - Resource URI
+ */
+function categoryUri(name) {
+  return `${URI_SCHEME}category/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Parse a webdna:// resource URI
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} - { type: 'instruction' | 'category', key } or null if not recognised
+ */
+function parseResourceUri(uri) {
+  const match = /^webdna:\/\/(instruction|category)\/(.+)$/.exec(uri || '');
+  if (!match) return null;
+
+  try {
+    return { type: match[1], key: decodeURIComponent(match[2]) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Render the parameters of a documentation entry as a markdown list
+ * Falls back to the converted section when no structured parameters were found.
+ * @param {Object} doc - Documentation entry
+ * @returns {string} - Markdown text (empty if the entry has no parameters)
+ */
+function formatParametersMarkdown(doc) {
+  if (!Array.isArray(doc.parameters) || doc.parameters.length === 0) {
+    return doc.parameters_markdown || '';
+  }
+
+  return doc.parameters.map(parameter => {
+    const details = [];
+    if (parameter.required !== null && parameter.required !== undefined) {
+      details.push(parameter.required ? 'required' : 'optional');
+    }
+    if (parameter.default) {
+      details.push(`default: \`${parameter.default}\``);
+    }
+    if (parameter.values && parameter.values.length > 0) {
+      const meanings = parameter.value_descriptions || {};
+      details.push(`values: ${parameter.values.map(value => `\`${value}\`${meanings[value] ? ` (${meanings[value]})` : ''}`).join(', ')}`);
+    }
+
+    const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+    return `- \`${parameter.name}\`${suffix}${parameter.description ? ` - ${parameter.description}` : ''}`;
+  }).join('\n');
+}
+
+/**
+ * Render the examples of a documentation entry as fenced code blocks
+ * Falls back to the converted section when no separate examples were found.
+ * @param {Object} doc - Documentation entry
+ * @returns {string} - Markdown text (empty if the entry has no examples)
+ */
+function formatExamplesMarkdown(doc) {
+  if (!Array.isArray(doc.examples) || doc.examples.length === 0) {
+    return doc.examples_markdown || '';
+  }
+
+  return doc.examples.map(example => {
+    const lines = [];
+    if (example.explanation) {
+      lines.push(example.explanation, '');
+    }
+    lines.push('```' + (example.language || ''), example.code, '```');
+    if (example.results) {
+      lines.push('', 'Results:', '', '```', example.results, '```');
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Render a documentation entry as markdown
+ * @param {Object} doc - Documentation entry from getDocumentationById
+ * @returns {string} - Markdown text
+ */
+function formatDocumentationMarkdown(doc) {
+  const lines = [`# ${doc.instruction}`, ''];
+
+  lines.push(`Category: ${doc.category_name}`, '');
+
+  if (doc.description) {
+    lines.push(doc.description, '');
+  }
+
+  if (doc.syntax) {
+    lines.push('## Syntax', '', '```webdna', doc.syntax, '```', '');
+  }
+
+  const parameters = formatParametersMarkdown(doc);
+  if (parameters) {
+    lines.push('## Parameters', '', parameters, '');
+  }
+
+  const examples = formatExamplesMarkdown(doc);
+  if (examples) {
+    lines.push('## Examples', '', examples, '');
+  }
+
+  if (doc.related_docs && doc.related_docs.length > 0) {
+    lines.push('## See also', '');
+    doc.related_docs.forEach(related => {
+      lines.push(`- [${related.instruction}](${instructionUri(related.webdna_id)})`);
+    });
+    lines.push('');
+  }
+
+  if (doc.url) {
+    lines.push(`Source: ${doc.url}`);
+  }
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Render a category overview as markdown
+ * @param {Object} category - Category from getCategoryByName
+ * @returns {string} - Markdown text
+ */
+function formatCategoryMarkdown(category) {
+  const lines = [`# ${category.name}`, ''];
+
+  if (category.description) {
+    lines.push(category.description, '');
+  }
+
+  lines.push(`${category.docs.length} instruction(s):`, '');
+
+  category.docs.forEach(doc => {
+    const summary = doc.description ? ` - ${doc.description.split('\n')[0]}` : '';
+    lines.push(`- [${doc.instruction}](${instructionUri(doc.webdna_id)})${summary}`);
+  });
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * List documentation and category resources
+ * Categories come first, followed by every documentation entry.
+ * @param {string} cursor - Opaque pagination cursor from a previous page (optional)
+ * @returns {Promise<Object>} - { resources, nextCursor }
+ */
+async function listResources(cursor = null) {
+  const offset = cursor ? parseInt(Buffer.from(cursor, 'base64').toString('utf8'), 10) || 0 : 0;
+
+  const categories = await getCategories();
+  const categoryResources = categories.map(category => ({
+    uri: categoryUri(category.name),
+    name: category.name,
+    title: `${category.name} (category)`,
+    description: category.description || `${category.instruction_count} WebDNA instruction(s)`,
+    mimeType: MARKDOWN_MIME_TYPE
+  }));
+
+  const resources = categoryResources.slice(offset, offset + PAGE_SIZE);
+  const docOffset = Math.max(0, offset - categoryResources.length);
+  const remaining = PAGE_SIZE - resources.length;
+
+  // Fetch one extra entry to know whether there is another page
+  const docs = remaining > 0
+    ? await listDocumentation({ limit: remaining + 1, offset: docOffset })
+    : [];
+
+  docs.slice(0, remaining).forEach(doc => {
+    resources.push({
+      uri: instructionUri(doc.webdna_id),
+      name: doc.webdna_id,
+      title: doc.instruction,
+      description: doc.description || undefined,
+      mimeType: MARKDOWN_MIME_TYPE
+    });
+  });
+
+  const result = { resources };
+
+  if (remaining === 0 || docs.length > remaining) {
+    result.nextCursor = Buffer.from(String(offset + PAGE_SIZE), 'utf8').toString('base64');
+  }
+
+  return result;
+}
+
+/**
+ * Read a resource
+ * @param {string} uri - Resource URI
+ * @returns {Promise<Object|null>} - { contents } or null if the resource does not exist
+ */
+async function readResource(uri) {
+  const parsed = parseResourceUri(uri);
+  if (!parsed) return null;
+
+  let text;
+  if (parsed.type === 'instruction') {
+    const doc = await getDocumentationById(parsed.key);
+    if (!doc) return null;
+    text = formatDocumentationMarkdown(doc);
+  } else {
+    const category = await getCategoryByName(parsed.key);
+    if (!category) return null;
+    text = formatCategoryMarkdown(category);
+  }
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: MARKDOWN_MIME_TYPE,
+        text
+      }
+    ]
+  };
+}
+
+// Emits 'updated' with { uris, listChanged } when refreshed entries are detected
+const resourceEvents = new EventEmitter();
+resourceEvents.setMaxListeners(0);
+
+let pollTimer = null;
+let lastCheck = null;
+
+/**
+ * Check the database for entries changed since the last poll
+ */
+async function checkForUpdates() {
+  const since = lastCheck;
+  lastCheck = new Date().toISOString();
+
+  try {
+    const changed = await getDocumentationUpdatedSince(since);
+    if (changed.length === 0) return;
+
+    // Cached copies of these entries are now stale
+    clearQueryCache();
+
+    const uris = new Set();
+    let listChanged = false;
+
+    changed.forEach(doc => {
+      uris.add(instructionUri(doc.webdna_id));
+      uris.add(categoryUri(doc.category));
+
+      if (new Date(doc.created_at) > new Date(since)) {
+        listChanged = true;
+      }
+    });
+
+    resourceEvents.emit('updated', { uris: [...uris], listChanged });
+  } catch (error) {
+    console.error('Error checking for documentation updates:', error);
+  }
+}
+
+/**
+ * Listen for documentation updates
+ * Polling starts with the first listener and stops after the last one is removed.
+ * @param {Function} listener - Called with { uris, listChanged }
+ * @returns {Function} - Call to stop listening
+ */
+function onResourcesUpdated(listener) {
+  resourceEvents.on('updated', listener);
+
+  if (!pollTimer) {
+    lastCheck = new Date().toISOString();
+    pollTimer = setInterval(checkForUpdates, POLL_INTERVAL);
+    pollTimer.unref();
+  }
+
+  return () => {
+    resourceEvents.off('updated', listener);
+
+    if (resourceEvents.listenerCount('updated') === 0 && pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+}
+
+module.exports = {
+  RESOURCE_TEMPLATES,
+  instructionUri,
+  categoryUri,
+  parseResourceUri,
+  formatDocumentationMarkdown,
+  formatCategoryMarkdown,
+  listResources,
+  readResource,
+  onResourcesUpdated
+};
@@ -0,0 +1,93 @@
+/**
+ * Workspace scanner command line
+ * Reports which WebDNA instructions the templates in a directory use, the
+ * ones the documentation doesn't know, deprecated usages and the files that
+ * use each .db file.
+ *
+ * Usage: node src/scan-workspace.js [directory] [--json] [--files] [--ext=.tpl,.inc] [--output=report.md]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { initializeDatabase } = require('./database');
+const { getStorage } = require('./storage');
+const { getInstructionReference } = require('./documentation');
+const { scanWorkspace, formatWorkspaceReport } = require('./webdna');
+
+/**
+ * Parse scanner command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - { directory, json, files, extensions, output }
+ */
+function parseArgs(args) {
+  const options = { directory: '.', json: false, files: false };
+
+  args.forEach(arg => {
+    // Only the first "=" separates the flag, values may hold more (--output=a=b.md)
+    const equals = arg.indexOf('=');
+    const flag = equals >= 0 ? arg.slice(0, equals) : arg;
+    const value = equals >= 0 ? arg.slice(equals + 1) : undefined;
+
+    if (!arg.startsWith('--')) {
+      options.directory = arg;
+    } else if (flag === '--json') {
+      options.json = true;
+    } else if (flag === '--files') {
+      options.files = true;
+    } else if (flag === '--ext' && value) {
+      options.extensions = value.split(',').map(extension => extension.trim()).filter(Boolean);
+    } else if (flag === '--output' && value) {
+      options.output = path.resolve(value);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Scan a directory and print or save the report
+ * @param {Object} options - Result of parseArgs
+ * @returns {Promise<Object>} - The report
+ */
+async function runScan(options) {
+  await initializeDatabase();
+
+  const report = await scanWorkspace(options.directory, {
+    entries: await getInstructionReference(),
+    extensions: options.extensions
+  });
+  const output = options.json
+    ? JSON.stringify(report, null, 2) + '\n'
+    : formatWorkspaceReport(report, { files: options.files });
+
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+    console.error(`Wrote the report for ${report.files_scanned} files to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  return report;
+}
+
+// Run the CLI if this file is executed directly
+if (require.main === module) {
+  // Keep stdout for the report
+  console.log = console.error;
+
+  Promise.resolve()
+    .then(() => runScan(parseArgs(process.argv.slice(2))))
+    .then(() => getStorage().close())
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`Scan error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runScan
+};
@@ -0,0 +1,521 @@
+/**
+ * Parser for docs.webdna.us instruction pages
+ * Turns the HTML of an instruction page into the column values stored in
+ * the documentation table.
+ */
+
+const cheerio = require('cheerio');
+
+// Parameter names look like identifiers (db, max, sort1, ...)
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+// Labels of prose lines that look like "name: description"
+const NOT_PARAMETER_NAMES = new Set(['note', 'notes', 'example', 'examples', 'tip', 'warning', 'important', 'see']);
+
+// "name - description", "name: description" or "name = description"
+const NAME_DESCRIPTION_PATTERN = /^\s*\[?([A-Za-z_][\w.-]*)(?:=[^\s\]]*)?\]?\s*(?:[-–—:=]|\s{2,})\s*(.+)$/s;
+
+// "(required)" or "Optional." opening a description, and "Required." ending it
+const LEADING_REQUIRED_PATTERN = /^\s*(?:\((?:required|optional|mandatory)\)|(?:required|optional|mandatory)\.)\s*/i;
+const TRAILING_REQUIRED_PATTERN = /(^|[.!?])\s*(?:required|optional|mandatory)\.?\s*$/i;
+
+// "Default is 100." or "Defaults to all." sentences
+const DEFAULT_SENTENCE_PATTERN = /(^|[.!?])\s*(?:the\s+)?defaults?(?: value)?(?: is| to|:)\s*[\s\S]*?(?:\.(?=\s|$)|$)/i;
+
+// An allowed value followed by what it means: "^ (contains)"
+const VALUE_GLOSS_PATTERN = /^(.+?)\s+\((.+)\)$/;
+
+/**
+ * Parse an instruction page
+ * @param {string} html - Page HTML
+ * @param {Object} options - { baseUrl } of the site, so absolute links to it count as internal
+ * @returns {Object} - { description, description_html, syntax, parameters, parameters_html, examples, examples_html, related_refs }
+ */
+function parseInstructionPage(html, options = {}) {
+  const $ = cheerio.load(html);
+
+  // Extract instruction details
+  const descriptionElement = $('article p').first();
+  const description = descriptionElement.text().trim();
+
+  const parameterElements = getSectionElements($, 'parameter');
+  const exampleElements = getSectionElements($, 'example');
+  const syntaxElements = getSectionElements($, 'syntax');
+
+  let exampleBlocks = flattenBlocks($, exampleElements);
+  if (exampleElements.length === 0) {
+    // Without an Examples heading, code blocks outside the other sections are the examples
+    const sectionNodes = new Set([...parameterElements, ...syntaxElements].map(element => element.get(0)));
+    exampleBlocks = flattenBlocks($, $('article').children().toArray()
+      .filter(node => !sectionNodes.has(node))
+      .map(node => $(node)));
+  }
+
+  // Prefer a Syntax section, then code outside the Examples section
+  const exampleNodes = new Set(exampleElements.length > 0 ? exampleBlocks.map(block => block.get(0)) : []);
+  const syntax = findSyntax(syntaxElements.length > 0 ? flattenBlocks($, syntaxElements) : [])
+    || findSyntax($('pre').toArray().filter(node => !exampleNodes.has(node)).map(node => $(node)))
+    || findSyntax(exampleBlocks);
+
+  const examples = parseExamples($, exampleBlocks, exampleElements.length > 0 ? null : syntax);
+
+  return {
+    description,
+    description_html: descriptionElement.length ? $.html(descriptionElement) : '',
+    syntax,
+    parameters: parseParameters($, parameterElements),
+    parameters_html: sectionHtml($, parameterElements),
+    examples,
+    examples_html: sectionHtml($, exampleElements),
+    related_refs: findRelatedReferences($, examples, options.baseUrl)
+  };
+}
+
+/**
+ * Get the elements between an <h3> whose text contains a keyword and the next <h3>
+ * @param {Function} $ - Cheerio document
+ * @param {string} keyword - Lower-case text to look for in the heading
+ * @returns {Array} - Cheerio elements (empty if the page has no such section)
+ */
+function getSectionElements($, keyword) {
+  const elements = [];
+
+  $('h3').each((index, element) => {
+    if ($(element).text().trim().toLowerCase().includes(keyword)) {
+      let currentElement = $(element).next();
+
+      while (currentElement.length && !currentElement.is('h3')) {
+        elements.push(currentElement);
+        currentElement = currentElement.next();
+      }
+
+      return false; // Only the first matching section
+    }
+  });
+
+  return elements;
+}
+
+/**
+ * Concatenate the HTML of section elements
+ */
+function sectionHtml($, elements) {
+  return elements.map(element => $.html(element)).join('').trim();
+}
+
+/**
+ * Collapse the whitespace of an element's text
+ */
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split elements into blocks: code blocks and the paragraphs, lists and
+ * headings around them, descending into wrappers that contain code
+ * @param {Function} $ - Cheerio document
+ * @param {Array} elements - Cheerio elements
+ * @returns {Array} - Cheerio elements in document order
+ */
+function flattenBlocks($, elements) {
+  const blocks = [];
+
+  elements.forEach(element => {
+    if (element.is('pre') || element.find('pre').length === 0) {
+      blocks.push(element);
+      return;
+    }
+
+    flattenBlocks($, element.children().toArray().map(child => $(child))).forEach(block => blocks.push(block));
+  });
+
+  return blocks;
+}
+
+/**
+ * Find the syntax of an instruction: the first code block containing brackets
+ * @param {Array} blocks - Blocks to look in
+ * @returns {string} - Empty if there is no such block
+ */
+function findSyntax(blocks) {
+  const block = blocks.find(element => {
+    if (!element.is('pre')) return false;
+    const codeText = element.text().trim();
+    return codeText.includes('[') && codeText.includes(']');
+  });
+
+  return block ? block.text().trim() : '';
+}
+
+/**
+ * Guess the language of a code block
+ * @param {string} code - Code text
+ * @returns {string} - 'webdna', 'html' or 'text'
+ */
+function detectLanguage(code) {
+  if (/\[\/?[A-Za-z_][\w.]*(?=[\s\]=])/.test(code)) return 'webdna';
+  if (/<\/?[A-Za-z][\w-]*[\s>]/.test(code)) return 'html';
+  return 'text';
+}
+
+/**
+ * Parse examples into separate records
+ * Prose before a code block explains it, and a "Results:" label followed by
+ * text or another code block holds the output it produces.
+ * @param {Function} $ - Cheerio document
+ * @param {Array} blocks - Blocks from flattenBlocks
+ * @param {string|null} syntax - Syntax code block to skip, if the blocks include it
+ * @returns {Array} - { code, language, explanation, results }
+ */
+function parseExamples($, blocks, syntax = null) {
+  const examples = [];
+  let prose = [];
+  let current = null;
+  let awaitingResults = false;
+
+  blocks.forEach(element => {
+    if (element.is('pre')) {
+      const code = element.text().replace(/^\n+|\s+$/g, '');
+      if (!code || (syntax && !current && code.trim() === syntax)) {
+        prose = [];
+        return;
+      }
+
+      if (awaitingResults && current) {
+        current.results = code;
+        awaitingResults = false;
+        return;
+      }
+
+      current = {
+        code,
+        language: detectLanguage(code),
+        explanation: prose.join('\n\n') || null,
+        results: null
+      };
+      examples.push(current);
+      prose = [];
+      return;
+    }
+
+    // A heading starts a new group of examples
+    if (element.is('h1, h2, h3, h4, h5, h6')) {
+      prose = [];
+      awaitingResults = false;
+      return;
+    }
+
+    const text = cleanText(element.text());
+    if (!text) return;
+
+    const resultsMatch = /^(results?|output)\s*:\s*(.*)$/i.exec(text);
+    if (resultsMatch && current) {
+      if (resultsMatch[2]) {
+        current.results = resultsMatch[2];
+      } else {
+        awaitingResults = true;
+      }
+      return;
+    }
+
+    awaitingResults = false;
+    prose.push(text);
+  });
+
+  // Prose after the last example explains it when nothing came before
+  if (current && !current.explanation && prose.length > 0) {
+    current.explanation = prose.join('\n\n');
+  }
+
+  return examples;
+}
+
+/**
+ * Extract the WebDNA ID from an instruction page URL
+ * @param {string} url - Page URL or path, e.g. /instructions/search
+ * @returns {string} - Last path segment
+ */
+function extractWebDnaId(url) {
+  const match = url.match(/\/([^\/]+)\/([^\/]+)$/);
+  return match ? match[2] : url;
+}
+
+/**
+ * Find the instruction and context names used in WebDNA code
+ * @param {string} code - WebDNA source
+ * @returns {Array<string>} - Unique lower-case names, in order of first use
+ */
+function extractInstructionNames(code) {
+  const names = new Set();
+  const pattern = /(^|[^^])\[\/?([A-Za-z_][\w.]*)/g;
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    names.add(match[2].toLowerCase());
+  }
+
+  return [...names];
+}
+
+/**
+ * Collect references to other instructions: links to other pages first,
+ * then instructions used together in the examples. References are WebDNA
+ * IDs or instruction names and are resolved once every page is stored.
+ * @param {Function} $ - Cheerio document
+ * @param {Array} examples - Examples from parseExamples
+ * @param {string} baseUrl - Site being scraped (default: docs.webdna.us)
+ * @returns {Array<string>} - Unique references
+ */
+function findRelatedReferences($, examples, baseUrl = 'https://docs.webdna.us') {
+  const references = new Set();
+  const siteOrigins = new Set(['https://docs.webdna.us', 'http://docs.webdna.us', baseUrl.replace(/\/+$/, '').toLowerCase()]);
+
+  $('article a[href]').each((index, link) => {
+    const href = $(link).attr('href').split(/[?#]/)[0];
+    const origin = (/^https?:\/\/[^/]+/i.exec(href) || [''])[0].toLowerCase();
+    const isDocsLink = origin ? siteOrigins.has(origin) : href.startsWith('/') && !href.startsWith('//');
+
+    if (isDocsLink && /\/[^\/]+\/[^\/]+$/.test(href)) {
+      references.add(extractWebDnaId(href));
+    }
+  });
+
+  examples.forEach(example => {
+    if (example.language !== 'text') {
+      extractInstructionNames(example.code).forEach(name => references.add(name));
+    }
+  });
+
+  return [...references];
+}
+
+/**
+ * Parse the parameters section into structured records
+ * Handles the layouts used on docs.webdna.us: tables, definition lists,
+ * bulleted lists and "name - description" paragraphs.
+ * @param {Function} $ - Cheerio document
+ * @param {Array} elements - Elements of the parameters section
+ * @returns {Array} - { name, required, default, values, description }
+ */
+function parseParameters($, elements) {
+  const entries = [];
+
+  elements.forEach(element => {
+    const tables = element.is('table') ? element : element.find('table');
+    if (tables.length) {
+      tables.each((i, table) => entries.push(...parseParameterTable($, $(table))));
+      return;
+    }
+
+    const definitionLists = element.is('dl') ? element : element.find('dl');
+    if (definitionLists.length) {
+      definitionLists.find('dt').each((i, term) => {
+        entries.push({
+          name: cleanText($(term).text()),
+          description: cleanText($(term).nextUntil('dt', 'dd').text())
+        });
+      });
+      return;
+    }
+
+    const items = element.is('ul, ol') ? element.children('li') : element.find('li');
+    if (items.length) {
+      items.each((i, item) => {
+        const entry = parseParameterLine($, $(item));
+        if (entry) entries.push(entry);
+      });
+      return;
+    }
+
+    // Paragraphs, possibly with one parameter per <br>-separated line
+    const lines = ($.html(element) || '').split(/<br\s*\/?>/i);
+    lines.forEach(line => {
+      const entry = parseParameterLine($, cheerio.load(`<div>${line}</div>`, null, false)('div'));
+      if (entry) entries.push(entry);
+    });
+  });
+
+  // Keep the first entry for each name
+  const seen = new Set();
+
+  return entries
+    .map(normalizeParameter)
+    .filter(parameter => {
+      if (!parameter || seen.has(parameter.name.toLowerCase())) return false;
+      seen.add(parameter.name.toLowerCase());
+      return true;
+    });
+}
+
+/**
+ * Parse a parameter table, mapping columns by their header text
+ * @returns {Array} - Raw parameter entries
+ */
+function parseParameterTable($, table) {
+  const rows = table.find('tr').toArray().map(row => $(row).children('th, td').toArray().map(cell => cleanText($(cell).text())));
+  if (rows.length === 0) return [];
+
+  const hasHeader = table.find('th').length > 0;
+  const header = hasHeader ? rows.shift().map(text => text.toLowerCase()) : [];
+
+  const findColumn = (pattern) => header.findIndex(text => pattern.test(text));
+  let nameColumn = findColumn(/param|name|attribute/);
+  let descriptionColumn = findColumn(/desc|meaning|purpose|explanation/);
+  const requiredColumn = findColumn(/required|optional/);
+  const defaultColumn = findColumn(/default/);
+  const valuesColumn = findColumn(/value|option|allowed/);
+
+  if (nameColumn === -1) nameColumn = 0;
+  if (descriptionColumn === -1) {
+    descriptionColumn = header.length > 0 ? header.length - 1 : 1;
+  }
+
+  return rows
+    .filter(cells => cells.length > 1)
+    .map(cells => ({
+      name: cells[nameColumn],
+      description: cells[descriptionColumn] || '',
+      requiredText: requiredColumn !== -1 ? cells[requiredColumn] : null,
+      defaultText: defaultColumn !== -1 ? cells[defaultColumn] : null,
+      valuesText: valuesColumn !== -1 && valuesColumn !== defaultColumn ? cells[valuesColumn] : null
+    }));
+}
+
+/**
+ * Parse a list item or paragraph line such as "<code>db</code> - the database file"
+ * @returns {Object|null} - Raw parameter entry, or null for prose
+ */
+function parseParameterLine($, element) {
+  const text = cleanText(element.text());
+  if (!text) return null;
+
+  // A leading <code>, <strong> or <b> holds the name
+  const first = element.children().first();
+  if (first.length && first.is('code, strong, b, em') && text.startsWith(cleanText(first.text()))) {
+    const name = cleanText(first.text());
+    const description = text.slice(name.length).replace(/^\s*[-–—:=]\s*/, '');
+    return { name, description };
+  }
+
+  const match = NAME_DESCRIPTION_PATTERN.exec(text);
+  return match ? { name: match[1], description: cleanText(match[2]) } : null;
+}
+
+/**
+ * Turn a raw entry into a parameter record, inferring the required flag,
+ * default value and allowed values from the description when the page has
+ * no dedicated columns for them. Values listed with their meaning, such as
+ * "^ (contains)", keep the meaning in value_descriptions.
+ * @param {Object} entry - { name, description, requiredText, defaultText, valuesText }
+ * @returns {Object|null} - Parameter record, or null if the name is not a parameter name
+ */
+function normalizeParameter(entry) {
+  // "[db=path]" or "db=..." style names
+  const name = cleanText(entry.name).replace(/^\[|\]$/g, '').replace(/=.*$/, '').trim();
+  if (!PARAMETER_NAME_PATTERN.test(name) || NOT_PARAMETER_NAMES.has(name.toLowerCase())) return null;
+
+  const description = cleanText(entry.description);
+  const required = parseRequired(entry.requiredText, description);
+  const defaultValue = parseDefault(entry.defaultText, description);
+  const values = [];
+  const valueDescriptions = {};
+
+  parseValues(entry.valuesText, description).forEach(listed => {
+    const gloss = VALUE_GLOSS_PATTERN.exec(listed);
+    const value = gloss ? gloss[1] : listed;
+    values.push(value);
+    if (gloss) valueDescriptions[value] = gloss[2];
+  });
+
+  const record = {
+    name,
+    required,
+    default: defaultValue,
+    values,
+    description: stripCapturedText(description, required, defaultValue)
+  };
+  if (Object.keys(valueDescriptions).length > 0) record.value_descriptions = valueDescriptions;
+
+  return record;
+}
+
+/**
+ * Remove the required marker and default sentence from a description once
+ * they are captured in their own fields
+ * @returns {string}
+ */
+function stripCapturedText(description, required, defaultValue) {
+  let text = description;
+
+  if (required !== null) {
+    text = text.replace(LEADING_REQUIRED_PATTERN, '').replace(TRAILING_REQUIRED_PATTERN, '$1');
+  }
+  if (defaultValue !== null) {
+    text = text.replace(DEFAULT_SENTENCE_PATTERN, '$1');
+  }
+
+  return text.trim();
+}
+
+/**
+ * Decide whether a parameter is required
+ * @returns {boolean|null} - null when the page doesn't say
+ */
+function parseRequired(requiredText, description) {
+  if (requiredText) {
+    if (/^(yes|y|required|true|x|✓)$/i.test(requiredText.trim())) return true;
+    if (/^(no|n|optional|false|-)?$/i.test(requiredText.trim())) return false;
+  }
+
+  if (/\b(optional|not required)\b/i.test(description)) return false;
+  if (/\b(required|mandatory)\b/i.test(description)) return true;
+  return null;
+}
+
+/**
+ * Find the default value of a parameter
+ * @returns {string|null}
+ */
+function parseDefault(defaultText, description) {
+  if (defaultText && !/^(-|none|n\/a)?$/i.test(defaultText.trim())) {
+    return defaultText.trim();
+  }
+
+  const match = /\bdefault(?:s| value)?(?: is| to|:)?\s*["'“]?([^\s"'”,;)]+?)["'”]?(?=[\s,;)]|\.(?:\s|$)|$)/i.exec(description)
+    || /["'“]?([^\s"'”,;(]+)["'”]?\s*\(default\)/i.exec(description);
+
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the allowed values of a parameter
+ * @returns {Array<string>} - Empty when any value is accepted
+ */
+function parseValues(valuesText, description) {
+  let list = valuesText;
+
+  if (!list) {
+    const match = /\b(?:possible|allowed|valid|accepted|available) values?(?: are| is)?:?\s*([^.]+)/i.exec(description)
+      || /\b(?:one of|either)\s*:?\s*([^.]+)/i.exec(description);
+    list = match ? match[1] : null;
+  }
+
+  if (!list) {
+    return /\bT\/F\b/.test(description) ? ['T', 'F'] : [];
+  }
+
+  return list
+    .split(/\s*(?:,|\||\/|\bor\b|\band\b)\s*/i)
+    .map(value => value.replace(/^["'“]|["'”]$/g, '').replace(/\s*\(default\)$/i, '').trim())
+    .filter(value => value && value.length <= 40 && !/\s{2,}/.test(value));
+}
+
+module.exports = {
+  parseInstructionPage,
+  parseParameters,
+  parseExamples,
+  getSectionElements,
+  detectLanguage,
+  extractWebDnaId,
+  extractInstructionNames
+};
@@ -0,0 +1,133 @@
+/**
+ * Job queue helpers for the scraper
+ * A worker pool with a concurrency limit, a shared rate limiter for
+ * outgoing requests and exponential-backoff retries.
+ */
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a rate limiter that spaces calls evenly
+ * @param {number} requestsPerSecond - Maximum rate (0 or less disables the limit)
+ * @returns {Object} - { wait } where wait() resolves when the next call may start
+ */
+function createRateLimiter(requestsPerSecond) {
+  const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  let nextSlot = 0;
+
+  return {
+    async wait() {
+      if (interval === 0) return;
+
+      // Reserve the next free slot before waiting, so concurrent callers queue up
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + interval;
+
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    }
+  };
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * Network errors, timeouts, 429 and 5xx responses are; other HTTP errors
+ * (such as a 404) will fail the same way again, as will errors flagged with
+ * `retryable = false`.
+ * @param {Error} error - Error thrown by axios or a page source
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (error.retryable === false) return false;
+
+  const status = error.response && error.response.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Describe a fetch error in one line
+ * @param {Error} error - Error thrown by axios or a page source
+ * @returns {string}
+ */
+function describeError(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}${error.response.statusText ? ` ${error.response.statusText}` : ''}`;
+  }
+  return error.code ? `${error.code}: ${error.message}` : error.message;
+}
+
+/**
+ * Run an async function, retrying with exponential backoff
+ * @param {Function} fn - Called with the attempt number (starting at 1)
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Number of retries after the first attempt (default: 3)
+ * @param {number} options.baseDelay - Delay before the first retry in milliseconds (default: 1000)
+ * @param {number} options.maxDelay - Maximum delay between attempts in milliseconds (default: 30000)
+ * @param {Function} options.onRetry - Called with (error, attempt, delay) before each retry
+ * @returns {Promise<*>} - Result of fn. On failure the error is rethrown with an `attempts` property.
+ */
+async function withRetry(fn, options = {}) {
+  const { retries = 3, baseDelay = 1000, maxDelay = 30000, onRetry = null } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      // Honour Retry-After (in seconds) on 429/503 responses
+      const retryAfter = error.response && parseInt(error.response.headers?.['retry-after'], 10);
+      const backoff = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+      const delay = retryAfter > 0 ? Math.min(retryAfter * 1000, maxDelay) : backoff;
+
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Process items with a pool of concurrent workers
+ * Items are started in order; the worker is expected to handle its own errors.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items in progress at once
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Worker results, in item order
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const poolSize = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+
+  return results;
+}
+
+module.exports = {
+  sleep,
+  createRateLimiter,
+  isRetryableError,
+  describeError,
+  withRetry,
+  runWithConcurrency
+};
@@ -1,50 +1,417 @@
-const axios = require('axios');
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const cheerio = require('cheerio');
-const { supabase, initializeDatabase } = require('./database');
+const { initializeDatabase } = require('./database');
+const { getStorage } = require('./storage');
+const { parseInstructionPage, extractWebDnaId } = require('./scraper-parser');
+const { htmlToMarkdown } = require('./markdown');
+const { describeError, runWithConcurrency } = require('./scraper-queue');
+const { createSource } = require('./sources');
 
 // Base URL for WebDNA documentation
-const BASE_URL = 'https://docs.webdna.us';
+const DEFAULT_BASE_URL = 'https://docs.webdna.us';
+
+// Maximum number of related instructions stored per entry
+const MAX_RELATED = 20;
+
+// When to render pages in a headless browser
+const RENDER_MODES = ['auto', 'always', 'never'];
+
+/**
+ * Get the scraper options, from the environment unless overridden
+ * @param {Object} overrides - Options that take precedence over the environment
+ * @returns {Object} - Scraper options
+ */
+function getScraperOptions(overrides = {}) {
+  const env = process.env;
+  const options = {
+    baseUrl: env.SCRAPER_BASE_URL || DEFAULT_BASE_URL,
+    concurrency: parseInt(env.SCRAPER_CONCURRENCY || '2', 10),
+    rateLimit: parseFloat(env.SCRAPER_RATE_LIMIT || '2'), // Requests per second
+    retries: parseInt(env.SCRAPER_MAX_RETRIES || '3', 10),
+    retryDelay: parseInt(env.SCRAPER_RETRY_DELAY || '1000', 10),
+    timeout: parseInt(env.SCRAPER_TIMEOUT || '30000', 10),
+    sourceDir: env.SCRAPER_SOURCE_DIR || null,
+    render: env.SCRAPER_RENDER || 'auto', // auto (fallback), always or never
+    checkpointPath: env.SCRAPER_CHECKPOINT || path.join(__dirname, '../data/scraper-checkpoint.json'),
+    userAgent: env.SCRAPER_USER_AGENT || `webdna-mcp-server/${require('../package.json').version}`,
+    resume: true,
+    ...overrides
+  };
+  
+  options.baseUrl = options.baseUrl.replace(/\/+$/, '');
+  
+  if (!RENDER_MODES.includes(options.render)) {
+    throw new Error(`Invalid render option "${options.render}" (expected one of: ${RENDER_MODES.join(', ')})`);
+  }
+  
+  return options;
+}
 
 /**
  * Main function to scrape WebDNA documentation
+ * Every page is fetched and compared with the stored content hash, so
+ * corrections on docs.webdna.us are picked up on the next run. Pages are
+ * fetched by a pool of workers, and progress is saved to a checkpoint file
+ * so an interrupted run resumes where it stopped.
+ * @param {Object} overrides - Scraper options (see getScraperOptions)
+ * @returns {Promise<Object>} - Summary with the added, changed, removed, unchanged and failed instructions,
+ *   the instructions whose related links changed, and a report of the pages that failed
  */
-async function scrapeDocumentation() {
+async function scrapeDocumentation(overrides = {}) {
+  const options = getScraperOptions(overrides);
+  const source = createSource(options);
+  
   try {
-    console.log('Starting WebDNA documentation scraping...');
+    console.log(`Starting WebDNA documentation scraping from ${source.location}...`);
     
     // Initialize database
     await initializeDatabase();
     
     // Scrape categories and instructions from "At A Glance" page
-    const categories = await scrapeCategories();
+    const categories = await scrapeCategories(source.fetchPage, options.baseUrl);
+    const jobs = listInstructions(categories);
+    
+    if (jobs.length === 0) {
+      throw new Error('No instructions found on the "At A Glance" page, refusing to mark every entry as removed');
+    }
+    
+    // Stored entries keyed by WebDNA ID
+    const existing = new Map();
+    (await getStorage().listDocumentationHashes()).forEach(row => existing.set(row.webdna_id, row));
+    
+    const summary = {
+      added: [],
+      changed: [],
+      removed: [],
+      unchanged: [],
+      failed: [],
+      related: [],
+      failures: []
+    };
+    const seen = new Set(jobs.map(job => job.instruction.webdna_id));
     
     // Insert categories into database
+    const categoryIds = new Map();
     for (const category of categories) {
-      const categoryId = await insertCategory(category);
+      categoryIds.set(category.name, await insertCategory(category));
+    }
+    
+    const checkpoint = options.resume ? loadCheckpoint(options.checkpointPath, source) : createCheckpoint(source);
+    const resumed = jobs.filter(job => checkpoint.completed[job.instruction.webdna_id]).length;
+    if (resumed > 0) {
+      console.log(`Resuming from checkpoint: ${resumed} of ${jobs.length} instructions already done`);
+    }
+    
+    // Scrape and save instructions
+    await runWithConcurrency(jobs, options.concurrency, async ({ instruction, categoryName }) => {
+      const done = checkpoint.completed[instruction.webdna_id];
+      if (done) {
+        summary[done.status].push(instruction.name);
+        return;
+      }
       
-      // Scrape and insert instructions for this category
-      for (const instruction of category.instructions) {
-        await scrapeAndInsertInstruction(instruction, category.name, categoryId);
-        // Add a small delay to avoid overwhelming the server
-        await new Promise(resolve => setTimeout(resolve, 500));
+      try {
+        const status = await scrapeAndSaveInstruction(instruction, categoryName, categoryIds.get(categoryName), existing.get(instruction.webdna_id), source, options);
+        summary[status].push(instruction.name);
+        
+        checkpoint.completed[instruction.webdna_id] = { instruction: instruction.name, status };
+        saveCheckpoint(options.checkpointPath, checkpoint);
+      } catch (error) {
+        summary.failed.push(instruction.name);
+        summary.failures.push(toFailure(instruction, options.baseUrl, error));
       }
-    }
+    });
     
-    console.log('WebDNA documentation scraping completed successfully!');
+    summary.removed = await markRemovedInstructions(existing, seen);
+    summary.related = await resolveRelatedInstructions();
+    
+    // The run is complete: the next one starts from scratch
+    clearCheckpoint(options.checkpointPath);
+    
+    printSummary(summary);
+    if (summary.failures.length === 0) {
+      console.log('WebDNA documentation scraping completed successfully!');
+    }
+    return summary;
   } catch (error) {
     console.error('Error scraping WebDNA documentation:', error);
+    throw error;
+  } finally {
+    // Shut down the headless browser, if it was started
+    if (source.close) await source.close();
   }
 }
 
+/**
+ * Make an instruction URL from the "At A Glance" page absolute
+ */
+function resolveUrl(url, baseUrl) {
+  return url.startsWith('http') ? url : `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+/**
+ * List the instructions to scrape, in index order
+ * Instructions listed in several categories belong to the first one.
+ * @param {Array} categories - Categories from scrapeCategories
+ * @returns {Array} - { instruction, categoryName }
+ */
+function listInstructions(categories) {
+  const seen = new Set();
+  const jobs = [];
+  
+  categories.forEach(category => {
+    category.instructions.forEach(instruction => {
+      if (seen.has(instruction.webdna_id)) return;
+      seen.add(instruction.webdna_id);
+      jobs.push({ instruction, categoryName: category.name });
+    });
+  });
+  
+  return jobs;
+}
+
+/**
+ * Build the failure report entry of a page
+ */
+function toFailure(instruction, baseUrl, error) {
+  return {
+    instruction: instruction.name,
+    url: resolveUrl(instruction.url, baseUrl),
+    error: describeError(error),
+    attempts: error.attempts || 1
+  };
+}
+
+/**
+ * Create an empty checkpoint
+ * @param {Object} source - Page source being scraped
+ * @returns {Object} - { source, started_at, completed }
+ */
+function createCheckpoint(source) {
+  return {
+    source: `${source.name}:${source.location}`,
+    started_at: new Date().toISOString(),
+    completed: {}
+  };
+}
+
+/**
+ * Load the checkpoint of an interrupted run
+ * A checkpoint for another source, or one that can't be read, is ignored.
+ * @param {string} checkpointPath - Checkpoint file
+ * @param {Object} source - Page source being scraped
+ * @returns {Object} - Checkpoint, with completed instructions keyed by WebDNA ID
+ */
+function loadCheckpoint(checkpointPath, source) {
+  const fresh = createCheckpoint(source);
+  
+  try {
+    if (!fs.existsSync(checkpointPath)) {
+      return fresh;
+    }
+    
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+    if (checkpoint.source !== fresh.source || !checkpoint.completed) {
+      console.warn(`Ignoring checkpoint ${checkpointPath}: it was written for ${checkpoint.source}`);
+      return fresh;
+    }
+    
+    return checkpoint;
+  } catch (error) {
+    console.warn(`Ignoring unreadable checkpoint ${checkpointPath}: ${error.message}`);
+    return fresh;
+  }
+}
+
+/**
+ * Write the checkpoint (to a temporary file first, so a crash can't leave it half written)
+ */
+function saveCheckpoint(checkpointPath, checkpoint) {
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+  
+  const tempPath = `${checkpointPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ ...checkpoint, updated_at: new Date().toISOString() }, null, 2));
+  fs.renameSync(tempPath, checkpointPath);
+}
+
+/**
+ * Delete the checkpoint file
+ */
+function clearCheckpoint(checkpointPath) {
+  if (fs.existsSync(checkpointPath)) {
+    fs.unlinkSync(checkpointPath);
+  }
+}
+
+/**
+ * Fetch and parse every page without touching the database
+ * Used to check parser changes against known pages, such as the fixtures in
+ * fixtures/ (see `npm run scrape:fixtures`).
+ * @param {Object} overrides - Scraper options (see getScraperOptions)
+ * @returns {Promise<Object>} - { categories, instructions, failures }, in index order
+ */
+async function parseDocumentation(overrides = {}) {
+  const options = getScraperOptions(overrides);
+  const source = createSource(options);
+  
+  try {
+    console.log(`Parsing WebDNA documentation from ${source.location} (dry run)...`);
+    
+    const categories = await scrapeCategories(source.fetchPage, options.baseUrl);
+    const jobs = listInstructions(categories);
+    const failures = [];
+    
+    const instructions = await runWithConcurrency(jobs, options.concurrency, async ({ instruction, categoryName }) => {
+      try {
+        return { ...await fetchInstruction(instruction, source, options), category: categoryName };
+      } catch (error) {
+        failures.push(toFailure(instruction, options.baseUrl, error));
+        return null;
+      }
+    });
+    
+    return {
+      categories: categories.map(category => ({
+        name: category.name,
+        instructions: category.instructions.map(instruction => instruction.webdna_id)
+      })),
+      instructions: instructions.filter(Boolean),
+      failures: failures.sort((a, b) => a.instruction.localeCompare(b.instruction))
+    };
+  } catch (error) {
+    console.error('Error parsing WebDNA documentation:', error);
+    throw error;
+  } finally {
+    if (source.close) await source.close();
+  }
+}
+
+/**
+ * Print the added/changed/removed/unchanged counts of a scrape
+ */
+function printSummary(summary) {
+  console.log('\nScrape summary:');
+  console.log(`  Added:     ${summary.added.length}`);
+  console.log(`  Changed:   ${summary.changed.length}`);
+  console.log(`  Removed:   ${summary.removed.length}`);
+  console.log(`  Unchanged: ${summary.unchanged.length}`);
+  console.log(`  Failed:    ${summary.failed.length}`);
+  console.log(`  Related links updated: ${summary.related.length}`);
+  
+  ['added', 'changed', 'removed'].forEach(key => {
+    if (summary[key].length > 0) {
+      console.log(`\n${key[0].toUpperCase()}${key.slice(1)}: ${summary[key].join(', ')}`);
+    }
+  });
+  
+  if (summary.failures.length > 0) {
+    console.log('\nFailed pages:');
+    summary.failures.forEach(failure => {
+      console.log(`  ${failure.instruction} (${failure.url}): ${failure.error} after ${failure.attempts} attempt(s)`);
+    });
+  }
+}
+
+/**
+ * Mark stored instructions that are no longer listed on the "At A Glance" page
+ * @param {Map} existing - Stored entries keyed by WebDNA ID
+ * @param {Set} seen - WebDNA IDs found in this run
+ * @returns {Promise<Array<string>>} - Names of the instructions marked as removed
+ */
+async function markRemovedInstructions(existing, seen) {
+  const removed = [];
+  const removedAt = new Date().toISOString();
+  
+  for (const [webdnaId, row] of existing.entries()) {
+    if (seen.has(webdnaId) || row.removed_at) continue;
+    
+    await getStorage().updateDocumentation(row.id, { removed_at: removedAt });
+    console.log(`Instruction ${row.instruction} is no longer listed, marked as removed`);
+    removed.push(row.instruction);
+  }
+  
+  return removed;
+}
+
+/**
+ * Resolve the references collected from each page into related documentation IDs
+ * Runs after every page is stored, so links to instructions scraped later in
+ * the run resolve too. Only entries whose related list changed are updated.
+ * @returns {Promise<Array<string>>} - Names of the instructions whose related list changed
+ */
+async function resolveRelatedInstructions() {
+  const storage = getStorage();
+  const rows = (await storage.listDocumentationReferences()).filter(row => !row.removed_at);
+  
+  // References are WebDNA IDs or instruction names
+  const idsByReference = new Map();
+  rows.forEach(row => idsByReference.set(row.webdna_id.toLowerCase(), row.id));
+  rows.forEach(row => {
+    const name = row.instruction.toLowerCase();
+    if (!idsByReference.has(name)) idsByReference.set(name, row.id);
+  });
+  
+  const updated = [];
+  
+  for (const row of rows) {
+    const related = [];
+    (row.related_refs || []).forEach(reference => {
+      const id = idsByReference.get(String(reference).toLowerCase());
+      if (id && id !== row.id && !related.includes(id) && related.length < MAX_RELATED) {
+        related.push(id);
+      }
+    });
+    
+    if (JSON.stringify(related) !== JSON.stringify(row.related || [])) {
+      await storage.updateDocumentation(row.id, { related });
+      updated.push(row.instruction);
+    }
+  }
+  
+  return updated;
+}
+
+/**
+ * Compute the content hash of a scraped instruction
+ * @param {Object} record - Scraped column values
+ * @returns {string} - SHA-256 hex digest
+ */
+function computeContentHash(record) {
+  const content = {
+    instruction: record.instruction,
+    category: record.category,
+    description: record.description,
+    description_html: record.description_html,
+    description_markdown: record.description_markdown,
+    syntax: record.syntax,
+    parameters: record.parameters,
+    parameters_html: record.parameters_html,
+    parameters_markdown: record.parameters_markdown,
+    examples: record.examples,
+    examples_html: record.examples_html,
+    examples_markdown: record.examples_markdown,
+    related_refs: record.related_refs,
+    url: record.url
+  };
+  
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
 /**
  * Scrape categories and their instructions from the "At A Glance" page
+ * @param {Function} fetchPage - fetchPage function of the page source
+ * @param {string} baseUrl - Documentation site
+ * @returns {Promise<Array>} - { name, instructions: [{ name, url, webdna_id }] }
  */
-async function scrapeCategories() {
+async function scrapeCategories(fetchPage, baseUrl) {
   try {
     console.log('Scraping categories from "At A Glance" page...');
     
-    const response = await axios.get(`${BASE_URL}/at-a-glance`);
-    const $ = cheerio.load(response.data);
+    const html = await fetchPage(`${baseUrl}/at-a-glance`);
+    const $ = cheerio.load(html);
     const categories = [];
     
     // Find all h5 elements (category headers)
@@ -88,97 +455,117 @@ async function scrapeCategories() {
 }
 
 /**
- * Scrape an individual instruction page and insert into database
+ * Fetch and parse an instruction page
+ * When the static HTML has no description or syntax, the content is
+ * probably built client-side, so the page is rendered in a headless browser
+ * instead (or always, with the render option set to 'always').
+ * @param {Object} instruction - Instruction from the "At A Glance" page
+ * @param {Object} source - Page source
+ * @param {Object} options - Scraper options
+ * @returns {Promise<Object>} - Column values, without the category
  */
-async function scrapeAndInsertInstruction(instruction, categoryName, categoryId) {
-  try {
-    console.log(`Scraping instruction: ${instruction.name} (${instruction.url})`);
+async function fetchInstruction(instruction, source, options) {
+  const url = resolveUrl(instruction.url, options.baseUrl);
+  const canRender = Boolean(source.renderPage) && options.render !== 'never';
+  
+  let renderMode = options.render === 'always' ? 'rendered' : 'static';
+  let page = parseInstructionPage(
+    renderMode === 'rendered' ? await source.renderPage(url) : await source.fetchPage(url),
+    { baseUrl: options.baseUrl }
+  );
+  
+  if (renderMode === 'static' && canRender && (!page.description || !page.syntax)) {
+    console.log(`No ${page.description ? 'syntax' : 'description'} in the static HTML of ${instruction.name}, rendering it`);
     
-    // Check if instruction already exists in database
-    const existingInstruction = await checkInstructionExists(instruction.webdna_id);
-    if (existingInstruction) {
-      console.log(`Instruction ${instruction.name} already exists in database, skipping...`);
-      return;
+    try {
+      const rendered = parseInstructionPage(await source.renderPage(url), { baseUrl: options.baseUrl });
+      if (rendered.description || rendered.syntax) {
+        page = rendered;
+        renderMode = 'rendered';
+      }
+    } catch (error) {
+      console.warn(`Could not render ${url}, keeping the static HTML: ${describeError(error)}`);
     }
+  }
+  
+  const { description, description_html, syntax, parameters, parameters_html, examples, examples_html, related_refs } = page;
+  const markdownOptions = { baseUrl: options.baseUrl };
+  
+  return {
+    instruction: instruction.name,
+    description,
+    description_html,
+    description_markdown: htmlToMarkdown(description_html, markdownOptions),
+    syntax,
+    parameters,
+    parameters_html,
+    parameters_markdown: htmlToMarkdown(parameters_html, markdownOptions),
+    examples,
+    examples_html,
+    examples_markdown: htmlToMarkdown(examples_html, markdownOptions),
+    related_refs,
+    url,
+    webdna_id: instruction.webdna_id,
+    render_mode: renderMode
+  };
+}
+
+/**
+ * Scrape an individual instruction page and save it if it is new or changed
+ * @param {Object} instruction - Instruction from the "At A Glance" page
+ * @param {string} categoryName - Category name
+ * @param {number} categoryId - Category ID (looked up by name if missing)
+ * @param {Object} existing - Stored entry for this instruction, if any
+ * @param {Object} source - Page source
+ * @param {Object} options - Scraper options
+ * @returns {Promise<string>} - 'added', 'changed' or 'unchanged'
+ */
+async function scrapeAndSaveInstruction(instruction, categoryName, categoryId, existing, source, options) {
+  try {
+    console.log(`Scraping instruction: ${instruction.name} (${instruction.url})`);
     
     // If categoryId is not provided, try to get it
     if (!categoryId) {
       const fetchedCategoryId = await getCategoryId(categoryName);
       if (!fetchedCategoryId) {
-        console.error(`Category ${categoryName} not found in database`);
-        return;
+        throw new Error(`Category ${categoryName} not found in database`);
       }
       categoryId = fetchedCategoryId;
     }
     
-    // Scrape instruction page
-    const fullUrl = instruction.url.startsWith('http') ? instruction.url : `${BASE_URL}${instruction.url}`;
-    const response = await axios.get(fullUrl);
-    const $ = cheerio.load(response.data);
-    
-    // Extract instruction details
-    const description = $('article p').first().text().trim();
-    
-    // Extract syntax
-    let syntax = '';
-    $('pre code').each((index, element) => {
-      const codeText = $(element).text().trim();
-      if (codeText.includes('[') && codeText.includes(']')) {
-        syntax = codeText;
-        return false; // Break the loop after finding the first syntax block
-      }
-    });
+    const record = {
+      ...await fetchInstruction(instruction, source, options),
+      category_id: categoryId
+    };
+    const contentHash = computeContentHash({ ...record, category: categoryName });
     
-    // Extract parameters
-    let parameters = '';
-    $('h3').each((index, element) => {
-      if ($(element).text().trim().toLowerCase().includes('parameter')) {
-        let paramContent = '';
-        let currentElement = $(element).next();
-        
-        while (currentElement.length && !currentElement.is('h3')) {
-          paramContent += $.html(currentElement);
-          currentElement = currentElement.next();
-        }
-        
-        parameters = paramContent.trim();
-        return false; // Break the loop after finding parameters section
-      }
-    });
+    if (!existing) {
+      // Insert instruction into database
+      await insertInstruction({ ...record, content_hash: contentHash, related: [] });
+      console.log(`Successfully scraped and inserted instruction: ${instruction.name}`);
+      return 'added';
+    }
     
-    // Extract examples
-    let examples = '';
-    $('h3').each((index, element) => {
-      if ($(element).text().trim().toLowerCase().includes('example')) {
-        let exampleContent = '';
-        let currentElement = $(element).next();
-        
-        while (currentElement.length && !currentElement.is('h3')) {
-          exampleContent += $.html(currentElement);
-          currentElement = currentElement.next();
-        }
-        
-        examples = exampleContent.trim();
-        return false; // Break the loop after finding examples section
+    if (existing.content_hash === contentHash && !existing.removed_at) {
+      // Same content, but it may have needed the browser this time
+      if (existing.render_mode !== record.render_mode) {
+        await getStorage().updateDocumentation(existing.id, { render_mode: record.render_mode });
       }
-    });
+      console.log(`Instruction ${instruction.name} is unchanged`);
+      return 'unchanged';
+    }
     
-    // Insert instruction into database
-    await insertInstruction({
-      instruction: instruction.name,
-      category_id: categoryId,
-      description,
-      syntax,
-      parameters,
-      examples,
-      url: fullUrl,
-      webdna_id: instruction.webdna_id,
-      related: []
+    // Content changed (or the entry was listed again after being removed)
+    await getStorage().updateDocumentation(existing.id, {
+      ...record,
+      content_hash: contentHash,
+      removed_at: null
     });
-    
-    console.log(`Successfully scraped and inserted instruction: ${instruction.name}`);
+    console.log(`Successfully scraped and updated instruction: ${instruction.name}`);
+    return 'changed';
   } catch (error) {
-    console.error(`Error scraping instruction ${instruction.name}:`, error);
+    console.error(`Error scraping instruction ${instruction.name}: ${describeError(error)}`);
+    throw error;
   }
 }
 
@@ -187,12 +574,10 @@ async function scrapeAndInsertInstruction(instruction, categoryName, categoryId)
  */
 async function insertCategory(category) {
   try {
+    const storage = getStorage();
+    
     // Check if category already exists
-    const { data: existingCategory } = await supabase
-      .from('categories')
-      .select('id')
-      .eq('name', category.name)
-      .single();
+    const existingCategory = await storage.findCategoryByName(category.name);
     
     if (existingCategory) {
       console.log(`Category ${category.name} already exists with ID ${existingCategory.id}`);
@@ -200,19 +585,10 @@ async function insertCategory(category) {
     }
     
     // Insert new category
-    const { data, error } = await supabase
-      .from('categories')
-      .insert({ name: category.name })
-      .select('id')
-      .single();
-    
-    if (error) {
-      console.error(`Error inserting category ${category.name}:`, error);
-      throw error;
-    }
+    const categoryId = await storage.insertCategory({ name: category.name });
     
-    console.log(`Inserted category ${category.name} with ID ${data.id}`);
-    return data.id;
+    console.log(`Inserted category ${category.name} with ID ${categoryId}`);
+    return categoryId;
   } catch (error) {
     console.error(`Error in insertCategory for ${category.name}:`, error);
     throw error;
@@ -224,21 +600,8 @@ async function insertCategory(category) {
  */
 async function getCategoryId(categoryName) {
   try {
-    const { data, error } = await supabase
-      .from('categories')
-      .select('id')
-      .eq('name', categoryName)
-      .single();
-    
-    if (error) {
-      if (error.code === 'PGRST116') {
-        // No rows returned
-        return null;
-      }
-      throw error;
-    }
-    
-    return data ? data.id : null;
+    const category = await getStorage().findCategoryByName(categoryName);
+    return category ? category.id : null;
   } catch (error) {
     console.error(`Error getting category ID for ${categoryName}:`, error);
     throw error;
@@ -246,70 +609,120 @@ async function getCategoryId(categoryName) {
 }
 
 /**
- * Check if an instruction already exists in the database
+ * Insert an instruction into the database
  */
-async function checkInstructionExists(webdnaId) {
+async function insertInstruction(instruction) {
   try {
-    const { data, error } = await supabase
-      .from('documentation')
-      .select('id')
-      .eq('webdna_id', webdnaId)
-      .maybeSingle();
-    
-    if (error) throw error;
-    
-    return data ? true : false;
+    return await getStorage().insertDocumentation({
+      instruction: instruction.instruction,
+      category_id: instruction.category_id,
+      description: instruction.description,
+      description_html: instruction.description_html,
+      description_markdown: instruction.description_markdown,
+      syntax: instruction.syntax,
+      parameters: instruction.parameters || [],
+      parameters_html: instruction.parameters_html,
+      parameters_markdown: instruction.parameters_markdown,
+      examples: instruction.examples || [],
+      examples_html: instruction.examples_html,
+      examples_markdown: instruction.examples_markdown,
+      url: instruction.url,
+      webdna_id: instruction.webdna_id,
+      content_hash: instruction.content_hash,
+      related: instruction.related || [],
+      related_refs: instruction.related_refs || [],
+      render_mode: instruction.render_mode
+    });
   } catch (error) {
-    console.error(`Error checking if instruction exists for ${webdnaId}:`, error);
+    console.error(`Error in insertInstruction for ${instruction.instruction}:`, error);
     throw error;
   }
 }
 
 /**
- * Insert an instruction into the database
+ * Parse scraper command line flags
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - Option overrides
  */
-async function insertInstruction(instruction) {
-  try {
-    const { data, error } = await supabase
-      .from('documentation')
-      .insert({
-        instruction: instruction.instruction,
-        category_id: instruction.category_id,
-        description: instruction.description,
-        syntax: instruction.syntax,
-        parameters: instruction.parameters,
-        examples: instruction.examples,
-        url: instruction.url,
-        webdna_id: instruction.webdna_id,
-        related: instruction.related || []
-      })
-      .select('id')
-      .single();
-    
-    if (error) {
-      console.error(`Error inserting instruction ${instruction.instruction}:`, error);
-      throw error;
-    }
+function parseArgs(args) {
+  const overrides = {};
+  const numeric = {
+    '--concurrency': 'concurrency',
+    '--rate-limit': 'rateLimit',
+    '--retries': 'retries'
+  };
+  
+  args.forEach(arg => {
+    // Only the first "=" separates the flag, values may hold more (--base-url=https://x/?a=b)
+    const equals = arg.indexOf('=');
+    const flag = equals >= 0 ? arg.slice(0, equals) : arg;
+    const value = equals >= 0 ? arg.slice(equals + 1) : undefined;
     
-    return data.id;
-  } catch (error) {
-    console.error(`Error in insertInstruction for ${instruction.instruction}:`, error);
-    throw error;
-  }
+    if (flag === '--fresh') {
+      overrides.resume = false;
+    } else if (flag === '--dry-run') {
+      overrides.dryRun = true;
+    } else if (flag === '--base-url' && value) {
+      overrides.baseUrl = value;
+    } else if (flag === '--source-dir' && value) {
+      overrides.sourceDir = value;
+    } else if (flag === '--output' && value) {
+      overrides.output = path.resolve(value);
+    } else if (flag === '--render') {
+      // --render on its own renders every page
+      overrides.render = value || 'always';
+    } else if (flag === '--checkpoint' && value) {
+      overrides.checkpointPath = path.resolve(value);
+    } else if (numeric[flag] && value !== undefined && !Number.isNaN(Number(value))) {
+      overrides[numeric[flag]] = Number(value);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  });
+  
+  return overrides;
 }
 
 /**
- * Extract WebDNA ID from URL
+ * Run a dry-run parse and write the result as JSON
+ * @param {Object} overrides - Scraper options, with an optional output file
  */
-function extractWebDnaId(url) {
-  const match = url.match(/\/([^\/]+)\/([^\/]+)$/);
-  return match ? match[2] : url;
+async function runDryRun(overrides) {
+  const { output, ...options } = overrides;
+  const result = await parseDocumentation(options);
+  const json = JSON.stringify(result, null, 2) + '\n';
+  
+  if (output) {
+    fs.writeFileSync(output, json);
+    console.log(`Parsed ${result.instructions.length} instruction(s), written to ${output}`);
+  } else {
+    process.stdout.write(json);
+  }
+  
+  return result;
 }
 
 // Run the scraper if this file is executed directly
 if (require.main === module) {
-  scrapeDocumentation()
+  Promise.resolve()
     .then(() => {
+      const { dryRun, ...overrides } = parseArgs(process.argv.slice(2));
+      
+      if (dryRun) {
+        // Keep stdout for the JSON result
+        console.log = console.error;
+        return runDryRun(overrides);
+      }
+      
+      return scrapeDocumentation(overrides);
+    })
+    .then(summary => {
+      // Failed pages are retried on the next run; a non-zero exit makes the gap visible
+      if (summary.failures.length > 0) {
+        console.error(`Scraping finished with ${summary.failures.length} failed page(s)`);
+        process.exit(1);
+      }
+      
       console.log('Scraping completed');
       process.exit(0);
     })
@@ -320,5 +733,9 @@ if (require.main === module) {
 }
 
 module.exports = {
-  scrapeDocumentation
+  scrapeDocumentation,
+  parseDocumentation,
+  getScraperOptions,
+  parseArgs,
+  computeContentHash
 };
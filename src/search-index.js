@@ -0,0 +1,368 @@
+/**
+ * In-process search index over the documentation
+ * Entries are ranked with BM25F: the term frequencies of every field are
+ * weighted, normalized by the field's length and summed before saturation,
+ * so a word in an instruction name counts more than the same word in an
+ * example. A query word also matches the indexed words it is a prefix of
+ * ("founditem" finds [founditems]) and, when it isn't indexed itself, the
+ * words within a small edit distance ("serch" finds [search]). Prefix and
+ * typo matches score a share of what an exact match would, so a score is a
+ * plain BM25 sum that can be compared between the results of one query.
+ */
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Field weights: a word in an instruction name counts ten times one in an example
+const FIELD_WEIGHTS = {
+  instruction: 10,
+  description: 4,
+  syntax: 2,
+  parameters: 2,
+  examples: 1
+};
+
+// Shortest query word matched as a prefix or with typos
+const MIN_PREFIX_LENGTH = 3;
+const MIN_FUZZY_LENGTH = 4;
+
+// Share of an exact match's score given to prefix and typo matches, before
+// scaling by how much of the indexed word the query word covers
+const PREFIX_WEIGHT = 0.8;
+const FUZZY_WEIGHT = 0.7;
+
+// Entries whose name is the whole query score this many times higher
+const EXACT_NAME_BOOST = 2;
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Trigrams of a word, padded so its first and last letters count too
+ */
+function trigrams(word) {
+  const padded = `$${word}$`;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Number of edits between two words, counting a swap of neighbouring letters as one
+ * Stops early and returns Infinity once the distance exceeds max.
+ */
+function typoDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return Infinity;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+/**
+ * Searchable text of each field of a documentation entry
+ */
+function entryFields(doc) {
+  const parameters = Array.isArray(doc.parameters) ? doc.parameters : [];
+  const examples = Array.isArray(doc.examples) ? doc.examples : [];
+
+  return {
+    instruction: [doc.instruction, doc.webdna_id !== doc.instruction ? doc.webdna_id : null].filter(Boolean).join(' '),
+    description: doc.description || '',
+    syntax: doc.syntax || '',
+    parameters: parameters
+      .map(parameter => [parameter.name, parameter.description, ...(parameter.values || [])].filter(Boolean).join(' '))
+      .join(' '),
+    examples: examples.map(example => [example.code, example.explanation].filter(Boolean).join(' ')).join(' ')
+  };
+}
+
+/**
+ * Split a query into the words to look for and the words to exclude ("-word")
+ */
+function parseQuery(query) {
+  const include = [];
+  const exclude = [];
+
+  String(query || '').split(/\s+/).forEach(chunk => {
+    if (chunk.length > 1 && chunk.startsWith('-')) {
+      exclude.push(...tokenize(chunk));
+    } else {
+      include.push(...tokenize(chunk));
+    }
+  });
+
+  return { include: [...new Set(include)], exclude };
+}
+
+/**
+ * Build a search index over documentation entries
+ * @param {Array} docs - Entries with instruction, webdna_id, description, syntax, parameters, examples and categories
+ * @returns {Object} - Index with search(query, options), expand(word) and size
+ */
+function createSearchIndex(docs) {
+  const fields = Object.keys(FIELD_WEIGHTS);
+  const entries = [];
+  const postings = new Map(); // word -> Map of entry index -> { field: count }
+  const totals = Object.fromEntries(fields.map(field => [field, 0]));
+
+  docs.forEach((doc, index) => {
+    const lengths = {};
+
+    Object.entries(entryFields(doc)).forEach(([field, text]) => {
+      const words = tokenize(text);
+      lengths[field] = words.length;
+      totals[field] += words.length;
+
+      words.forEach(word => {
+        if (!postings.has(word)) postings.set(word, new Map());
+        const counts = postings.get(word);
+        if (!counts.has(index)) counts.set(index, {});
+        counts.get(index)[field] = (counts.get(index)[field] || 0) + 1;
+      });
+    });
+
+    entries.push({
+      doc,
+      lengths,
+      names: new Set([doc.instruction, doc.webdna_id].filter(Boolean).map(name => String(name).toLowerCase()))
+    });
+  });
+
+  const indexesByName = new Map();
+  entries.forEach((entry, index) => {
+    entry.names.forEach(name => {
+      if (!indexesByName.has(name)) indexesByName.set(name, []);
+      indexesByName.get(name).push(index);
+    });
+  });
+
+  const averages = Object.fromEntries(fields.map(field => [field, entries.length > 0 ? totals[field] / entries.length : 0]));
+  const vocabulary = [...postings.keys()].sort();
+  const wordsByTrigram = new Map();
+
+  vocabulary.forEach(word => {
+    trigrams(word).forEach(gram => {
+      if (!wordsByTrigram.has(gram)) wordsByTrigram.set(gram, []);
+      wordsByTrigram.get(gram).push(word);
+    });
+  });
+
+  /**
+   * Inverse document frequency of an indexed word
+   */
+  function idf(word) {
+    const frequency = postings.get(word).size;
+    return Math.log(1 + (entries.length - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  /**
+   * BM25F score of an indexed word for every entry containing it
+   * @returns {Map} - Entry index -> score
+   */
+  function scoreWord(word) {
+    const weight = idf(word);
+    const scores = new Map();
+
+    postings.get(word).forEach((counts, index) => {
+      const { lengths } = entries[index];
+      let frequency = 0;
+
+      Object.entries(counts).forEach(([field, count]) => {
+        const norm = averages[field] > 0 ? 1 - B + B * lengths[field] / averages[field] : 1;
+        frequency += FIELD_WEIGHTS[field] * count / norm;
+      });
+
+      scores.set(index, weight * frequency * (K1 + 1) / (frequency + K1));
+    });
+
+    return scores;
+  }
+
+  /**
+   * Indexed words a query word stands for, with the share of the score each gets
+   * @param {string} word - Lowercase query word
+   * @returns {Array} - [{ word, weight, type: 'exact', 'prefix' or 'fuzzy', distance }]
+   */
+  function expand(word) {
+    const matches = new Map();
+    const add = (match) => {
+      const existing = matches.get(match.word);
+      if (!existing || existing.weight < match.weight) matches.set(match.word, match);
+    };
+
+    if (postings.has(word)) {
+      add({ word, weight: 1, type: 'exact', distance: 0 });
+    }
+
+    if (word.length >= MIN_PREFIX_LENGTH) {
+      // The vocabulary is sorted, so the words starting with the query word are adjacent
+      let low = 0;
+      let high = vocabulary.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (vocabulary[middle] < word) low = middle + 1;
+        else high = middle;
+      }
+
+      for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(word); i++) {
+        if (vocabulary[i] !== word) {
+          add({ word: vocabulary[i], weight: PREFIX_WEIGHT * word.length / vocabulary[i].length, type: 'prefix', distance: 0 });
+        }
+      }
+    }
+
+    // Only words that aren't indexed themselves are treated as typos
+    if (!postings.has(word) && word.length >= MIN_FUZZY_LENGTH) {
+      const maxDistance = word.length >= 8 ? 2 : 1;
+      const grams = trigrams(word);
+
+      // An edit changes at most four trigrams (a swap of two letters), so closer words share the rest
+      const minShared = grams.size - 4 * maxDistance;
+      const shared = new Map();
+      grams.forEach(gram => {
+        (wordsByTrigram.get(gram) || []).forEach(candidate => shared.set(candidate, (shared.get(candidate) || 0) + 1));
+      });
+
+      shared.forEach((count, candidate) => {
+        if (count < minShared) return;
+        const distance = typoDistance(word, candidate, maxDistance);
+        if (distance === Infinity) return;
+        add({ word: candidate, weight: FUZZY_WEIGHT * (1 - distance / Math.max(word.length, candidate.length)), type: 'fuzzy', distance });
+      });
+    }
+
+    return [...matches.values()].sort((a, b) => b.weight - a.weight || a.word.localeCompare(b.word));
+  }
+
+  /**
+   * Search the index
+   * Every query word adds the score of its best match in an entry, so
+   * entries matching more of the query rank higher. Words starting with "-"
+   * exclude the entries that contain them. Boosted entries also score what a
+   * word found only in their name would score at most, times their weight and
+   * EXACT_NAME_BOOST, even when no word matched.
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {string} options.category - Only return entries in this category (case-insensitive, optional)
+   * @param {Map} options.boosts - Lower-case instruction names to boost, with a weight between 0 and 1 (optional)
+   * @returns {Object} - { results: [{ doc, score, match_type, matched_words }], corrections }
+   *   match_type is 'exact' when the entry's name is the query, 'syntax' when it was boosted,
+   *   'content' when every word matched as typed, and 'prefix' or 'fuzzy' when some word only matched that way;
+   *   corrections maps query words that aren't indexed to the word they matched most
+   */
+  function search(query, options = {}) {
+    const { include, exclude } = parseQuery(query);
+    const category = options.category ? String(options.category).toLowerCase() : null;
+    const phrase = include.join(' ');
+    const results = new Map();
+    const corrections = {};
+    const resultFor = (index) => {
+      if (!results.has(index)) results.set(index, { score: 0, types: new Set(), matched: new Set() });
+      return results.get(index);
+    };
+
+    const excluded = new Set();
+    exclude.forEach(word => (postings.get(word) || new Map()).forEach((counts, index) => excluded.add(index)));
+
+    include.forEach(queryWord => {
+      const matches = expand(queryWord);
+      const best = new Map(); // entry index -> { score, match }
+
+      matches.forEach(match => {
+        scoreWord(match.word).forEach((score, index) => {
+          const weighted = score * match.weight;
+          if (!best.has(index) || best.get(index).score < weighted) best.set(index, { score: weighted, match });
+        });
+      });
+
+      if (matches.length > 0 && !postings.has(queryWord)) {
+        corrections[queryWord] = matches[0].word;
+      }
+
+      best.forEach(({ score, match }, index) => {
+        const result = resultFor(index);
+        result.score += score;
+        result.types.add(match.type);
+        result.matched.add(match.word);
+      });
+    });
+
+    // The same for every entry, so only the weights tell boosted entries apart
+    const boostScore = EXACT_NAME_BOOST * Math.log(1 + (entries.length - 0.5) / 1.5) * (K1 + 1);
+    (options.boosts || new Map()).forEach((weight, name) => {
+      (indexesByName.get(name) || []).forEach(index => {
+        const result = resultFor(index);
+        result.score += weight * boostScore;
+        result.types.add('syntax');
+      });
+    });
+
+    const ranked = [];
+    results.forEach((result, index) => {
+      const entry = entries[index];
+      if (excluded.has(index)) return;
+      if (category && String(entry.doc.categories?.name || '').toLowerCase() !== category) return;
+
+      const exactName = entry.names.has(phrase) || entry.names.has(phrase.replace(/ /g, ''));
+      let matchType = 'content';
+      if (exactName) matchType = 'exact';
+      else if (result.types.has('syntax')) matchType = 'syntax';
+      else if (result.types.has('fuzzy')) matchType = 'fuzzy';
+      else if (result.types.has('prefix')) matchType = 'prefix';
+
+      ranked.push({
+        doc: entry.doc,
+        score: exactName ? result.score * EXACT_NAME_BOOST : result.score,
+        match_type: matchType,
+        matched_words: [...result.matched]
+      });
+    });
+
+    ranked.sort((a, b) => b.score - a.score || a.doc.instruction.localeCompare(b.doc.instruction));
+
+    return { results: ranked, corrections };
+  }
+
+  return {
+    search,
+    expand,
+    size: entries.length
+  };
+}
+
+module.exports = {
+  tokenize,
+  createSearchIndex
+};
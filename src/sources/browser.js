@@ -0,0 +1,73 @@
+/**
+ * Headless browser rendering for pages built client-side
+ * Puppeteer is only loaded, and Chrome only launched, the first time a page
+ * has to be rendered. Set PUPPETEER_EXECUTABLE_PATH to use an installed
+ * Chrome instead of the one downloaded by puppeteer.
+ */
+
+/**
+ * Create a page renderer backed by a single shared browser
+ * @param {Object} options - Scraper options: timeout, userAgent
+ * @returns {Object} - { render, close }
+ */
+function createBrowserRenderer(options) {
+  let browser = null;
+
+  /**
+   * Launch the browser on first use
+   * A failed launch is remembered so every page doesn't try again.
+   */
+  function getBrowser() {
+    if (!browser) {
+      browser = require('puppeteer').launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      }).catch(error => {
+        // A missing or broken Chrome won't fix itself on retry
+        error.retryable = false;
+        throw error;
+      });
+    }
+    return browser;
+  }
+
+  /**
+   * Render a page and return its DOM once the network is idle
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} - Rendered HTML
+   */
+  async function render(url) {
+    const page = await (await getBrowser()).newPage();
+
+    try {
+      await page.setUserAgent(options.userAgent);
+      await page.goto(url, { waitUntil: 'networkidle0', timeout: options.timeout });
+      return await page.content();
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Close the browser if it was launched
+   */
+  async function close() {
+    if (!browser) return;
+
+    try {
+      await (await browser).close();
+    } catch (error) {
+      // The browser never started, nothing to close
+    }
+    browser = null;
+  }
+
+  return {
+    render,
+    close
+  };
+}
+
+module.exports = {
+  createBrowserRenderer
+};
@@ -0,0 +1,81 @@
+/**
+ * Local directory page source
+ * Reads pages saved from the documentation site, either as a plain
+ * directory (at-a-glance.html, instructions/search.html, ...) or as a
+ * `wget --mirror` snapshot, which nests the pages under a directory named
+ * after the host (docs.webdna.us/...) and may omit the .html extension.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Find the directory that holds the site's pages
+ * @param {string} dir - Source directory
+ * @param {string} baseUrl - Documentation site
+ * @returns {string} - The host directory of a wget mirror, or dir itself
+ */
+function findPageRoot(dir, baseUrl) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Source directory not found: ${dir}`);
+  }
+
+  const hostDir = path.join(dir, new URL(baseUrl).host);
+  return fs.existsSync(hostDir) && fs.statSync(hostDir).isDirectory() ? hostDir : dir;
+}
+
+/**
+ * Map a page URL to the file that holds it
+ * @param {string} root - Page root directory
+ * @param {string} url - Page URL
+ * @returns {string|null} - File path, or null if no file matches
+ */
+function resolvePageFile(root, url) {
+  const pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname).replace(/\/+$/, '') || '/index';
+  const base = path.join(root, pathname);
+
+  // Never read outside the source directory
+  if (!base.startsWith(root + path.sep)) {
+    return null;
+  }
+
+  const candidates = [base, `${base}.html`, `${base}.htm`, path.join(base, 'index.html')];
+  return candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+/**
+ * Create a local directory page source
+ * @param {Object} options - Scraper options: sourceDir, baseUrl
+ * @returns {Object} - { name, location, fetchPage }
+ */
+function createSource(options) {
+  const root = findPageRoot(path.resolve(options.sourceDir), options.baseUrl);
+
+  /**
+   * Read a page
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} - Page HTML
+   */
+  async function fetchPage(url) {
+    const file = resolvePageFile(root, url);
+
+    if (!file) {
+      const error = new Error(`Page not found in ${root}: ${new URL(url, 'http://localhost').pathname}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    return fs.promises.readFile(file, 'utf8');
+  }
+
+  return {
+    name: 'directory',
+    location: root,
+    fetchPage
+  };
+}
+
+module.exports = {
+  createSource,
+  resolvePageFile
+};
@@ -0,0 +1,72 @@
+/**
+ * Live HTTP page source
+ * Requests go through a single rate limiter and are retried with
+ * exponential backoff on network errors, timeouts, 429 and 5xx responses.
+ * Pages can also be rendered in a headless browser, for content that is
+ * built client-side.
+ */
+
+const axios = require('axios');
+const { createRateLimiter, withRetry, describeError } = require('../scraper-queue');
+const { createBrowserRenderer } = require('./browser');
+
+/**
+ * Create an HTTP page source
+ * @param {Object} options - Scraper options: baseUrl, rateLimit, retries, retryDelay, timeout, userAgent
+ * @returns {Object} - { name, location, fetchPage, renderPage, close }
+ */
+function createSource(options) {
+  const limiter = createRateLimiter(options.rateLimit);
+  const renderer = createBrowserRenderer(options);
+
+  /**
+   * Run a request through the rate limiter, with retries
+   */
+  function request(url, fn) {
+    return withRetry(async () => {
+      await limiter.wait();
+      return fn();
+    }, {
+      retries: options.retries,
+      baseDelay: options.retryDelay,
+      onRetry: (error, attempt, delay) => {
+        console.warn(`Retrying ${url} in ${delay}ms (attempt ${attempt + 1} of ${options.retries + 1}): ${describeError(error)}`);
+      }
+    });
+  }
+
+  /**
+   * Fetch a page
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} - Page HTML
+   */
+  async function fetchPage(url) {
+    const response = await request(url, () => axios.get(url, {
+      timeout: options.timeout,
+      headers: { 'User-Agent': options.userAgent }
+    }));
+
+    return response.data;
+  }
+
+  /**
+   * Render a page in the headless browser
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} - Rendered HTML
+   */
+  async function renderPage(url) {
+    return request(url, () => renderer.render(url));
+  }
+
+  return {
+    name: 'http',
+    location: options.baseUrl,
+    fetchPage,
+    renderPage,
+    close: renderer.close
+  };
+}
+
+module.exports = {
+  createSource
+};
@@ -0,0 +1,34 @@
+/**
+ * Page source selection for the scraper
+ * Pages are read from the live site over HTTP by default, or from a local
+ * directory (such as a `wget --mirror` snapshot) when SCRAPER_SOURCE_DIR is
+ * set. Every source exposes the same fetchPage(url) function, where url is
+ * the page's address on the documentation site. Sources that can render
+ * pages in a headless browser also expose renderPage(url), and sources that
+ * hold resources expose close().
+ */
+
+const SOURCES = {
+  http: () => require('./http'),
+  directory: () => require('./directory')
+};
+
+/**
+ * Create the page source for a scrape
+ * @param {Object} options - Scraper options (see getScraperOptions in src/scraper.js)
+ * @returns {Object} - { name, location, fetchPage, renderPage?, close? }
+ */
+function createSource(options) {
+  const type = options.sourceDir ? 'directory' : 'http';
+  const source = SOURCES[type]().createSource(options);
+
+  if (options.render === 'always' && !source.renderPage) {
+    throw new Error(`The ${source.name} source cannot render pages, use --render=auto or --render=never`);
+  }
+
+  return source;
+}
+
+module.exports = {
+  createSource
+};
@@ -0,0 +1,37 @@
+/**
+ * Storage backend selection
+ * Set STORAGE_BACKEND to 'supabase' (default) or 'sqlite'. Both backends
+ * expose the same functions and return rows in the same shape, with the
+ * category nested as `categories: { id, name }`.
+ */
+
+const BACKENDS = {
+  supabase: () => require('./supabase'),
+  sqlite: () => require('./sqlite')
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage backend
+ * @returns {Object} - Storage backend module
+ */
+function getStorage() {
+  if (storage) {
+    return storage;
+  }
+
+  const backendName = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+  const loadBackend = BACKENDS[backendName];
+
+  if (!loadBackend) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backendName}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  storage = loadBackend();
+  return storage;
+}
+
+module.exports = {
+  getStorage
+};
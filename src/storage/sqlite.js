@@ -0,0 +1,543 @@
+/**
+ * SQLite storage backend
+ * Lets the server run fully offline. The database file location is set
+ * with SQLITE_PATH (default: data/webdna.sqlite).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const name = 'sqlite';
+const migrationsDir = path.join(__dirname, '../../migrations/sqlite');
+
+// Columns stored as JSON text (JSONB in PostgreSQL)
+const JSON_COLUMNS = ['related', 'related_refs', 'parameters', 'examples'];
+
+const SUMMARY_SELECT = `
+  SELECT d.id, d.instruction, d.description, d.description_html, d.description_markdown,
+         d.url, d.webdna_id, d.updated_at,
+         c.id AS category_ref_id, c.name AS category_name
+  FROM documentation d
+  LEFT JOIN categories c ON c.id = d.category_id
+`;
+
+let database = null;
+
+/**
+ * Get the database path from the environment
+ */
+function getDatabasePath() {
+  return process.env.SQLITE_PATH || path.join(__dirname, '../../data/webdna.sqlite');
+}
+
+/**
+ * Open the database on first use
+ * @returns {Promise<Object>} - sqlite3 Database
+ */
+function db() {
+  if (database) {
+    return database;
+  }
+
+  const dbPath = getDatabasePath();
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  database = new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(dbPath, (error) => {
+      if (error) {
+        database = null;
+        return reject(error);
+      }
+
+      connection.exec('PRAGMA foreign_keys = ON; PRAGMA journal_mode = WAL;', (pragmaError) => {
+        if (pragmaError) return reject(pragmaError);
+        resolve(connection);
+      });
+    });
+  });
+
+  return database;
+}
+
+/**
+ * Run a statement that doesn't return rows
+ * @returns {Promise<Object>} - { lastID, changes }
+ */
+async function run(sql, params = []) {
+  const connection = await db();
+
+  return new Promise((resolve, reject) => {
+    connection.run(sql, params, function (error) {
+      if (error) return reject(error);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+/**
+ * Get all rows of a query
+ */
+async function all(sql, params = []) {
+  const connection = await db();
+
+  return new Promise((resolve, reject) => {
+    connection.all(sql, params, (error, rows) => {
+      if (error) return reject(error);
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Get the first row of a query
+ */
+async function get(sql, params = []) {
+  const connection = await db();
+
+  return new Promise((resolve, reject) => {
+    connection.get(sql, params, (error, row) => {
+      if (error) return reject(error);
+      resolve(row || null);
+    });
+  });
+}
+
+/**
+ * Parse JSON columns and nest the category the way Supabase does
+ * @param {Object} row - Raw row
+ * @returns {Object} - Row in the shape returned by the Supabase backend
+ */
+function toDocumentationRow(row) {
+  if (!row) return null;
+
+  const { category_ref_id, category_name, ...doc } = row;
+
+  JSON_COLUMNS.forEach(column => {
+    if (typeof doc[column] === 'string') {
+      try {
+        doc[column] = JSON.parse(doc[column]);
+      } catch (error) {
+        doc[column] = null;
+      }
+    }
+  });
+
+  doc.categories = category_ref_id ? { id: category_ref_id, name: category_name } : null;
+  return doc;
+}
+
+/**
+ * Serialize JSON columns for storage
+ * @param {Object} fields - Column values
+ * @returns {Object} - Column values ready to bind
+ */
+function toColumnValues(fields) {
+  const values = { ...fields };
+
+  JSON_COLUMNS.forEach(column => {
+    if (values[column] !== undefined && typeof values[column] !== 'string') {
+      values[column] = JSON.stringify(values[column]);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Open the database
+ */
+async function init() {
+  await db();
+  return true;
+}
+
+/**
+ * Close the database
+ */
+async function close() {
+  if (!database) return true;
+
+  const connection = await database;
+  database = null;
+
+  return new Promise((resolve, reject) => {
+    connection.close(error => (error ? reject(error) : resolve(true)));
+  });
+}
+
+/**
+ * Test that the database can be opened and queried
+ * @returns {Promise<boolean>}
+ */
+async function testConnection() {
+  try {
+    await get('SELECT 1');
+    return true;
+  } catch (error) {
+    console.error('SQLite connection test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Execute one or more SQL statements
+ * @param {string} query - SQL to execute
+ */
+async function executeSql(query) {
+  const connection = await db();
+
+  return new Promise((resolve, reject) => {
+    connection.exec(query, error => (error ? reject(error) : resolve(true)));
+  });
+}
+
+/**
+ * Whether raw SQL and migrations can be run (always true for SQLite)
+ * @returns {boolean}
+ */
+function supportsMigrations() {
+  return true;
+}
+
+/**
+ * Create the schema_migrations table if it doesn't exist
+ */
+async function ensureMigrationsTable() {
+  await executeSql(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+}
+
+/**
+ * Get the migrations recorded in schema_migrations
+ * @returns {Promise<Array>} - { version, name, checksum, applied_at } in version order
+ */
+async function getAppliedMigrations() {
+  return all('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Apply a migration and record it, in a single transaction
+ * @param {Object} migration - { version, name, checksum, sql }
+ */
+async function applyMigration(migration) {
+  await executeSql('BEGIN');
+
+  try {
+    await executeSql(migration.sql);
+    await run(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+      [migration.version, migration.name, migration.checksum]
+    );
+    await executeSql('COMMIT');
+  } catch (error) {
+    await executeSql('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Check if a table exists
+ * @param {string} tableName - Name of the table to check
+ * @returns {Promise<boolean>}
+ */
+async function tableExists(tableName) {
+  const row = await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [tableName]);
+  return row !== null;
+}
+
+/**
+ * Count the rows of a table
+ * @param {string} tableName - Table name
+ * @returns {Promise<number>}
+ */
+async function countRows(tableName) {
+  if (!/^\w+$/.test(tableName)) {
+    throw new Error(`Invalid table name: ${tableName}`);
+  }
+
+  const row = await get(`SELECT COUNT(*) AS count FROM ${tableName}`);
+  return row.count;
+}
+
+/**
+ * Count documentation entries that have not been removed
+ * @returns {Promise<number>}
+ */
+async function countDocumentation() {
+  const row = await get('SELECT COUNT(*) AS count FROM documentation WHERE removed_at IS NULL');
+  return row.count;
+}
+
+/**
+ * Get a single documentation entry with all columns
+ * Entries removed from the documentation site are not returned.
+ * @param {Object} where - One of { id }, { webdnaId } or { instruction } (case-insensitive)
+ * @returns {Promise<Object|null>}
+ */
+async function getDocumentation(where) {
+  let condition;
+  let value;
+
+  if (where.id !== undefined) {
+    condition = 'd.id = ?';
+    value = where.id;
+  } else if (where.webdnaId !== undefined) {
+    condition = 'd.webdna_id = ?';
+    value = where.webdnaId;
+  } else {
+    condition = 'd.instruction = ? COLLATE NOCASE';
+    value = where.instruction;
+  }
+
+  const row = await get(`
+    SELECT d.*, c.id AS category_ref_id, c.name AS category_name
+    FROM documentation d
+    LEFT JOIN categories c ON c.id = d.category_id
+    WHERE ${condition} AND d.removed_at IS NULL
+    LIMIT 1
+  `, [value]);
+
+  return toDocumentationRow(row);
+}
+
+/**
+ * Get documentation summaries by database ID
+ * @param {Array<number>} ids - Documentation IDs
+ * @returns {Promise<Array>}
+ */
+async function getDocumentationByIds(ids) {
+  if (ids.length === 0) return [];
+
+  const placeholders = ids.map(() => '?').join(', ');
+  return (await all(`${SUMMARY_SELECT} WHERE d.id IN (${placeholders}) AND d.removed_at IS NULL`, ids)).map(toDocumentationRow);
+}
+
+/**
+ * Get the summaries of the entries whose related list contains an ID
+ * @param {number} id - Documentation ID
+ * @returns {Promise<Array>}
+ */
+async function findDocumentationReferencing(id) {
+  return (await all(`${SUMMARY_SELECT}
+    WHERE d.removed_at IS NULL
+      AND EXISTS (SELECT 1 FROM json_each(d.related) WHERE json_each.value = ?)
+    ORDER BY d.instruction`, [id])).map(toDocumentationRow);
+}
+
+/**
+ * List documentation summaries in instruction order
+ * @param {Object} options - { limit, offset, categoryId }
+ * @returns {Promise<Array>}
+ */
+async function listDocumentation(options = {}) {
+  const { limit = 100, offset = 0, categoryId = null } = options;
+  const params = [];
+
+  let sql = `${SUMMARY_SELECT} WHERE d.removed_at IS NULL`;
+  if (categoryId) {
+    sql += ' AND d.category_id = ?';
+    params.push(categoryId);
+  }
+  sql += ' ORDER BY d.instruction LIMIT ? OFFSET ?';
+  params.push(limit, offset);
+
+  return (await all(sql, params)).map(toDocumentationRow);
+}
+
+/**
+ * Get the most recently added documentation summaries
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>}
+ */
+async function getRecentDocumentation(limit) {
+  return (await all(`${SUMMARY_SELECT} WHERE d.removed_at IS NULL ORDER BY d.id DESC LIMIT ?`, [limit])).map(toDocumentationRow);
+}
+
+/**
+ * Get documentation entries updated after a point in time
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array>}
+ */
+async function getDocumentationUpdatedSince(since) {
+  const rows = await all(`
+    SELECT d.id, d.instruction, d.webdna_id, d.created_at, d.updated_at,
+           c.id AS category_ref_id, c.name AS category_name
+    FROM documentation d
+    LEFT JOIN categories c ON c.id = d.category_id
+    WHERE d.updated_at > ?
+    ORDER BY d.updated_at
+  `, [new Date(since).toISOString()]);
+
+  return rows.map(toDocumentationRow);
+}
+
+/**
+ * List categories with the number of instructions in each
+ * @returns {Promise<Array>}
+ */
+async function listCategories() {
+  return all(`
+    SELECT c.*, COUNT(d.id) AS instruction_count
+    FROM categories c
+    LEFT JOIN documentation d ON d.category_id = c.id AND d.removed_at IS NULL
+    GROUP BY c.id
+    ORDER BY c.name
+  `);
+}
+
+/**
+ * Find a category by name
+ * @param {string} categoryName - Category name
+ * @returns {Promise<Object|null>} - { id, name } or null
+ */
+async function findCategoryByName(categoryName) {
+  return get('SELECT id, name FROM categories WHERE name = ?', [categoryName]);
+}
+
+/**
+ * Insert a category
+ * @param {Object} category - { name, description }
+ * @returns {Promise<number>} - New category ID
+ */
+async function insertCategory(category) {
+  const { lastID } = await run(
+    'INSERT INTO categories (name, description) VALUES (?, ?)',
+    [category.name, category.description || null]
+  );
+
+  return lastID;
+}
+
+/**
+ * Find a documentation entry by WebDNA ID
+ * @param {string} webdnaId - WebDNA ID
+ * @returns {Promise<Object|null>} - Full row or null
+ */
+async function findDocumentationByWebdnaId(webdnaId) {
+  return getDocumentation({ webdnaId });
+}
+
+/**
+ * List every documentation entry (including removed ones) with its content hash
+ * @returns {Promise<Array>} - { id, instruction, webdna_id, content_hash, render_mode, removed_at }
+ */
+async function listDocumentationHashes() {
+  return all('SELECT id, instruction, webdna_id, content_hash, render_mode, removed_at FROM documentation ORDER BY id');
+}
+
+/**
+ * List every documentation entry with its unresolved references and related IDs
+ * @returns {Promise<Array>} - { id, instruction, webdna_id, related, related_refs, removed_at }
+ */
+async function listDocumentationReferences() {
+  return (await all('SELECT id, instruction, webdna_id, related, related_refs, removed_at FROM documentation ORDER BY id'))
+    .map(row => {
+      const { categories, ...doc } = toDocumentationRow(row);
+      return doc;
+    });
+}
+
+/**
+ * List the syntax, parameters and category of every current documentation entry
+ * @returns {Promise<Array>} - { id, instruction, webdna_id, description, syntax, parameters, url, categories }
+ */
+async function listDocumentationSignatures() {
+  return (await all(`
+    SELECT d.id, d.instruction, d.webdna_id, d.description, d.syntax, d.parameters, d.url,
+           c.id AS category_ref_id, c.name AS category_name
+    FROM documentation d
+    LEFT JOIN categories c ON c.id = d.category_id
+    WHERE d.removed_at IS NULL
+    ORDER BY d.instruction
+  `)).map(toDocumentationRow);
+}
+
+/**
+ * List the searchable text of every current documentation entry
+ * @returns {Promise<Array>} - Summaries with syntax, parameters, examples and categories
+ */
+async function listSearchableDocumentation() {
+  return (await all(`
+    SELECT d.id, d.instruction, d.webdna_id, d.description, d.description_html, d.description_markdown,
+           d.syntax, d.parameters, d.examples, d.url, d.updated_at,
+           c.id AS category_ref_id, c.name AS category_name
+    FROM documentation d
+    LEFT JOIN categories c ON c.id = d.category_id
+    WHERE d.removed_at IS NULL
+    ORDER BY d.instruction
+  `)).map(toDocumentationRow);
+}
+
+/**
+ * Insert a documentation entry
+ * @param {Object} doc - Column values
+ * @returns {Promise<number>} - New documentation ID
+ */
+async function insertDocumentation(doc) {
+  const values = toColumnValues(doc);
+  const columns = Object.keys(values);
+
+  const { lastID } = await run(
+    `INSERT INTO documentation (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => values[column])
+  );
+
+  return lastID;
+}
+
+/**
+ * Update a documentation entry
+ * @param {number} id - Documentation ID
+ * @param {Object} fields - Column values to change
+ */
+async function updateDocumentation(id, fields) {
+  const values = toColumnValues(fields);
+  const columns = Object.keys(values);
+  if (columns.length === 0) return;
+
+  await run(
+    `UPDATE documentation SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => values[column]), id]
+  );
+}
+
+module.exports = {
+  name,
+  migrationsDir,
+  init,
+  close,
+  testConnection,
+  supportsMigrations,
+  executeSql,
+  ensureMigrationsTable,
+  getAppliedMigrations,
+  applyMigration,
+  tableExists,
+  countRows,
+  countDocumentation,
+  getDocumentation,
+  getDocumentationByIds,
+  findDocumentationReferencing,
+  listDocumentation,
+  getRecentDocumentation,
+  getDocumentationUpdatedSince,
+  listCategories,
+  findCategoryByName,
+  insertCategory,
+  findDocumentationByWebdnaId,
+  listDocumentationHashes,
+  listDocumentationReferences,
+  listDocumentationSignatures,
+  listSearchableDocumentation,
+  insertDocumentation,
+  updateDocumentation
+};
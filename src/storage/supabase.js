@@ -0,0 +1,496 @@
+/**
+ * Supabase (PostgreSQL) storage backend
+ * Queries go through the Supabase client. Raw SQL and migrations need a
+ * direct Postgres connection, configured with DATABASE_URL (the connection
+ * string from the Supabase project settings).
+ */
+
+const path = require('path');
+const { getSupabaseClient, testConnection } = require('../supabase');
+
+// Columns returned for documentation summaries
+const SUMMARY_COLUMNS = `
+  id,
+  instruction,
+  description,
+  description_html,
+  description_markdown,
+  url,
+  webdna_id,
+  updated_at,
+  categories(id, name)
+`;
+
+const name = 'supabase';
+const migrationsDir = path.join(__dirname, '../../migrations');
+
+/**
+ * Get the Supabase client
+ */
+function db() {
+  return getSupabaseClient();
+}
+
+/**
+ * Throw the error of a Supabase response, or return its data
+ */
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Prepare the backend (nothing to do for Supabase)
+ */
+async function init() {
+  db();
+  return true;
+}
+
+/**
+ * Close the backend (no-op for Supabase, included for compatibility)
+ */
+async function close() {
+  return true;
+}
+
+/**
+ * Whether raw SQL and migrations can be run (DATABASE_URL is set)
+ * @returns {boolean}
+ */
+function supportsMigrations() {
+  return Boolean(process.env.DATABASE_URL);
+}
+
+/**
+ * Run a function with a direct Postgres connection
+ * @param {Function} fn - Called with a connected pg Client
+ */
+async function withPgClient(fn) {
+  if (!supportsMigrations()) {
+    throw new Error('DATABASE_URL must be set to run SQL directly against the Supabase Postgres database');
+  }
+
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+
+  await client.connect();
+  try {
+    return await fn(client);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Execute SQL over a direct Postgres connection
+ * @param {string} query - SQL to execute
+ * @param {Array} params - Query parameters (only for single statements)
+ * @returns {Promise<Array>} - Result rows
+ */
+async function executeSql(query, params = []) {
+  return withPgClient(async (client) => {
+    const result = await client.query(query, Array.isArray(params) && params.length > 0 ? params : undefined);
+    return result.rows;
+  });
+}
+
+/**
+ * Create the schema_migrations table if it doesn't exist
+ */
+async function ensureMigrationsTable() {
+  await executeSql(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Get the migrations recorded in schema_migrations
+ * @returns {Promise<Array>} - { version, name, checksum, applied_at } in version order
+ */
+async function getAppliedMigrations() {
+  const rows = await executeSql('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+
+  return rows.map(row => ({
+    ...row,
+    applied_at: row.applied_at instanceof Date ? row.applied_at.toISOString() : row.applied_at
+  }));
+}
+
+/**
+ * Apply a migration and record it, in a single transaction
+ * @param {Object} migration - { version, name, checksum, sql }
+ */
+async function applyMigration(migration) {
+  await withPgClient(async (client) => {
+    await client.query('BEGIN');
+
+    try {
+      await client.query(migration.sql);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+}
+
+/**
+ * Check if a table exists
+ * @param {string} tableName - Name of the table to check
+ * @returns {Promise<boolean>}
+ */
+async function tableExists(tableName) {
+  const { error } = await db()
+    .from(tableName)
+    .select('*', { count: 'exact', head: true });
+
+  if (error) {
+    if (error.code === 'PGRST116' || error.code === '42P01') {
+      return false; // Table doesn't exist
+    }
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * Count the rows of a table
+ * @param {string} tableName - Table name
+ * @returns {Promise<number>}
+ */
+async function countRows(tableName) {
+  const { count, error } = await db()
+    .from(tableName)
+    .select('*', { count: 'exact', head: true });
+
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Count documentation entries that have not been removed
+ * @returns {Promise<number>}
+ */
+async function countDocumentation() {
+  const { count, error } = await db()
+    .from('documentation')
+    .select('*', { count: 'exact', head: true })
+    .is('removed_at', null);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Get a single documentation entry with all columns
+ * Entries removed from the documentation site are not returned.
+ * @param {Object} where - One of { id }, { webdnaId } or { instruction } (case-insensitive)
+ * @returns {Promise<Object|null>}
+ */
+async function getDocumentation(where) {
+  let query = db()
+    .from('documentation')
+    .select(`
+      *,
+      categories(id, name)
+    `)
+    .is('removed_at', null);
+
+  if (where.id !== undefined) {
+    query = query.eq('id', where.id);
+  } else if (where.webdnaId !== undefined) {
+    query = query.eq('webdna_id', where.webdnaId);
+  } else {
+    query = query.ilike('instruction', where.instruction);
+  }
+
+  const { data, error } = await query.limit(1).maybeSingle();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null; // No rows returned
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get documentation summaries by database ID
+ * @param {Array<number>} ids - Documentation IDs
+ * @returns {Promise<Array>}
+ */
+async function getDocumentationByIds(ids) {
+  if (ids.length === 0) return [];
+
+  return unwrap(await db()
+    .from('documentation')
+    .select(SUMMARY_COLUMNS)
+    .in('id', ids)
+    .is('removed_at', null));
+}
+
+/**
+ * Get the summaries of the entries whose related list contains an ID
+ * @param {number} id - Documentation ID
+ * @returns {Promise<Array>}
+ */
+async function findDocumentationReferencing(id) {
+  return unwrap(await db()
+    .from('documentation')
+    .select(SUMMARY_COLUMNS)
+    .filter('related', 'cs', JSON.stringify([id]))
+    .is('removed_at', null)
+    .order('instruction'));
+}
+
+/**
+ * List documentation summaries in instruction order
+ * @param {Object} options - { limit, offset, categoryId }
+ * @returns {Promise<Array>}
+ */
+async function listDocumentation(options = {}) {
+  const { limit = 100, offset = 0, categoryId = null } = options;
+
+  let query = db()
+    .from('documentation')
+    .select(SUMMARY_COLUMNS)
+    .is('removed_at', null)
+    .order('instruction')
+    .range(offset, offset + limit - 1);
+
+  if (categoryId) {
+    query = query.eq('category_id', categoryId);
+  }
+
+  return unwrap(await query);
+}
+
+/**
+ * Get the most recently added documentation summaries
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>}
+ */
+async function getRecentDocumentation(limit) {
+  return unwrap(await db()
+    .from('documentation')
+    .select(SUMMARY_COLUMNS)
+    .is('removed_at', null)
+    .order('id', { ascending: false }) // Using 'random' doesn't work well in RLS
+    .limit(limit));
+}
+
+/**
+ * Get documentation entries updated after a point in time
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array>}
+ */
+async function getDocumentationUpdatedSince(since) {
+  return unwrap(await db()
+    .from('documentation')
+    .select(`
+      id,
+      instruction,
+      webdna_id,
+      created_at,
+      updated_at,
+      categories(id, name)
+    `)
+    .gt('updated_at', since)
+    .order('updated_at'));
+}
+
+/**
+ * List categories with the number of instructions in each
+ * @returns {Promise<Array>}
+ */
+async function listCategories() {
+  const categories = unwrap(await db()
+    .from('categories')
+    .select('*')
+    .order('name'));
+
+  const docs = unwrap(await db()
+    .from('documentation')
+    .select('category_id')
+    .is('removed_at', null));
+
+  const countMap = {};
+  docs.forEach(doc => {
+    countMap[doc.category_id] = (countMap[doc.category_id] || 0) + 1;
+  });
+
+  return categories.map(category => ({
+    ...category,
+    instruction_count: countMap[category.id] || 0
+  }));
+}
+
+/**
+ * Find a category by name
+ * @param {string} categoryName - Category name
+ * @returns {Promise<Object|null>} - { id, name } or null
+ */
+async function findCategoryByName(categoryName) {
+  return unwrap(await db()
+    .from('categories')
+    .select('id, name')
+    .eq('name', categoryName)
+    .maybeSingle());
+}
+
+/**
+ * Insert a category
+ * @param {Object} category - { name, description }
+ * @returns {Promise<number>} - New category ID
+ */
+async function insertCategory(category) {
+  const data = unwrap(await db()
+    .from('categories')
+    .insert({ name: category.name, description: category.description })
+    .select('id')
+    .single());
+
+  return data.id;
+}
+
+/**
+ * Find a documentation entry by WebDNA ID
+ * @param {string} webdnaId - WebDNA ID
+ * @returns {Promise<Object|null>} - Full row or null
+ */
+async function findDocumentationByWebdnaId(webdnaId) {
+  return getDocumentation({ webdnaId });
+}
+
+/**
+ * List every documentation entry (including removed ones) with its content hash
+ * @returns {Promise<Array>} - { id, instruction, webdna_id, content_hash, render_mode, removed_at }
+ */
+async function listDocumentationHashes() {
+  return selectAllDocumentation('id, instruction, webdna_id, content_hash, render_mode, removed_at');
+}
+
+/**
+ * List every documentation entry with its unresolved references and related IDs
+ * @returns {Promise<Array>} - { id, instruction, webdna_id, related, related_refs, removed_at }
+ */
+async function listDocumentationReferences() {
+  return selectAllDocumentation('id, instruction, webdna_id, related, related_refs, removed_at');
+}
+
+/**
+ * List the syntax, parameters and category of every current documentation entry
+ * @returns {Promise<Array>} - { id, instruction, webdna_id, description, syntax, parameters, url, categories }
+ */
+async function listDocumentationSignatures() {
+  return (await selectAllDocumentation('id, instruction, webdna_id, description, syntax, parameters, url, removed_at, categories(id, name)'))
+    .filter(doc => !doc.removed_at)
+    .map(({ removed_at, ...doc }) => doc);
+}
+
+/**
+ * List the searchable text of every current documentation entry
+ * @returns {Promise<Array>} - Summaries with syntax, parameters, examples and categories
+ */
+async function listSearchableDocumentation() {
+  return (await selectAllDocumentation(`${SUMMARY_COLUMNS.trim()}, syntax, parameters, examples, removed_at`))
+    .filter(doc => !doc.removed_at)
+    .map(({ removed_at, ...doc }) => doc)
+    .sort((a, b) => a.instruction.localeCompare(b.instruction));
+}
+
+/**
+ * Select columns of every documentation row, one page at a time
+ * @param {string} columns - Columns to select
+ * @returns {Promise<Array>}
+ */
+async function selectAllDocumentation(columns) {
+  const rows = [];
+  const pageSize = 1000;
+
+  // PostgREST caps the number of rows per request
+  for (let offset = 0; ; offset += pageSize) {
+    const page = unwrap(await db()
+      .from('documentation')
+      .select(columns)
+      .order('id')
+      .range(offset, offset + pageSize - 1));
+
+    rows.push(...page);
+    if (page.length < pageSize) break;
+  }
+
+  return rows;
+}
+
+/**
+ * Insert a documentation entry
+ * @param {Object} doc - Column values
+ * @returns {Promise<number>} - New documentation ID
+ */
+async function insertDocumentation(doc) {
+  const data = unwrap(await db()
+    .from('documentation')
+    .insert(doc)
+    .select('id')
+    .single());
+
+  return data.id;
+}
+
+/**
+ * Update a documentation entry
+ * @param {number} id - Documentation ID
+ * @param {Object} fields - Column values to change
+ */
+async function updateDocumentation(id, fields) {
+  unwrap(await db()
+    .from('documentation')
+    .update(fields)
+    .eq('id', id));
+}
+
+module.exports = {
+  name,
+  migrationsDir,
+  init,
+  close,
+  testConnection,
+  supportsMigrations,
+  executeSql,
+  ensureMigrationsTable,
+  getAppliedMigrations,
+  applyMigration,
+  tableExists,
+  countRows,
+  countDocumentation,
+  getDocumentation,
+  getDocumentationByIds,
+  findDocumentationReferencing,
+  listDocumentation,
+  getRecentDocumentation,
+  getDocumentationUpdatedSince,
+  listCategories,
+  findCategoryByName,
+  insertCategory,
+  findDocumentationByWebdnaId,
+  listDocumentationHashes,
+  listDocumentationReferences,
+  listDocumentationSignatures,
+  listSearchableDocumentation,
+  insertDocumentation,
+  updateDocumentation
+};
@@ -1,47 +1,61 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 
-// Initialize Supabase client
-// You'll need to set these environment variables with your Supabase credentials
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+// Supabase client, created on first use so other storage backends
+// don't need Supabase credentials
+let supabase = null;
 
-// Validate required environment variables
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Error: SUPABASE_URL and SUPABASE_KEY environment variables must be set');
-  process.exit(1);
-}
+/**
+ * Get the Supabase client, creating it on first use
+ * You'll need to set SUPABASE_URL and SUPABASE_KEY with your Supabase credentials
+ * @returns {Object} - Supabase client
+ */
+function getSupabaseClient() {
+  if (supabase) {
+    return supabase;
+  }
 
-// Create Supabase client with advanced options
-const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    persistSession: false,
-    autoRefreshToken: false,
-  },
-  global: {
-    // Configure fetch options for all requests
-    fetch: (url, options) => {
-      const timeout = 30000; // 30 second timeout
-      const controller = new AbortController();
-      const id = setTimeout(() => controller.abort(), timeout);
-      
-      return fetch(url, {
-        ...options,
-        signal: controller.signal,
-      }).finally(() => clearTimeout(id));
-    }
-  },
-  // Configure database options
-  db: {
-    schema: 'public'
-  },
-  // Add retry logic
-  realtime: {
-    params: {
-      eventsPerSecond: 10
-    }
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_KEY;
+
+  // Validate required environment variables
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_KEY environment variables must be set (or set STORAGE_BACKEND=sqlite)');
   }
-});
+
+  // Create Supabase client with advanced options
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+    },
+    global: {
+      // Configure fetch options for all requests
+      fetch: (url, options) => {
+        const timeout = 30000; // 30 second timeout
+        const controller = new AbortController();
+        const id = setTimeout(() => controller.abort(), timeout);
+        
+        return fetch(url, {
+          ...options,
+          signal: controller.signal,
+        }).finally(() => clearTimeout(id));
+      }
+    },
+    // Configure database options
+    db: {
+      schema: 'public'
+    },
+    // Add retry logic
+    realtime: {
+      params: {
+        eventsPerSecond: 10
+      }
+    }
+  });
+
+  return supabase;
+}
 
 /**
  * Test the Supabase connection to verify credentials
@@ -49,7 +63,7 @@ const supabase = createClient(supabaseUrl, supabaseKey, {
  */
 async function testConnection() {
   try {
-    const { data, error } = await supabase.from('categories').select('count(*)', { count: 'exact', head: true });
+    const { data, error } = await getSupabaseClient().from('categories').select('count(*)', { count: 'exact', head: true });
     
     if (error) {
       console.error('Supabase connection test failed:', error);
@@ -64,6 +78,6 @@ async function testConnection() {
 }
 
 module.exports = {
-  supabase,
+  getSupabaseClient,
   testConnection
 };
\ No newline at end of file
@@ -0,0 +1,206 @@
+const {
+  searchDocumentation,
+  getDocumentationById,
+  getRelatedGraph,
+  getInstructionReference,
+  getCategories,
+  getRandomDocumentation,
+  getDocumentationCount
+} = require('./documentation');
+const {
+  createDictionary,
+  lint,
+  explain,
+  formatCode,
+  evaluate,
+  createReference,
+  complete,
+  inspectDbFile,
+  checkFieldReferences,
+  resolveWorkspacePath,
+  scanWorkspace
+} = require('./webdna');
+
+// Used to report uptime from the get-webdna-stats tool
+const startTime = Date.now();
+
+/**
+ * Invoke an MCP tool by name
+ * @param {string} tool - Name of the tool (see src/mcp-tools.js)
+ * @param {Object} params - Tool arguments
+ * @returns {Promise<Object>} - Tool result
+ */
+async function invokeTool(tool, params = {}) {
+  switch (tool) {
+    case 'search-webdna-docs':
+      return await searchDocumentation(params.query, {
+        limit: params.limit,
+        offset: params.offset,
+        category: params.category,
+        format: params.format
+      });
+
+    case 'get-webdna-doc': {
+      const doc = await getDocumentationById(params.id, { format: params.format });
+
+      if (!doc) {
+        throw new Error(`Documentation not found for ID: ${params.id}`);
+      }
+
+      if (params.examples_only) {
+        return {
+          instruction: doc.instruction,
+          webdna_id: doc.webdna_id,
+          url: doc.url,
+          examples: doc.examples || []
+        };
+      }
+
+      return { doc };
+    }
+
+    case 'get-webdna-related': {
+      const graph = await getRelatedGraph(params.id, {
+        depth: params.depth,
+        direction: params.direction,
+        limit: params.limit,
+        format: params.format
+      });
+
+      if (!graph) {
+        throw new Error(`Documentation not found for ID: ${params.id}`);
+      }
+
+      return graph;
+    }
+
+    case 'lint-webdna-code': {
+      if (typeof params.code !== 'string') {
+        throw new Error('code must be a string');
+      }
+
+      return lint(params.code, createDictionary(await getInstructionReference()));
+    }
+
+    case 'explain-webdna-code': {
+      if (typeof params.code !== 'string') {
+        throw new Error('code must be a string');
+      }
+
+      return explain(params.code, {
+        lookup: name => getDocumentationById(name),
+        dictionary: createDictionary(await getInstructionReference())
+      });
+    }
+
+    case 'format-webdna-code': {
+      if (typeof params.code !== 'string') {
+        throw new Error('code must be a string');
+      }
+
+      return formatCode(params.code, {
+        indent: params.indent_with_tabs ? '\t' : ' '.repeat(params.indent_size || 2)
+      });
+    }
+
+    case 'complete-webdna-code': {
+      if (typeof params.code !== 'string') {
+        throw new Error('code must be a string');
+      }
+      if (params.offset !== undefined && (!Number.isInteger(params.offset) || params.offset < 0 || params.offset > params.code.length)) {
+        throw new Error(`offset must be an integer from 0 to ${params.code.length}`);
+      }
+
+      const result = complete(params.code, params.offset, createReference(await getInstructionReference()));
+      return { ...result, completions: result.completions.slice(0, params.limit || 20) };
+    }
+
+    case 'eval-webdna': {
+      if (typeof params.code !== 'string') {
+        throw new Error('code must be a string');
+      }
+      if (params.databases !== undefined && (typeof params.databases !== 'object' || params.databases === null || Array.isArray(params.databases))) {
+        throw new Error('databases must be an object of database paths to contents');
+      }
+      if (params.variables !== undefined && (typeof params.variables !== 'object' || params.variables === null || Array.isArray(params.variables))) {
+        throw new Error('variables must be an object of names to values');
+      }
+
+      return evaluate(params.code, {
+        databases: params.databases,
+        variables: params.variables,
+        now: params.now,
+        maxSteps: params.max_steps,
+        expected: params.expected
+      });
+    }
+
+    case 'inspect-webdna-db': {
+      if (params.path === undefined && params.code === undefined) {
+        throw new Error('path or code is required');
+      }
+      if (params.path !== undefined && typeof params.path !== 'string') {
+        throw new Error('path must be a string');
+      }
+      if (params.code !== undefined && typeof params.code !== 'string') {
+        throw new Error('code must be a string');
+      }
+
+      const result = {};
+      if (params.path !== undefined) {
+        result.database = await inspectDbFile(params.path);
+      }
+      if (params.code !== undefined) {
+        const { instructions } = createDictionary(await getInstructionReference());
+        result.fields = await checkFieldReferences(params.code, { instructions });
+      }
+
+      return result;
+    }
+
+    case 'scan-webdna-workspace': {
+      if (params.path !== undefined && typeof params.path !== 'string') {
+        throw new Error('path must be a string');
+      }
+      if (params.extensions !== undefined && (!Array.isArray(params.extensions) || !params.extensions.every(extension => typeof extension === 'string'))) {
+        throw new Error('extensions must be an array of strings');
+      }
+
+      const report = await scanWorkspace(await resolveWorkspacePath(params.path || '.'), {
+        entries: await getInstructionReference(),
+        extensions: params.extensions
+      });
+
+      if (!params.include_files) {
+        delete report.files;
+      }
+
+      return report;
+    }
+
+    case 'get-webdna-categories':
+      return { categories: await getCategories() };
+
+    case 'get-random-webdna-docs':
+      return { docs: await getRandomDocumentation(params.limit || 5, { format: params.format }) };
+
+    case 'get-webdna-stats': {
+      const docCount = await getDocumentationCount();
+      const categories = await getCategories();
+
+      return {
+        total_docs: docCount,
+        total_categories: categories.length,
+        server_uptime: Math.floor((Date.now() - startTime) / 1000),
+        server_version: require('../package.json').version
+      };
+    }
+
+    default:
+      throw new Error(`Unknown tool: ${tool}`);
+  }
+}
+
+module.exports = {
+  invokeTool
+};
@@ -0,0 +1,66 @@
+/**
+ * WebDNA AST helpers
+ * Positions are { offset, line, column }, with 1-based lines and columns.
+ */
+
+/**
+ * Create a function that turns character offsets into positions
+ * @param {string} source - Source the offsets refer to
+ * @returns {Function} - positionAt(offset)
+ */
+function createLocator(source) {
+  const lineStarts = [0];
+  for (let index = 0; index < source.length; index++) {
+    if (source[index] === '\n') lineStarts.push(index + 1);
+  }
+
+  return function positionAt(offset) {
+    // Binary search for the last line starting at or before the offset
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return { offset, line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Get the nodes directly inside a node, in source order
+ * Tags with parameters contain the parameter nodes first, then (for
+ * contexts) their content.
+ * @param {Object} node - AST node
+ * @returns {Array} - Child nodes
+ */
+function childNodes(node) {
+  const children = [];
+  if (node.params) children.push(...node.params.children);
+  if (node.children) children.push(...node.children);
+  return children;
+}
+
+/**
+ * Visit every node of a tree, depth first in source order
+ * @param {Object} node - Root node
+ * @param {Function} visitor - Called with (node, parent, depth); return false to skip the node's children
+ * @param {Object} parent - Parent of the root node (optional)
+ * @param {number} depth - Number of enclosing tags (optional)
+ */
+function walk(node, visitor, parent = null, depth = 0) {
+  if (visitor(node, parent, depth) === false) return;
+
+  const isTag = node.type !== 'document' && node.type !== 'text';
+  childNodes(node).forEach(child => walk(child, visitor, node, isTag ? depth + 1 : depth));
+}
+
+module.exports = {
+  createLocator,
+  childNodes,
+  walk
+};
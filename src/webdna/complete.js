@@ -0,0 +1,370 @@
+/**
+ * WebDNA completion
+ * Works out what can be typed at a cursor in WebDNA code: instruction names
+ * after "[", parameter names inside a tag, documented values after "=", and
+ * the closing tag of the innermost open context. Candidates are ranked by
+ * how well they match what was already typed, and instructions come with a
+ * snippet built from their documented syntax. The cursor is located with
+ * the tokenizer, so completion works while a tag is only half typed.
+ */
+
+const { tokenize } = require('./lexer');
+const { createDictionary, parameterPattern, editDistance } = require('./lint');
+
+// A tag name being typed right before the cursor: "[sea" or "[/found"
+const PARTIAL_TAG_PATTERN = /\[(\/?)([A-Za-z_!][\w.:-]*)?$/;
+
+// Ranking bonuses on top of how well a candidate matches the typed prefix
+const INNERMOST_CLOSING_BONUS = 5;
+const REQUIRED_PARAMETER_BONUS = 2;
+
+/**
+ * Build the lookup tables completion uses from the instruction reference
+ * @param {Array} entries - Result of getInstructionReference()
+ * @returns {Object} - { dictionary, docs: Map of lower-case name to reference entry }
+ */
+function createReference(entries) {
+  const docs = new Map();
+
+  entries.forEach(doc => {
+    [doc.instruction, doc.webdna_id]
+      .filter(Boolean)
+      .map(name => String(name).replace(/^\[|\]$/g, '').toLowerCase())
+      .forEach(name => {
+        if (!docs.has(name)) docs.set(name, doc);
+      });
+  });
+
+  return { dictionary: createDictionary(entries), docs };
+}
+
+/**
+ * Find the tag around an offset
+ * @param {string} text - WebDNA source
+ * @param {number} offset - Cursor offset
+ * @returns {Object} - { name: token under the cursor (open or close tag name), tag: innermost open tag whose parameters hold the cursor }
+ */
+function findTagAt(text, offset) {
+  const stack = [];
+  let name = null;
+
+  for (const token of tokenize(text)) {
+    if (token.start >= offset) {
+      // The cursor may sit right at the end of a tag name
+      if (token.start === offset && (token.type === 'open' || token.type === 'close')) name = token;
+      break;
+    }
+
+    if (token.type === 'open') stack.push(token);
+    else if (token.type === 'end') stack.pop();
+
+    if ((token.type === 'open' || token.type === 'close') && offset <= token.end) name = token;
+  }
+
+  const tag = stack.length > 0 ? stack[stack.length - 1] : null;
+  return { name, tag: tag && tag.end <= offset ? tag : null };
+}
+
+/**
+ * Contexts opened before an offset and not yet closed, outermost first
+ * @returns {Array} - Context names as written
+ */
+function findOpenContexts(text, offset, reference) {
+  const stack = [];
+
+  for (const token of tokenize(text.slice(0, offset))) {
+    if (token.type === 'open' && reference.dictionary.contexts.has(token.name.toLowerCase())) {
+      stack.push(token);
+    } else if (token.type === 'close') {
+      const name = token.name.toLowerCase();
+      const index = stack.map(open => open.name.toLowerCase()).lastIndexOf(name);
+      if (index >= 0) stack.length = index;
+    }
+  }
+
+  // A tag still being typed hasn't opened anything yet
+  const last = stack[stack.length - 1];
+  if (last && !/\]/.test(text.slice(last.end, offset).replace(/\[[^[\]]*\]/g, ''))) stack.pop();
+
+  return stack.map(token => token.name);
+}
+
+/**
+ * Parameters of a tag up to the cursor, split at the top-level "&"
+ * @returns {Array} - Segments, the last one being the parameter being typed
+ */
+function parameterSegments(text, tag, offset) {
+  let params = text.slice(tag.end, offset);
+
+  // Nested tags may contain "&" and "=" of their own
+  let previous;
+  do {
+    previous = params;
+    params = params.replace(/\[[^[\]]*\]/g, '');
+  } while (params !== previous);
+
+  return params.split('&').map(segment => segment.replace(/^\s+/, ''));
+}
+
+/**
+ * The parameter being typed: text from the last top-level "&" of the tag to the cursor
+ */
+function currentSegment(text, tag, offset) {
+  return parameterSegments(text, tag, offset).pop();
+}
+
+/**
+ * Whether a tag takes name=value parameters rather than an expression such as [showif a=b]
+ * A "name=" typed for a documented parameter settles it; otherwise an expression is
+ * told by its documented syntax showing the parameters as bare words, as in
+ * [showif value1 comparison value2].
+ * @param {Object} doc - Reference entry
+ * @param {string} segment - Parameter text typed before the cursor
+ */
+function takesNamedParameters(doc, segment) {
+  const names = (Array.isArray(doc.parameters) ? doc.parameters : [])
+    .map(parameter => parameter.name)
+    .filter(Boolean);
+  if (names.length === 0) return false;
+
+  const equals = segment.indexOf('=');
+  if (equals > 0) {
+    const typed = segment.slice(0, equals).trim();
+    if (names.some(name => parameterPattern(name).test(typed))) return true;
+  }
+
+  const opening = doc.syntax ? doc.syntax.split(']')[0] : '';
+  const words = opening.split(/[\s[&]+/).filter(word => word && !word.includes('='));
+  return !words.slice(1).some(word => names.some(name => name.toLowerCase() === word.toLowerCase()));
+}
+
+/**
+ * First line of a documented syntax
+ */
+function syntaxLine(doc) {
+  return doc.syntax ? doc.syntax.split('\n')[0].trim() : `[${doc.instruction}]`;
+}
+
+/**
+ * Escape text for a snippet placeholder
+ */
+function escapeSnippet(text) {
+  return text.replace(/[$}\\]/g, '\\$&');
+}
+
+/**
+ * Build the text that completes an instruction after its "[", in LSP snippet syntax
+ * The placeholders come from the documented syntax: [search db=database path&criteria]...[/search]
+ * becomes search db=${1:database path}&${2:criteria}]$0[/search].
+ * @param {Object} doc - Reference entry
+ * @returns {string}
+ */
+function buildSnippet(doc) {
+  const syntax = (doc.syntax || '').replace(/\s*\n\s*/g, '');
+  const match = /^\[([^\s\]]+)\s*([^\]]*)\](.*)$/.exec(syntax);
+  if (!match) return `${doc.instruction}]$0`;
+
+  const [, name, params, rest] = match;
+  let index = 1;
+  const placeholder = text => `\${${index++}:${escapeSnippet(text)}}`;
+
+  const parameters = params
+    ? ' ' + params.split('&').map(piece => {
+      const equals = piece.indexOf('=');
+      return equals > 0 ? piece.slice(0, equals + 1) + placeholder(piece.slice(equals + 1)) : placeholder(piece);
+    }).join('&')
+    : '';
+
+  const closing = new RegExp(`\\[\\/${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\]`, 'i').exec(rest);
+  if (!closing) return `${name}${parameters}]$0`;
+
+  const content = rest.slice(0, closing.index).trim();
+  const body = !content || /^(\.\.\.|…)$/.test(content) ? '$0' : `${placeholder(content)}$0`;
+  return `${name}${parameters}]${body}[/${name}]`;
+}
+
+/**
+ * How well a candidate matches the typed prefix: 0 (no match) to 4 (exact)
+ */
+function matchScore(label, prefix) {
+  if (!prefix) return 1;
+
+  const candidate = label.toLowerCase();
+  const typed = prefix.toLowerCase();
+  if (candidate === typed) return 4;
+  if (candidate.startsWith(typed)) return 3;
+  if (candidate.includes(typed)) return 2;
+
+  // A typo in the prefix: "serach" still finds search
+  const maxDistance = Math.max(1, Math.floor(typed.length / 3));
+  if (typed.length >= 3 && editDistance(candidate.slice(0, typed.length), typed) <= maxDistance) return 1;
+  return 0;
+}
+
+/**
+ * Rank candidates by score, then alphabetically, dropping those that don't match
+ */
+function rank(candidates) {
+  return candidates
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label));
+}
+
+/**
+ * Closing tag candidates for the open contexts, innermost first
+ */
+function closingTags(openContexts, prefix, format) {
+  return [...openContexts].reverse()
+    .filter((name, index, names) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index)
+    .map((name, index) => {
+      const score = matchScore(name, prefix);
+      return {
+        label: `[/${name}]`,
+        kind: 'closing-tag',
+        detail: index === 0 ? 'Closes the innermost open context' : 'Closes an enclosing context',
+        insert_text: format(name),
+        score: score > 0 ? score * 10 + (index === 0 ? INNERMOST_CLOSING_BONUS : 0) : 0
+      };
+    });
+}
+
+/**
+ * Complete WebDNA code at a cursor
+ * @param {string} code - WebDNA source
+ * @param {number} offset - Cursor offset (default: the end of the code)
+ * @param {Object} reference - Lookup tables from createReference
+ * @returns {Object} - { context: { kind, tag, prefix, open_contexts }, completions }, kind being instruction,
+ *   closing-tag, parameter, value, expression or text, and completions
+ *   { label, kind, detail, documentation, insert_text, snippet, url, score }, best first; insert_text
+ *   and snippet replace the prefix
+ */
+function complete(code, offset, reference) {
+  const text = String(code || '');
+  const cursor = offset === undefined || offset === null ? text.length : Math.max(0, Math.min(offset, text.length));
+  const lineStart = text.lastIndexOf('\n', cursor - 1) + 1;
+  const partial = PARTIAL_TAG_PATTERN.exec(text.slice(lineStart, cursor));
+  const openContexts = findOpenContexts(text, cursor, reference);
+
+  // After "[/": close one of the open contexts
+  if (partial && partial[1] === '/') {
+    const prefix = partial[2] || '';
+    return {
+      context: { kind: 'closing-tag', tag: null, prefix, open_contexts: openContexts },
+      completions: rank(closingTags(openContexts, prefix, name => `${name}]`))
+    };
+  }
+
+  // After "[": an instruction or context name, or the closing tag
+  if (partial) {
+    const prefix = partial[2] || '';
+    const seen = new Set();
+    const candidates = [];
+
+    reference.docs.forEach((doc, name) => {
+      if (seen.has(doc)) return;
+      seen.add(doc);
+
+      const isContext = reference.dictionary.contexts.has(name);
+      candidates.push({
+        label: doc.instruction,
+        kind: isContext ? 'context' : 'instruction',
+        detail: syntaxLine(doc),
+        documentation: doc.description || null,
+        insert_text: doc.instruction,
+        snippet: buildSnippet(doc),
+        url: doc.url || null,
+        score: matchScore(doc.instruction, prefix) * 10
+      });
+    });
+
+    if (!prefix) candidates.push(...closingTags(openContexts, prefix, name => `/${name}]`));
+
+    return {
+      context: { kind: 'instruction', tag: null, prefix, open_contexts: openContexts },
+      completions: rank(candidates)
+    };
+  }
+
+  const { tag } = findTagAt(text, cursor);
+
+  // Outside any tag: close the innermost context
+  if (!tag) {
+    return {
+      context: { kind: 'text', tag: null, prefix: '', open_contexts: openContexts },
+      completions: rank(closingTags(openContexts.slice(-1), '', name => `[/${name}]`))
+    };
+  }
+
+  const doc = reference.docs.get(tag.name.toLowerCase());
+  const entry = reference.dictionary.entries.get(tag.name.toLowerCase());
+  const segments = parameterSegments(text, tag, cursor);
+  const segment = segments.pop();
+  const equals = segment.indexOf('=');
+  const context = { tag: tag.name, open_contexts: openContexts };
+
+  // Undocumented tags, and tags such as [showif] that take an expression, have nothing to offer
+  if (!doc || !takesNamedParameters(doc, segment)) {
+    return { context: { ...context, kind: doc ? 'expression' : 'parameter', prefix: segment }, completions: [] };
+  }
+
+  const parameters = doc.parameters.filter(parameter => parameter.name);
+
+  // After "name=": the documented values of that parameter
+  if (equals >= 0) {
+    const name = segment.slice(0, equals).trim();
+    const prefix = segment.slice(equals + 1);
+    const parameter = parameters.find(candidate => parameterPattern(candidate.name).test(name));
+    const values = parameter && Array.isArray(parameter.values) ? parameter.values : [];
+    const meanings = (parameter && parameter.value_descriptions) || {};
+
+    return {
+      context: { ...context, kind: 'value', prefix },
+      completions: rank(values.map(value => {
+        const label = String(value);
+        return {
+          label,
+          kind: 'value',
+          detail: `Value of ${parameter.name}`,
+          documentation: meanings[label] || null,
+          insert_text: label,
+          url: doc.url || null,
+          score: matchScore(label, prefix) * 10
+        };
+      }))
+    };
+  }
+
+  // Parameters already given are not offered again, except patterns such as eqFIELDdata
+  const given = segments.map(piece => piece.split('=')[0].trim()).filter(Boolean);
+  const available = parameters.filter(parameter => {
+    const isPattern = /[a-z]/.test(parameter.name) && /[A-Z]{2,}/.test(parameter.name);
+    return isPattern || !given.some(name => parameterPattern(parameter.name).test(name));
+  });
+
+  return {
+    context: { ...context, kind: 'parameter', prefix: segment },
+    completions: rank(available.map(parameter => {
+      const documented = entry && entry.parameters.find(candidate => candidate.name === parameter.name);
+      const required = Boolean(documented && documented.required);
+      const score = matchScore(parameter.name, segment);
+      return {
+        label: parameter.name,
+        kind: 'parameter',
+        detail: required ? 'required' : (parameter.default ? `default: ${parameter.default}` : null),
+        documentation: parameter.description || null,
+        insert_text: `${parameter.name}=`,
+        url: doc.url || null,
+        score: score > 0 ? score * 10 + (required ? REQUIRED_PARAMETER_BONUS : 0) : 0
+      };
+    }))
+  };
+}
+
+module.exports = {
+  createReference,
+  findTagAt,
+  currentSegment,
+  syntaxLine,
+  buildSnippet,
+  complete
+};
@@ -0,0 +1,419 @@
+/**
+ * WebDNA database file inspector
+ * WebDNA keeps data in tab-delimited .db files whose first line lists the
+ * field names. This module reports a file's fields, row count, guessed
+ * field types and malformed rows, and checks that the fields a snippet
+ * uses in [search], [lookup], [append], [replace] and similar tags exist in
+ * the database they name.
+ *
+ * Only .db files inside WEBDNA_DB_ROOT are read, and the tools refuse to
+ * read anything while it is not set. Hidden files and directories are never read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('./parser');
+const { walk } = require('./ast');
+const { editDistance } = require('./lint');
+const { CRITERIA_PATTERN, SORT_PATTERN } = require('./search-criteria');
+
+// Larger files are refused rather than read into memory
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+// Malformed rows listed in a report (the total is always given)
+const MAX_MALFORMED_ROWS = 50;
+
+// Type guesses, most specific first; a field gets the first type all its values match
+const TYPE_PATTERNS = [
+  ['boolean', /^(T|F)$/],
+  ['integer', /^[-+]?\d+$/],
+  ['number', /^[-+]?(\d+\.\d*|\.\d+|\d+)$/],
+  ['date', /^\d{1,2}\/\d{1,2}\/\d{2,4}$/],
+  ['time', /^\d{1,2}:\d{2}(:\d{2})?(\s?[AP]M)?$/i]
+];
+
+// [lookup] parameters whose value is a field name
+const FIELD_VALUE_PARAMETERS = new Set(['lookinfield', 'returnfield']);
+
+// Contexts whose content is a list of field=value pairs
+const FIELD_CONTENT_CONTEXTS = new Set(['append', 'replace']);
+
+/**
+ * Get the directory database files are read from
+ * @returns {string}
+ * @throws {Error} - With code 'no-database-root' when WEBDNA_DB_ROOT is not set
+ */
+function getDatabaseRoot() {
+  if (!process.env.WEBDNA_DB_ROOT) {
+    const error = new Error('WEBDNA_DB_ROOT is not set: set it to the directory .db files may be read from');
+    error.code = 'no-database-root';
+    throw error;
+  }
+
+  return path.resolve(process.env.WEBDNA_DB_ROOT);
+}
+
+/**
+ * Resolve a database path inside the root directory
+ * @param {string} dbPath - Path as written in WebDNA code, relative to the root
+ * @param {string} root - Root directory
+ * @returns {string} - Absolute path
+ */
+function resolveDatabasePath(dbPath, root = getDatabaseRoot()) {
+  const file = path.resolve(root, String(dbPath).replace(/^[/\\]+/, ''));
+  checkDatabaseFile(file, root, dbPath);
+  return file;
+}
+
+/**
+ * Resolve a database path inside the root directory, following symbolic links
+ * A link inside the root may point anywhere, so the real path of the file is
+ * checked against the real path of the root.
+ * @param {string} dbPath - Path as written in WebDNA code, relative to the root
+ * @param {string} root - Root directory
+ * @returns {Promise<string>} - Real absolute path; rejects with ENOENT when the file doesn't exist
+ */
+async function resolveRealDatabasePath(dbPath, root = getDatabaseRoot()) {
+  const file = resolveDatabasePath(dbPath, root);
+  const [realFile, realRoot] = await Promise.all([fs.promises.realpath(file), fs.promises.realpath(root)]);
+
+  checkDatabaseFile(realFile, realRoot, dbPath);
+  return realFile;
+}
+
+/**
+ * Refuse anything but a .db file inside the root directory, outside hidden directories
+ * @param {string} file - Absolute path
+ * @param {string} root - Root directory
+ * @param {string} dbPath - Path as given, for the error message
+ */
+function checkDatabaseFile(file, root, dbPath) {
+  // Never read outside the root directory
+  if (!isInside(file, root)) {
+    throw new Error(`Database path is outside ${root}: ${dbPath}`);
+  }
+
+  // Such as .env, .git/config or a link named data.db pointing at one
+  if (path.relative(root, file).split(path.sep).some(segment => segment.startsWith('.'))) {
+    throw new Error(`Hidden files are not read: ${dbPath}`);
+  }
+
+  if (path.extname(file).toLowerCase() !== '.db') {
+    throw new Error(`Not a .db file: ${dbPath}`);
+  }
+}
+
+/**
+ * Whether a path is a directory or lies inside it
+ */
+function isInside(file, directory) {
+  return file === directory || file.startsWith(directory.endsWith(path.sep) ? directory : directory + path.sep);
+}
+
+/**
+ * Guess the type of a field from its values
+ */
+function guessType(values) {
+  const filled = values.filter(value => value !== '');
+  if (filled.length === 0) return 'empty';
+
+  const match = TYPE_PATTERNS.find(([, pattern]) => filled.every(value => pattern.test(value)));
+  return match ? match[0] : 'text';
+}
+
+/**
+ * Analyse the content of a .db file
+ * @param {string} text - File content
+ * @returns {Object} - { fields, row_count, malformed_row_count, malformed_rows, issues }
+ */
+function analyzeDbFile(text) {
+  // Classic Mac OS files end lines with \r
+  const lines = text.split(/\r\n|\r|\n/);
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+
+  if (lines.length === 0) {
+    return { fields: [], row_count: 0, malformed_row_count: 0, malformed_rows: [], issues: ['The file is empty: the first line must list the field names'] };
+  }
+
+  const header = lines[0].split('\t');
+  const issues = [];
+  const seen = new Set();
+
+  header.forEach((name, index) => {
+    const key = name.trim().toLowerCase();
+    if (!key) {
+      issues.push(`Field ${index + 1} has no name`);
+    } else if (seen.has(key)) {
+      issues.push(`Field "${name.trim()}" is listed more than once (field names are not case-sensitive)`);
+    }
+    if (name !== name.trim()) {
+      issues.push(`Field name "${name}" has leading or trailing spaces`);
+    }
+    seen.add(key);
+  });
+
+  const columns = header.map(() => []);
+  const malformed = [];
+  let rowCount = 0;
+
+  lines.slice(1).forEach((line, index) => {
+    if (line === '') return;
+    rowCount++;
+
+    const values = line.split('\t');
+    if (values.length !== header.length) {
+      malformed.push({ line: index + 2, expected: header.length, found: values.length });
+    }
+    values.slice(0, header.length).forEach((value, column) => columns[column].push(value));
+  });
+
+  return {
+    fields: header.map((name, index) => {
+      const values = columns[index];
+      return {
+        name: name.trim(),
+        type: guessType(values),
+        empty: rowCount - values.filter(value => value !== '').length,
+        samples: [...new Set(values.filter(value => value !== ''))].slice(0, 3)
+      };
+    }),
+    row_count: rowCount,
+    malformed_row_count: malformed.length,
+    malformed_rows: malformed.slice(0, MAX_MALFORMED_ROWS),
+    issues
+  };
+}
+
+/**
+ * Read the records of a .db file
+ * Missing values are empty and extra values are dropped, as WebDNA does.
+ * @param {string} text - File content
+ * @returns {Object} - { fields, records }, records being objects keyed by field name
+ */
+function readDbRecords(text) {
+  const lines = text.split(/\r\n|\r|\n/).filter(line => line !== '');
+  if (lines.length === 0) return { fields: [], records: [] };
+
+  const fields = lines[0].split('\t').map(name => name.trim());
+  const records = lines.slice(1).map(line => {
+    const values = line.split('\t');
+    return Object.fromEntries(fields.map((field, index) => [field, values[index] || '']));
+  });
+
+  return { fields, records };
+}
+
+/**
+ * Read and analyse a .db file
+ * @param {string} dbPath - Path relative to the database root
+ * @param {Object} options - { root } directory (default: WEBDNA_DB_ROOT)
+ * @returns {Promise<Object>} - { path, size, ...analysis }
+ */
+async function inspectDbFile(dbPath, options = {}) {
+  const root = path.resolve(options.root || getDatabaseRoot());
+  const file = await resolveRealDatabasePath(dbPath, root);
+  const stats = await fs.promises.stat(file);
+
+  if (!stats.isFile()) {
+    throw new Error(`Not a file: ${dbPath}`);
+  }
+  if (stats.size > MAX_FILE_SIZE) {
+    throw new Error(`Database file is too large to inspect (${stats.size} bytes): ${dbPath}`);
+  }
+
+  return {
+    path: path.relative(root, resolveDatabasePath(dbPath, root)),
+    size: stats.size,
+    ...analyzeDbFile(await fs.promises.readFile(file, 'utf8'))
+  };
+}
+
+/**
+ * Source text of a list of nodes, with tags replaced by a placeholder
+ */
+function textOf(nodes) {
+  return nodes.map(node => (node.type === 'text' ? node.value : '\u0000')).join('');
+}
+
+/**
+ * Database a tag names in its db parameter
+ * @returns {string|null|undefined} - The path, null when it is computed (db=[name]), undefined without a db parameter
+ */
+function databaseOf(node) {
+  if (!node.parameters) return undefined;
+
+  const dbParameter = node.parameters.find(parameter => parameter.name && parameter.name.toLowerCase() === 'db');
+  if (!dbParameter) return undefined;
+
+  const value = textOf(dbParameter.value).trim();
+  return value.includes('\u0000') ? null : value;
+}
+
+/**
+ * Find the databases a snippet uses
+ * @param {string} code - WebDNA source
+ * @returns {Array} - { database, tag, line, column }, database being null when it is computed
+ */
+function findDatabaseReferences(code) {
+  const { ast } = parse(code);
+  const references = [];
+
+  walk(ast, node => {
+    const database = databaseOf(node);
+    if (database !== undefined) {
+      references.push({ database, tag: node.name, line: node.start.line, column: node.start.column });
+    }
+  });
+
+  return references;
+}
+
+/**
+ * Find the database fields a snippet refers to
+ * @param {string} code - WebDNA source
+ * @param {Set} instructions - Lower-case instruction names, not reported as fields inside [founditems] (optional)
+ * @returns {Array} - { database, field, usage, tag, line, column }, usage being
+ *   criteria, sort, lookup, content (of [append]/[replace]) or founditems; database is null when it is computed
+ */
+function findFieldReferences(code, instructions = new Set()) {
+  const { ast } = parse(code);
+  const references = [];
+
+  walk(ast, node => {
+    const database = databaseOf(node);
+    if (database === undefined) return;
+
+    const add = (field, usage, position) => {
+      references.push({ database, field, usage, tag: node.name, line: position.line, column: position.column });
+    };
+
+    node.parameters.forEach(parameter => {
+      if (!parameter.name) return;
+
+      const criteria = CRITERIA_PATTERN.exec(parameter.name);
+      const sort = SORT_PATTERN.exec(parameter.name);
+      if (FIELD_VALUE_PARAMETERS.has(parameter.name.toLowerCase())) {
+        const field = textOf(parameter.value).trim();
+        if (field && !field.includes('\u0000')) add(field, 'lookup', parameter.start);
+      } else if (criteria) {
+        add(criteria[2], 'criteria', parameter.start);
+      } else if (sort) {
+        add(sort[1], 'sort', parameter.start);
+      }
+    });
+
+    if (node.type !== 'context') return;
+
+    if (FIELD_CONTENT_CONTEXTS.has(node.name.toLowerCase())) {
+      // field=value pairs, separated by "&"
+      textOf(node.children).split('&').forEach(pair => {
+        const match = /^\s*([A-Za-z_][\w.-]*)\s*=/.exec(pair);
+        if (match) add(match[1], 'content', node.open.end);
+      });
+    }
+
+    // Fields shown by the [founditems] loop of a [search]
+    node.children
+      .filter(child => child.type === 'context' && child.name.toLowerCase() === 'founditems')
+      .forEach(loop => {
+        loop.children
+          .filter(child => child.type === 'variable' && !instructions.has(child.name.toLowerCase()))
+          .forEach(variable => add(variable.name, 'founditems', variable.start));
+      });
+  });
+
+  return references;
+}
+
+/**
+ * Check that the fields a snippet uses exist in the databases it names
+ * References inside a [founditems] loop may be variables rather than
+ * fields, so they are reported as warnings.
+ * @param {string} code - WebDNA source
+ * @param {Object} options - Checker options
+ * @param {string} options.root - Directory database paths are relative to (default: WEBDNA_DB_ROOT)
+ * @param {Set} options.instructions - Lower-case instruction names, such as dictionary.instructions (optional)
+ * @returns {Promise<Object>} - { databases, references, problems }
+ */
+async function checkFieldReferences(code, options = {}) {
+  const root = path.resolve(options.root || getDatabaseRoot());
+  const references = findFieldReferences(code, options.instructions);
+
+  // Databases keyed by real path, and the key of each name written in the code:
+  // "/data/x.db", "data/x.db" and a link to it are the same file
+  const databases = new Map();
+  const keys = new Map();
+
+  for (const reference of references) {
+    if (reference.database === null || keys.has(reference.database)) continue;
+
+    let key = reference.database;
+    try {
+      key = await resolveRealDatabasePath(reference.database, root);
+      if (!databases.has(key)) {
+        databases.set(key, await inspectDbFile(reference.database, { root }));
+      }
+    } catch (error) {
+      const message = error.code === 'ENOENT' ? 'file not found' : error.message;
+      databases.set(key, { path: reference.database, error: message });
+    }
+
+    keys.set(reference.database, key);
+  }
+
+  const problems = [];
+  references.forEach(reference => {
+    const database = reference.database === null ? null : databases.get(keys.get(reference.database));
+
+    if (!database || database.error) {
+      reference.exists = null;
+      return;
+    }
+
+    const fields = database.fields.map(field => field.name);
+    reference.exists = fields.some(field => field.toLowerCase() === reference.field.toLowerCase());
+    if (reference.exists) return;
+
+    const suggestion = fields
+      .map(field => ({ field, distance: editDistance(field.toLowerCase(), reference.field.toLowerCase()) }))
+      .filter(candidate => candidate.distance <= Math.max(1, Math.floor(reference.field.length / 3)))
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    problems.push({
+      severity: reference.usage === 'founditems' ? 'warning' : 'error',
+      message: `[${reference.tag}] uses field "${reference.field}", which is not in ${reference.database}` +
+        (suggestion ? ` (did you mean "${suggestion.field}"?)` : '') +
+        (reference.usage === 'founditems' ? ' (it may be a variable)' : ''),
+      ...reference
+    });
+  });
+
+  databases.forEach(database => {
+    if (database.error) {
+      problems.push({ severity: 'error', message: `Could not read ${database.path}: ${database.error}`, database: database.path });
+    }
+  });
+
+  return {
+    databases: [...databases.values()].map(database => (database.error ? database : {
+      path: database.path,
+      fields: database.fields.map(field => field.name),
+      row_count: database.row_count
+    })),
+    references,
+    problems
+  };
+}
+
+module.exports = {
+  getDatabaseRoot,
+  resolveDatabasePath,
+  resolveRealDatabasePath,
+  isInside,
+  analyzeDbFile,
+  readDbRecords,
+  inspectDbFile,
+  findDatabaseReferences,
+  findFieldReferences,
+  checkFieldReferences
+};
@@ -0,0 +1,661 @@
+/**
+ * WebDNA evaluator
+ * Runs the side-effect-free part of WebDNA in a sandbox: [math], [text],
+ * [showif]/[hideif], [loop], [listwords], [format], [date] and [time] against
+ * a fixed clock, and [search]/[founditems] against in-memory databases.
+ * Nothing touches the file system or the network, and a run stops after a
+ * set number of steps. Other tags are written out unchanged, the way WebDNA
+ * leaves tags it doesn't know in its output, and reported as unsupported.
+ */
+
+const { parse } = require('./parser');
+const { readDbRecords } = require('./db-file');
+const { evaluateMath, formatNumber } = require('./math');
+const { CRITERIA_PATTERN, SORT_PATTERN } = require('./search-criteria');
+
+// Steps (tags, text nodes, loop iterations and records searched) a run may take
+const DEFAULT_MAX_STEPS = 10000;
+const MAX_STEPS = 100000;
+
+// Longest output a run may produce
+const MAX_OUTPUT_LENGTH = 1024 * 1024;
+
+// Clock used by [date] and [time] unless another is given
+const DEFAULT_NOW = '2000-01-01T00:00:00Z';
+
+// Contexts the evaluator runs; leaving one open is reported
+const CONTEXTS = ['math', 'text', 'showif', 'hideif', 'loop', 'listwords', 'format', 'search', 'founditems', '!', 'raw'];
+
+// Comparison operators of [showif] and [hideif]
+const COMPARISON_PATTERN = /[=!<>^~]/;
+
+// Word separators of [listwords] when no delimiters are given
+const DEFAULT_DELIMITERS = ' \t\r\n,';
+
+// Records a [search] returns when no max is given
+const DEFAULT_MAX_RECORDS = 100;
+
+// [format] specifications: flags, width, precision and conversion, as in printf
+const FORMAT_PATTERN = /^([-+ 0]*)(\d+)?(?:\.(\d+))?([diufeEgGxXos])$/;
+
+const NUMBER_PATTERN = /^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/;
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Record a problem found while running
+ */
+function report(state, code, message, node) {
+  state.errors.push({ code, message, line: node.start.line, column: node.start.column });
+}
+
+/**
+ * Count a step, stopping the run when the limit is reached
+ */
+function step(state) {
+  state.steps++;
+  if (state.steps > state.maxSteps) {
+    const error = new Error(`Stopped after ${state.maxSteps} steps`);
+    error.code = 'step-limit';
+    throw error;
+  }
+}
+
+/**
+ * Run code with extra variables in scope
+ * @param {Object} frame - { values: Map of lower-case name to value, found: results of a [search] }
+ */
+function withScope(state, frame, fn) {
+  state.scopes.push(frame);
+  try {
+    return fn();
+  } finally {
+    state.scopes.pop();
+  }
+}
+
+/**
+ * Find a variable set by an enclosing context or by [text]
+ * @returns {string|undefined}
+ */
+function lookupVariable(name, state) {
+  for (let index = state.scopes.length - 1; index >= 0; index--) {
+    if (state.scopes[index].values.has(name)) return state.scopes[index].values.get(name);
+  }
+  return state.text.get(name);
+}
+
+/**
+ * Evaluate the parameters of a tag
+ * @returns {Array} - { name, value } with tags in the values evaluated
+ */
+function evaluateParameters(node, state) {
+  return node.parameters.map(parameter => ({ name: parameter.name, value: evaluateNodes(parameter.value, state) }));
+}
+
+/**
+ * Value of a named parameter, ignoring case
+ */
+function getParameter(parameters, name, fallback = '') {
+  const parameter = parameters.find(candidate => candidate.name && candidate.name.toLowerCase() === name);
+  return parameter ? parameter.value : fallback;
+}
+
+/**
+ * Evaluate everything between a tag name and its "]" as one string
+ */
+function evaluateParams(node, state) {
+  return node.params ? evaluateNodes(node.params.children, state) : '';
+}
+
+const isTrue = value => /^(t|true)$/i.test(String(value).trim());
+const isFalse = value => /^(f|false)$/i.test(String(value).trim());
+
+/**
+ * Convert a parameter to a number
+ */
+function toNumber(value, fallback) {
+  return NUMBER_PATTERN.test(value) ? parseFloat(value) : fallback;
+}
+
+/**
+ * Compare two values as numbers when both are numbers, otherwise as text ignoring case
+ * @returns {number} - Negative, zero or positive
+ */
+function compareValues(left, right) {
+  if (NUMBER_PATTERN.test(left) && NUMBER_PATTERN.test(right)) {
+    return parseFloat(left) - parseFloat(right);
+  }
+
+  const a = left.toLowerCase();
+  const b = right.toLowerCase();
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Test one comparison, such as "[cart]^apple"
+ */
+function testComparison(comparison, node, state) {
+  const match = COMPARISON_PATTERN.exec(comparison);
+  if (!match) {
+    report(state, 'invalid-condition', `No comparison operator in [${node.name} ${comparison}]`, node);
+    return false;
+  }
+
+  const left = comparison.slice(0, match.index).trim();
+  const right = comparison.slice(match.index + 1).trim();
+
+  switch (match[0]) {
+    case '=': return compareValues(left, right) === 0;
+    case '!': return compareValues(left, right) !== 0;
+    case '<': return compareValues(left, right) < 0;
+    case '>': return compareValues(left, right) > 0;
+    case '^': return left.toLowerCase().includes(right.toLowerCase());
+    default: return left.toLowerCase().startsWith(right.toLowerCase());
+  }
+}
+
+/**
+ * Test the condition of [showif] or [hideif]
+ * Comparisons joined by "&" (and) or "|" (or) are combined from left to right.
+ */
+function testCondition(condition, node, state) {
+  const parts = condition.split(/([&|])/);
+  let result = testComparison(parts[0], node, state);
+
+  for (let index = 1; index < parts.length; index += 2) {
+    const value = testComparison(parts[index + 1], node, state);
+    result = parts[index] === '&' ? result && value : result || value;
+  }
+
+  return result;
+}
+
+/**
+ * Format a date with strftime codes (%Y, %m, %d, %H, %M, %S, %A, %B...)
+ */
+function formatDate(date, pattern) {
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  const hours = date.getUTCHours();
+  const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+
+  const codes = {
+    a: DAYS[date.getUTCDay()].slice(0, 3),
+    A: DAYS[date.getUTCDay()],
+    b: MONTHS[date.getUTCMonth()].slice(0, 3),
+    B: MONTHS[date.getUTCMonth()],
+    d: pad(date.getUTCDate()),
+    e: String(date.getUTCDate()),
+    H: pad(hours),
+    I: pad(hours % 12 || 12),
+    j: pad(Math.floor((date.getTime() - startOfYear) / 86400000) + 1, 3),
+    m: pad(date.getUTCMonth() + 1),
+    M: pad(date.getUTCMinutes()),
+    p: hours < 12 ? 'AM' : 'PM',
+    S: pad(date.getUTCSeconds()),
+    y: pad(date.getUTCFullYear() % 100),
+    Y: String(date.getUTCFullYear()),
+    '%': '%'
+  };
+
+  return pattern.replace(/%([A-Za-z%])/g, (match, code) => (codes[code] !== undefined ? codes[code] : match));
+}
+
+/**
+ * Format a value with a printf-style specification, such as ".2f" or "05d"
+ * @returns {string|null} - null if the specification isn't supported
+ */
+function formatValue(specification, value) {
+  const match = FORMAT_PATTERN.exec(specification);
+  if (!match) return null;
+
+  const [, flags, width, precision, conversion] = match;
+  const number = toNumber(value, 0);
+  let body;
+
+  switch (conversion) {
+    case 's':
+      body = precision !== undefined ? value.slice(0, Number(precision)) : value;
+      break;
+    case 'f':
+      body = Math.abs(number).toFixed(precision !== undefined ? Number(precision) : 6);
+      break;
+    case 'e':
+    case 'E':
+      body = Math.abs(number).toExponential(precision !== undefined ? Number(precision) : 6).replace(/e([-+])(\d)$/, 'e$10$2');
+      if (conversion === 'E') body = body.toUpperCase();
+      break;
+    case 'g':
+    case 'G':
+      body = String(parseFloat(Math.abs(number).toPrecision(Number(precision) || 6)));
+      if (conversion === 'G') body = body.toUpperCase();
+      break;
+    case 'x':
+    case 'X':
+    case 'o':
+      body = Math.abs(Math.trunc(number)).toString(conversion === 'o' ? 8 : 16);
+      if (conversion === 'X') body = body.toUpperCase();
+      break;
+    default:
+      body = String(Math.abs(Math.trunc(number)));
+      if (precision !== undefined) body = body.padStart(Number(precision), '0');
+  }
+
+  let sign = '';
+  if (conversion !== 's') {
+    if (number < 0 && Number(body.replace(/[^\d]/g, '')) !== 0) sign = '-';
+    else if (flags.includes('+')) sign = '+';
+    else if (flags.includes(' ')) sign = ' ';
+  }
+
+  const size = Number(width || 0);
+  if (flags.includes('-')) return (sign + body).padEnd(size);
+  if (flags.includes('0') && conversion !== 's') return sign + body.padStart(size - sign.length, '0');
+  return (sign + body).padStart(size);
+}
+
+/**
+ * Convert a value for a [search] comparison of the given type (text, num or date)
+ */
+function searchValue(value, type) {
+  if (type === 'num') return toNumber(value, 0);
+  if (type === 'date') {
+    const match = /^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/.exec(value.trim());
+    return match ? Date.UTC(Number(match[3]), Number(match[1]) - 1, Number(match[2])) : 0;
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Compare two field values for a [search]
+ */
+function compareField(left, right, type) {
+  const a = searchValue(left, type);
+  const b = searchValue(right, type);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Test one [search] criterion against a field value
+ */
+function matchCriterion(criterion, fieldValue) {
+  const { operator, data, type } = criterion;
+  if (data.toLowerCase() === 'find_all') return true;
+
+  const field = fieldValue.toLowerCase();
+  const target = data.toLowerCase();
+  const words = text => text.split(/\W+/).filter(Boolean);
+
+  switch (operator) {
+    case 'eq': return compareField(fieldValue, data, type) === 0;
+    case 'ne': return compareField(fieldValue, data, type) !== 0;
+    case 'ls': return compareField(fieldValue, data, type) < 0;
+    case 'le': return compareField(fieldValue, data, type) <= 0;
+    case 'gr': return compareField(fieldValue, data, type) > 0;
+    case 'ge': return compareField(fieldValue, data, type) >= 0;
+    case 'bw': return field.startsWith(target);
+    case 'ew': return field.endsWith(target);
+    case 'wa': return words(target).every(word => field.includes(word));
+    case 'ww': return words(field).includes(target);
+    default: return field.includes(target);
+  }
+}
+
+/**
+ * Find the in-memory database a [search] names
+ * A database matches on its full path, or failing that on its file name.
+ */
+function findDatabase(name, state) {
+  const key = name.trim().replace(/^[/\\]+/, '').toLowerCase();
+  if (state.databases.has(key)) return state.databases.get(key);
+
+  const fileName = key.split(/[/\\]/).pop();
+  const match = [...state.databases.entries()].find(([path]) => path.split(/[/\\]/).pop() === fileName);
+  return match ? match[1] : null;
+}
+
+/**
+ * Run a [search] against an in-memory database
+ * Criteria ending in "rq" must all match; of the others, at least one must.
+ * @returns {Object|null} - { records, numfound }
+ */
+function runSearch(parameters, node, state) {
+  const dbName = getParameter(parameters, 'db');
+  const database = findDatabase(dbName, state);
+  if (!database) {
+    report(state, 'unknown-database', `No database named "${dbName}" was given`, node);
+    return null;
+  }
+
+  const fieldOf = name => database.fields.find(field => field.toLowerCase() === name.toLowerCase());
+  const types = new Map();
+  const sorts = [];
+  const criteria = [];
+
+  parameters.filter(parameter => parameter.name).forEach(parameter => {
+    const sort = SORT_PATTERN.exec(parameter.name);
+    if (sort && sort[2].toLowerCase() === 'type') types.set(sort[1].toLowerCase(), parameter.value.trim().toLowerCase());
+  });
+
+  parameters.filter(parameter => parameter.name).forEach(parameter => {
+    const criterion = CRITERIA_PATTERN.exec(parameter.name);
+    const sort = SORT_PATTERN.exec(parameter.name);
+
+    if (criterion) {
+      const field = fieldOf(criterion[2]);
+      if (!field) report(state, 'unknown-field', `Database "${dbName}" has no field "${criterion[2]}"`, node);
+      criteria.push({
+        field,
+        operator: criterion[1].toLowerCase() === 'co' ? 'ct' : criterion[1].toLowerCase(),
+        data: parameter.value,
+        type: types.get(criterion[2].toLowerCase()) || 'text',
+        required: Boolean(criterion[3])
+      });
+    } else if (sort && sort[2].toLowerCase() === 'sort') {
+      const field = fieldOf(sort[1]);
+      if (!field) {
+        report(state, 'unknown-field', `Database "${dbName}" has no field "${sort[1]}"`, node);
+        return;
+      }
+      sorts.push({
+        field,
+        priority: toNumber(parameter.value, 1),
+        descending: /^de/i.test(getParameter(parameters, `${sort[1].toLowerCase()}sdir`)),
+        type: types.get(sort[1].toLowerCase()) || 'text'
+      });
+    }
+  });
+
+  const required = criteria.filter(criterion => criterion.required);
+  const optional = criteria.filter(criterion => !criterion.required);
+  const matches = (record, criterion) => criterion.field !== undefined && matchCriterion(criterion, record[criterion.field]);
+
+  const found = database.records.filter(record => {
+    step(state);
+    return required.every(criterion => matches(record, criterion)) &&
+      (optional.length === 0 || optional.some(criterion => matches(record, criterion)));
+  });
+
+  sorts.sort((a, b) => a.priority - b.priority);
+  found.sort((a, b) => {
+    for (const sort of sorts) {
+      const order = compareField(a[sort.field], b[sort.field], sort.type);
+      if (order !== 0) return sort.descending ? -order : order;
+    }
+    return 0;
+  });
+
+  const startAt = Math.max(1, toNumber(getParameter(parameters, 'startat'), 1));
+  const max = toNumber(getParameter(parameters, 'max'), DEFAULT_MAX_RECORDS);
+
+  return {
+    records: found.slice(startAt - 1, startAt - 1 + max),
+    numfound: found.length
+  };
+}
+
+/**
+ * Write a tag the evaluator doesn't run back out, with its content evaluated
+ */
+function writeTag(node, state) {
+  const params = evaluateParams(node, state);
+  const open = `[${node.name}${params ? ` ${params}` : ''}]`;
+  if (node.type !== 'context') return open;
+
+  return open + evaluateNodes(node.children, state) + (node.close ? `[/${node.name}]` : '');
+}
+
+// Instructions without a closing tag, by lower-case name
+const INSTRUCTIONS = {
+  date: (node, state) => formatDate(state.now, evaluateParams(node, state).trim() || '%m/%d/%Y'),
+  time: (node, state) => formatDate(state.now, evaluateParams(node, state).trim() || '%H:%M:%S')
+};
+
+// Contexts, by lower-case name
+const CONTEXT_HANDLERS = {
+  '!': () => '',
+
+  raw: node => node.children.map(child => child.raw || '').join(''),
+
+  math: (node, state) => {
+    const parameters = evaluateParameters(node, state);
+    const expression = evaluateNodes(node.children, state);
+
+    let value;
+    try {
+      value = evaluateMath(expression, state.math);
+    } catch (error) {
+      report(state, 'math-error', error.message, node);
+      return '';
+    }
+    return isFalse(getParameter(parameters, 'show')) ? '' : formatNumber(value);
+  },
+
+  text: (node, state) => {
+    const parameters = evaluateParameters(node, state);
+    const content = evaluateNodes(node.children, state);
+    const assignments = isTrue(getParameter(parameters, 'multi')) ? content.split('&') : [content];
+    const values = [];
+
+    assignments.forEach(assignment => {
+      const equals = assignment.indexOf('=');
+      if (equals < 0) {
+        report(state, 'invalid-text', `[text] expects name=value, not "${assignment.trim()}"`, node);
+        return;
+      }
+      const value = assignment.slice(equals + 1);
+      state.text.set(assignment.slice(0, equals).trim().toLowerCase(), value);
+      values.push(value);
+    });
+
+    return isTrue(getParameter(parameters, 'show')) ? values.join('') : '';
+  },
+
+  showif: (node, state) => (testCondition(evaluateParams(node, state), node, state) ? evaluateNodes(node.children, state) : ''),
+
+  hideif: (node, state) => (testCondition(evaluateParams(node, state), node, state) ? '' : evaluateNodes(node.children, state)),
+
+  loop: (node, state) => {
+    const parameters = evaluateParameters(node, state);
+    const start = toNumber(getParameter(parameters, 'start'), 1);
+    const end = toNumber(getParameter(parameters, 'end'), 1);
+    const advance = toNumber(getParameter(parameters, 'advance'), 1);
+
+    if (advance === 0) {
+      report(state, 'invalid-loop', '[loop] advance must not be 0', node);
+      return '';
+    }
+
+    let output = '';
+    for (let index = start; advance > 0 ? index <= end : index >= end; index += advance) {
+      step(state);
+      output += withScope(state, { values: new Map([['index', formatNumber(index)]]) }, () => evaluateNodes(node.children, state));
+    }
+    return output;
+  },
+
+  listwords: (node, state) => {
+    const parameters = evaluateParameters(node, state);
+    const delimiters = getParameter(parameters, 'delimiters') || DEFAULT_DELIMITERS;
+    const words = getParameter(parameters, 'words')
+      .split(new RegExp(`[${delimiters.replace(/[\\\]^-]/g, '\\$&')}]`))
+      .filter(word => word !== '');
+
+    return words.map((word, index) => {
+      step(state);
+      const values = new Map([['word', word], ['index', String(index + 1)]]);
+      return withScope(state, { values }, () => evaluateNodes(node.children, state));
+    }).join('');
+  },
+
+  format: (node, state) => {
+    const specification = evaluateParams(node, state).trim();
+    const value = evaluateNodes(node.children, state);
+    const formatted = formatValue(specification, value);
+
+    if (formatted === null) {
+      report(state, 'invalid-format', `Unsupported [format] specification "${specification}"`, node);
+      return value;
+    }
+    return formatted;
+  },
+
+  search: (node, state) => {
+    const found = runSearch(evaluateParameters(node, state), node, state);
+    if (!found) return '';
+
+    const values = new Map([['numfound', String(found.numfound)]]);
+    return withScope(state, { values, found }, () => evaluateNodes(node.children, state));
+  },
+
+  founditems: (node, state) => {
+    const search = [...state.scopes].reverse().find(frame => frame.found);
+    if (!search) {
+      report(state, 'no-search', '[founditems] must be inside a [search]', node);
+      return '';
+    }
+
+    return search.found.records.map((record, index) => {
+      step(state);
+      const values = new Map(Object.entries(record).map(([field, value]) => [field.toLowerCase(), value]));
+      values.set('index', String(index + 1));
+      return withScope(state, { values }, () => evaluateNodes(node.children, state));
+    }).join('');
+  }
+};
+
+/**
+ * Evaluate one node
+ */
+function evaluateNode(node, state) {
+  step(state);
+  if (node.type === 'text') return node.value;
+
+  const name = node.name.toLowerCase();
+
+  if (node.type === 'context') {
+    if (CONTEXT_HANDLERS[name]) return CONTEXT_HANDLERS[name](node, state);
+  } else {
+    // Variables, such as a field named date, come before instructions of the same name
+    const scoped = node.type === 'variable' ? lookupVariable(name, state) : undefined;
+    if (scoped !== undefined) return scoped;
+    if (INSTRUCTIONS[name]) return INSTRUCTIONS[name](node, state);
+    if (node.type === 'variable') {
+      state.unresolved.add(node.name);
+      return `[${node.name}]`;
+    }
+  }
+
+  state.unsupported.add(node.name);
+  return writeTag(node, state);
+}
+
+/**
+ * Evaluate a list of nodes into text
+ */
+function evaluateNodes(nodes, state) {
+  const output = nodes.map(node => evaluateNode(node, state)).join('');
+
+  if (output.length > MAX_OUTPUT_LENGTH) {
+    const error = new Error(`Output is longer than ${MAX_OUTPUT_LENGTH} characters`);
+    error.code = 'output-limit';
+    throw error;
+  }
+
+  return output;
+}
+
+/**
+ * Load the in-memory databases [search] runs against
+ * @param {Object} databases - Database path to tab-delimited content, or to an array of records
+ * @returns {Map} - Lower-case path to { fields, records }
+ */
+function loadDatabases(databases = {}) {
+  const loaded = new Map();
+
+  Object.entries(databases).forEach(([name, content]) => {
+    let database;
+    if (typeof content === 'string') {
+      database = readDbRecords(content);
+    } else if (Array.isArray(content)) {
+      const fields = [...new Set(content.flatMap(record => Object.keys(record)))];
+      database = {
+        fields,
+        records: content.map(record => Object.fromEntries(fields.map(field => [field, record[field] === undefined || record[field] === null ? '' : String(record[field])])))
+      };
+    } else {
+      throw new Error(`Database "${name}" must be tab-delimited text or an array of records`);
+    }
+
+    loaded.set(name.trim().replace(/^[/\\]+/, '').toLowerCase(), database);
+  });
+
+  return loaded;
+}
+
+/**
+ * Compare output with the result shown in the documentation, ignoring
+ * differences in whitespace and treating <br> as a line break
+ */
+function sameOutput(output, expected) {
+  const normalize = text => text.replace(/<br\s*\/?>/gi, '\n').replace(/\s+/g, ' ').trim();
+  return normalize(output) === normalize(expected);
+}
+
+/**
+ * Evaluate WebDNA code in a sandbox
+ * @param {string} code - WebDNA source
+ * @param {Object} options - Evaluator options
+ * @param {Object} options.databases - Databases for [search], by path: tab-delimited text or an array of records (optional)
+ * @param {Object} options.variables - Text variables set before the code runs (optional)
+ * @param {string} options.now - Date and time [date] and [time] show (default: 2000-01-01T00:00:00Z)
+ * @param {number} options.maxSteps - Steps after which the run stops (default: 10000)
+ * @param {string} options.expected - Output the code should produce, compared ignoring whitespace (optional)
+ * @returns {Object} - { output, matches, variables, math_variables, steps, errors, unsupported, unresolved }
+ */
+function evaluate(code, options = {}) {
+  const now = new Date(options.now || DEFAULT_NOW);
+  if (Number.isNaN(now.getTime())) {
+    throw new Error(`Invalid date: ${options.now}`);
+  }
+
+  const state = {
+    now,
+    maxSteps: Math.min(Math.max(1, options.maxSteps || DEFAULT_MAX_STEPS), MAX_STEPS),
+    steps: 0,
+    databases: loadDatabases(options.databases),
+    text: new Map(Object.entries(options.variables || {}).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    math: new Map(),
+    scopes: [],
+    errors: [],
+    unsupported: new Set(),
+    unresolved: new Set()
+  };
+
+  const { ast, errors } = parse(String(code || ''), { contexts: CONTEXTS });
+  errors.forEach(error => report(state, error.code, error.message, error));
+
+  let output = '';
+  try {
+    output = evaluateNodes(ast.children, state);
+  } catch (error) {
+    if (error.code !== 'step-limit' && error.code !== 'output-limit') throw error;
+    state.errors.push({ code: error.code, message: error.message, line: null, column: null });
+  }
+
+  return {
+    output,
+    matches: typeof options.expected === 'string' ? sameOutput(output, options.expected) : undefined,
+    variables: Object.fromEntries(state.text),
+    math_variables: Object.fromEntries(state.math),
+    steps: state.steps,
+    errors: state.errors,
+    unsupported: [...state.unsupported],
+    unresolved: [...state.unresolved]
+  };
+}
+
+module.exports = {
+  evaluate
+};
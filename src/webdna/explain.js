@@ -0,0 +1,217 @@
+/**
+ * WebDNA explainer
+ * Annotates a snippet line by line with the documentation of every
+ * instruction and context it uses, including nested ones, and explains the
+ * arguments passed to each.
+ */
+
+const { parse } = require('./parser');
+const { walk } = require('./ast');
+const { parameterPattern } = require('./lint');
+const { parseCriterion, parseSortOption, takesSearchCriteria } = require('./search-criteria');
+
+/**
+ * Source text of a node range
+ */
+function sourceOf(code, start, end) {
+  return code.slice(start.offset, end.offset);
+}
+
+/**
+ * First sentence of a description, for the per-line notes
+ */
+function summarize(description) {
+  if (!description) return null;
+  const [first] = description.split(/(?<=[.!?])\s+/);
+  return first.trim();
+}
+
+/**
+ * Describe a [search] criterion (eqNAMEdatarq) or sort option (AGEsort)
+ * @returns {string|null} - null when the name is neither
+ */
+function describeSearchArgument(name) {
+  const criterion = parseCriterion(name);
+  if (criterion) {
+    return `Finds the records whose ${criterion.field} field ${criterion.description} the value` +
+      (criterion.required
+        ? ' (rq: required, every required criterion must match)'
+        : ' (optional, a record matching any optional criterion is kept)');
+  }
+
+  const sort = parseSortOption(name);
+  return sort ? `${sort.field} field ${sort.description}` : null;
+}
+
+/**
+ * Explain the arguments passed to a tag
+ * @param {Object} node - Instruction or context node
+ * @param {Object|null} doc - Its documentation entry
+ * @param {string} code - Source of the snippet
+ * @returns {Array} - { name, value, description, required, default, values, documented }
+ */
+function explainArguments(node, doc, code) {
+  const documented = doc && Array.isArray(doc.parameters) ? doc.parameters : [];
+  const searchCriteria = Boolean(doc) && takesSearchCriteria(doc);
+
+  return node.parameters.map(parameter => {
+    const value = parameter.value.length > 0
+      ? sourceOf(code, parameter.value[0].start, parameter.value[parameter.value.length - 1].end)
+      : '';
+
+    if (!parameter.name) {
+      // An expression, such as the comparison of [showif]
+      return { name: null, value: sourceOf(code, parameter.start, parameter.end), description: null, documented: false };
+    }
+
+    const match = documented.find(candidate => candidate.name && parameterPattern(candidate.name).test(parameter.name));
+    // Criteria and sort options name their field, which says more than the placeholder's documentation
+    const searchDescription = searchCriteria ? describeSearchArgument(parameter.name) : null;
+    return {
+      name: parameter.name,
+      value,
+      description: searchDescription || (match ? match.description : null),
+      required: match ? match.required : null,
+      default: match ? match.default : null,
+      values: match ? match.values : [],
+      documented: Boolean(match || searchDescription)
+    };
+  });
+}
+
+/**
+ * Explain WebDNA code
+ * @param {string} code - WebDNA source
+ * @param {Object} options - Explainer options
+ * @param {Function} options.lookup - Async function returning the documentation entry of an instruction name, or null
+ * @param {Object} options.dictionary - Lookup table from createDictionary, to tell instructions from variables (optional)
+ * @returns {Promise<Object>} - { instructions, lines, unknown, errors, explanation }
+ */
+async function explain(code, options) {
+  const { lookup, dictionary = null } = options;
+  const { ast, errors } = parse(code, dictionary ? {
+    instructions: dictionary.instructions,
+    contexts: dictionary.contexts
+  } : {});
+
+  // Tags in source order, with how deeply each is nested
+  const tags = [];
+  walk(ast, (node, parent, depth) => {
+    if (node.type === 'instruction' || node.type === 'context' || node.type === 'variable') {
+      tags.push({ node, depth });
+    }
+  });
+
+  // Fetch each documented name once
+  const docs = new Map();
+  for (const { node } of tags) {
+    const key = node.name.toLowerCase();
+    if (docs.has(key)) continue;
+
+    // Variables are only looked up when they share a documented name, such as [date]
+    const isDocumented = node.type !== 'variable' || (dictionary && dictionary.instructions.has(key));
+    docs.set(key, isDocumented ? await lookup(node.name) : null);
+  }
+
+  const lines = code.split('\n').map((text, index) => ({ line: index + 1, code: text, notes: [] }));
+
+  tags.forEach(({ node, depth }) => {
+    const doc = docs.get(node.name.toLowerCase());
+    const openEnd = node.open ? node.open.end : node.end;
+
+    lines[node.start.line - 1].notes.push({
+      column: node.start.column,
+      tag: sourceOf(code, node.start, openEnd),
+      kind: node.type,
+      depth,
+      instruction: doc ? doc.instruction : null,
+      summary: doc ? summarize(doc.description) : (node.type === 'variable' ? 'Variable or field value' : null),
+      url: doc ? doc.url : null,
+      arguments: explainArguments(node, doc, code),
+      closed_on_line: node.close ? node.close.start.line : null
+    });
+
+    if (node.close) {
+      lines[node.close.start.line - 1].notes.push({
+        column: node.close.start.column,
+        tag: sourceOf(code, node.close.start, node.close.end),
+        kind: 'close',
+        depth,
+        instruction: doc ? doc.instruction : null,
+        summary: `End of the [${node.name}] context opened on line ${node.start.line}`,
+        url: doc ? doc.url : null
+      });
+    }
+  });
+  lines.forEach(line => line.notes.sort((a, b) => a.column - b.column));
+
+  const instructions = [];
+  const unknown = [];
+  docs.forEach((doc, key) => {
+    const occurrences = tags.filter(({ node }) => node.name.toLowerCase() === key);
+    if (doc) {
+      instructions.push({
+        instruction: doc.instruction,
+        webdna_id: doc.webdna_id,
+        url: doc.url,
+        description: doc.description,
+        syntax: doc.syntax,
+        is_context: occurrences.some(({ node }) => node.type === 'context'),
+        occurrences: occurrences.length
+      });
+    } else if (occurrences.some(({ node }) => node.type !== 'variable')) {
+      unknown.push(occurrences[0].node.name);
+    }
+  });
+
+  return {
+    instructions,
+    lines: lines.filter(line => line.notes.length > 0),
+    unknown,
+    errors: errors.map(error => ({ code: error.code, message: error.message, line: error.start.line, column: error.start.column })),
+    explanation: formatExplanation(lines, instructions)
+  };
+}
+
+/**
+ * Render the annotated lines and the instruction reference as markdown
+ */
+function formatExplanation(lines, instructions) {
+  const output = [];
+
+  lines.filter(line => line.notes.length > 0).forEach(line => {
+    output.push(`Line ${line.line}: \`${line.code.trim()}\``);
+
+    line.notes.forEach(note => {
+      const indent = '  '.repeat(note.depth);
+      const name = note.url ? `[\`${note.tag}\`](${note.url})` : `\`${note.tag}\``;
+      output.push(`${indent}- ${name}${note.summary ? `: ${note.summary}` : ''}`);
+
+      (note.arguments || []).forEach(argument => {
+        const details = [];
+        if (argument.required) details.push('required');
+        if (argument.default) details.push(`default: \`${argument.default}\``);
+        if (argument.values && argument.values.length > 0) details.push(`values: ${argument.values.join(', ')}`);
+
+        const label = argument.name ? `\`${argument.name}=${argument.value}\`` : `\`${argument.value}\``;
+        const description = argument.description || (argument.name ? 'not documented' : 'expression');
+        output.push(`${indent}  - ${label}: ${description}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+      });
+    });
+
+    output.push('');
+  });
+
+  if (instructions.length > 0) {
+    output.push('Syntax:', '');
+    instructions.filter(doc => doc.syntax).forEach(doc => {
+      output.push(`- [${doc.instruction}](${doc.url}): \`${doc.syntax.replace(/\s*\n\s*/g, ' ')}\``);
+    });
+  }
+
+  return output.join('\n').trim();
+}
+
+module.exports = {
+  explain
+};
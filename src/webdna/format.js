@@ -0,0 +1,185 @@
+/**
+ * WebDNA formatter
+ * Normalizes the spacing inside tags and indents the content of contexts
+ * that span several lines by one level. The surrounding HTML is left as it
+ * is: each line inside a context keeps its indentation relative to the
+ * other lines of that context, and the content of <pre> and <textarea>
+ * elements is never reindented. Formatting formatted code changes nothing.
+ */
+
+const { parse } = require('./parser');
+const { walk } = require('./ast');
+
+// HTML elements whose content is shown as written
+const PREFORMATTED_PATTERN = /<(pre|textarea)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi;
+
+/**
+ * Write a tag's parameters with "name=value" pairs joined by "&"
+ * Whitespace before a name and between a name and its "=" is dropped, and so
+ * are empty parameters. Values are written exactly as they were, since
+ * WebDNA reads the spaces in them ([listwords delimiters= ,]).
+ */
+function serializeParameters(node) {
+  return node.parameters
+    .map(parameter => {
+      if (!parameter.name) {
+        const expression = serializeNodes(parameter.value);
+        return expression.trim() ? expression.trimStart() : '';
+      }
+      return `${parameter.name}=${serializeNodes(parameter.value)}`;
+    })
+    .filter(parameter => parameter.length > 0)
+    .join('&');
+}
+
+/**
+ * Write nodes back as WebDNA, normalizing every tag
+ */
+function serializeNodes(nodes) {
+  return nodes.map(serializeNode).join('');
+}
+
+/**
+ * Write a node back as WebDNA
+ */
+function serializeNode(node) {
+  if (node.type === 'text') return node.raw;
+
+  const params = node.params ? serializeParameters(node) : '';
+  const open = `[${node.name}${params ? ` ${params}` : ''}]`;
+  if (node.type !== 'context') return open;
+
+  return open + serializeNodes(node.children) + (node.close ? `[/${node.closeName}]` : '');
+}
+
+/**
+ * Leading whitespace of a line
+ */
+function indentationOf(line) {
+  return /^[ \t]*/.exec(line)[0];
+}
+
+/**
+ * Indent the content of multi-line contexts
+ * @param {string} code - WebDNA source with normalized tags
+ * @param {string} unit - One level of indentation
+ * @returns {string}
+ */
+function indentContexts(code, unit) {
+  const { ast } = parse(code);
+  const lines = code.split('\n');
+  const lineStarts = [];
+  lines.reduce((offset, line) => {
+    lineStarts.push(offset);
+    return offset + line.length + 1;
+  }, 0);
+
+  // Lines that continue a tag, the content of [raw] or of <pre> and <textarea> are left alone
+  const frozen = [];
+  for (const match of code.matchAll(PREFORMATTED_PATTERN)) {
+    const contentStart = match.index + match[0].indexOf('>') + 1;
+    frozen.push([contentStart, contentStart + match[2].length]);
+  }
+  const contexts = [];
+  walk(ast, node => {
+    if (node.type === 'text') return;
+    if (node.type !== 'document') {
+      const openEnd = node.open ? node.open.end : node.end;
+      frozen.push([node.start.offset, openEnd.offset]);
+    }
+    if (node.type === 'context' && node.close) {
+      if (node.name.toLowerCase() === 'raw') {
+        frozen.push([node.open.end.offset, node.close.start.offset]);
+      } else if (node.open.end.line !== node.close.start.line) {
+        contexts.push(node);
+      }
+    }
+  });
+
+  // Innermost multi-line context around the start of each line
+  const owners = lineStarts.map((start, index) => {
+    if (index === 0 || frozen.some(([from, to]) => start > from && start < to)) return null;
+
+    let owner = null;
+    contexts.forEach(context => {
+      if (context.open.end.offset <= start && start <= context.close.start.offset) {
+        if (!owner || context.open.end.offset > owner.open.end.offset) owner = context;
+      }
+    });
+    return owner;
+  });
+
+  const isClosingLine = (index, context) => {
+    const start = lineStarts[index] + indentationOf(lines[index]).length;
+    return start === context.close.start.offset;
+  };
+
+  // Each context's lines keep their indentation relative to the least indented one
+  const bases = new Map();
+  lines.forEach((line, index) => {
+    const owner = owners[index];
+    if (!owner || !line.trim() || isClosingLine(index, owner)) return;
+
+    const indentation = indentationOf(line);
+    if (!bases.has(owner) || indentation.length < bases.get(owner).length) {
+      bases.set(owner, indentation);
+    }
+  });
+
+  const indentations = [];
+  return lines.map((line, index) => {
+    const owner = owners[index];
+    const indentation = indentationOf(line);
+    const content = line.slice(indentation.length);
+
+    if (!owner) {
+      indentations.push(indentation);
+      return frozen.some(([from, to]) => lineStarts[index] > from && lineStarts[index] < to) || content ? line : '';
+    }
+
+    const openIndentation = indentations[owner.open.start.line - 1];
+    let newIndentation;
+    if (isClosingLine(index, owner)) {
+      newIndentation = openIndentation;
+    } else {
+      newIndentation = openIndentation + unit + indentation.slice(bases.get(owner).length);
+    }
+
+    indentations.push(newIndentation);
+    return content ? newIndentation + content : '';
+  }).join('\n');
+}
+
+/**
+ * Format WebDNA code
+ * Code with a tag missing its "]" is returned unchanged, since everything
+ * after the tag would be read as its parameters.
+ * @param {string} code - WebDNA source
+ * @param {Object} options - Formatter options
+ * @param {string} options.indent - One level of indentation (default: two spaces)
+ * @returns {Object} - { code, changed, errors }
+ */
+function formatCode(code, options = {}) {
+  const source = String(code || '');
+  const unit = options.indent || '  ';
+  const { ast, errors } = parse(source);
+  const problems = errors.map(error => ({ code: error.code, message: error.message, line: error.start.line, column: error.start.column }));
+
+  if (errors.some(error => error.code === 'unterminated-tag')) {
+    return { code: source, changed: false, errors: problems };
+  }
+
+  // Closing tags keep the case they were written in
+  walk(ast, node => {
+    if (node.type === 'context' && node.close) {
+      node.closeName = source.slice(node.close.start.offset, node.close.end.offset).replace(/^\[\/\s*|\s*\]$/g, '');
+    }
+  });
+
+  const formatted = indentContexts(serializeNodes(ast.children), unit);
+  return { code: formatted, changed: formatted !== source, errors: problems };
+}
+
+module.exports = {
+  formatCode
+};
@@ -0,0 +1,45 @@
+/**
+ * WebDNA source code support
+ * A tokenizer and a fault-tolerant parser for WebDNA templates, and the
+ * linter, explainer, formatter, completion and sandboxed evaluator built on
+ * them, an inspector for the tab-delimited .db files WebDNA stores data in,
+ * a scanner that reports instruction usage across a directory of templates,
+ * and the recognition of WebDNA code in documentation search queries.
+ */
+
+const { tokenize, unescape } = require('./lexer');
+const { parse } = require('./parser');
+const { createLocator, childNodes, walk } = require('./ast');
+const { createDictionary, lint } = require('./lint');
+const { explain } = require('./explain');
+const { formatCode } = require('./format');
+const { evaluate } = require('./evaluate');
+const { createReference, complete, buildSnippet } = require('./complete');
+const { analyzeDbFile, inspectDbFile, findFieldReferences, checkFieldReferences } = require('./db-file');
+const { resolveWorkspacePath, scanWorkspace, formatWorkspaceReport } = require('./workspace');
+const { analyzeSearchQuery } = require('./search-query');
+
+module.exports = {
+  tokenize,
+  unescape,
+  parse,
+  createLocator,
+  childNodes,
+  walk,
+  createDictionary,
+  lint,
+  explain,
+  formatCode,
+  evaluate,
+  createReference,
+  complete,
+  buildSnippet,
+  analyzeDbFile,
+  inspectDbFile,
+  findFieldReferences,
+  checkFieldReferences,
+  resolveWorkspacePath,
+  scanWorkspace,
+  formatWorkspaceReport,
+  analyzeSearchQuery
+};
@@ -0,0 +1,114 @@
+/**
+ * WebDNA tokenizer
+ * Splits WebDNA source into text, ^ escapes, tag openings ("[name"), tag
+ * ends ("]") and closing tags ("[/name]"). A "[" that doesn't start a tag
+ * name (such as "[0]" or "[ x ]") is plain text, and so is a "]" outside a
+ * tag. The content of [raw]...[/raw] is a single text token.
+ */
+
+// Instruction, context and variable names: [search], [founditems], [!], [my_var.field]
+const TAG_NAME = '(?:!|[A-Za-z_][\\w.:-]*)';
+const TAG_OPEN_PATTERN = new RegExp(`\\[(${TAG_NAME})(?=[\\s\\]]|$)`, 'y');
+const TAG_CLOSE_PATTERN = new RegExp(`\\[\\/(${TAG_NAME})\\s*\\]`, 'y');
+
+// Characters that ^ escapes: ^[ and ^] are literal brackets, ^^ a literal caret
+const ESCAPABLE = new Set(['[', ']', '^']);
+
+// Contexts whose content is not interpreted
+const RAW_CONTEXTS = new Set(['raw']);
+
+/**
+ * Remove ^ escapes from text
+ * @param {string} text - Source text
+ * @returns {string}
+ */
+function unescape(text) {
+  return text.replace(/\^([[\]^])/g, '$1');
+}
+
+/**
+ * Tokenize WebDNA source
+ * @param {string} source - WebDNA source
+ * @returns {Array} - Tokens { type, start, end, ... } with character offsets:
+ *   text { value }, escape { value }, open { name }, end, close { name }
+ */
+function tokenize(source) {
+  const tokens = [];
+  const openTags = [];
+  let textStart = 0;
+  let index = 0;
+
+  const flushText = () => {
+    if (index > textStart) {
+      tokens.push({ type: 'text', value: source.slice(textStart, index), start: textStart, end: index });
+    }
+  };
+
+  const push = (token) => {
+    flushText();
+    tokens.push(token);
+    index = token.end;
+    textStart = index;
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === '^' && ESCAPABLE.has(source[index + 1])) {
+      push({ type: 'escape', value: source[index + 1], start: index, end: index + 2 });
+      continue;
+    }
+
+    if (char === '[') {
+      TAG_CLOSE_PATTERN.lastIndex = index;
+      const close = TAG_CLOSE_PATTERN.exec(source);
+      if (close) {
+        push({ type: 'close', name: close[1], start: index, end: index + close[0].length });
+        continue;
+      }
+
+      TAG_OPEN_PATTERN.lastIndex = index;
+      const open = TAG_OPEN_PATTERN.exec(source);
+      if (open) {
+        push({ type: 'open', name: open[1], start: index, end: index + open[0].length });
+        openTags.push(open[1]);
+        continue;
+      }
+    }
+
+    if (char === ']' && openTags.length > 0) {
+      push({ type: 'end', start: index, end: index + 1 });
+
+      const name = openTags.pop();
+      if (RAW_CONTEXTS.has(name.toLowerCase()) && openTags.length === 0) {
+        readRawContent(name);
+      }
+      continue;
+    }
+
+    index++;
+  }
+
+  flushText();
+  return tokens;
+
+  /**
+   * Emit everything up to the matching closing tag as one text token
+   */
+  function readRawContent(name) {
+    const closePattern = new RegExp(`\\[\\/${name}\\s*\\]`, 'i');
+    const match = closePattern.exec(source.slice(index));
+    const end = match ? index + match.index : source.length;
+
+    if (end > index) {
+      tokens.push({ type: 'text', value: source.slice(index, end), start: index, end, raw: true });
+    }
+    index = end;
+    textStart = end;
+  }
+}
+
+module.exports = {
+  tokenize,
+  unescape
+};
@@ -0,0 +1,261 @@
+/**
+ * WebDNA linter
+ * Checks WebDNA code against the scraped documentation: unbalanced tags,
+ * unclosed contexts, unknown instructions, unknown or missing parameters
+ * and deprecated instructions. Every diagnostic carries its position and a
+ * link to the documentation page that explains it.
+ */
+
+const { parse } = require('./parser');
+const { walk } = require('./ast');
+const { CRITERIA_PATTERN, SORT_PATTERN, takesSearchCriteria } = require('./search-criteria');
+
+// Contexts that need a closing tag even if their documented syntax doesn't show it
+const CORE_CONTEXTS = ['founditems', 'loop', 'showif', 'hideif', 'search', 'if', 'then', 'else', 'while', 'function', 'raw'];
+
+// Wording that marks an instruction or parameter as deprecated
+const DEPRECATED_PATTERN = /\b(deprecated|obsolete|no longer supported)\b/i;
+
+// Severity of each diagnostic code
+const SEVERITIES = {
+  'unterminated-tag': 'error',
+  'unexpected-close': 'error',
+  'unclosed-context': 'error',
+  'nesting-too-deep': 'error',
+  'missing-parameter': 'error',
+  'unknown-instruction': 'warning',
+  'unknown-parameter': 'warning',
+  'deprecated': 'warning',
+  'no-documentation': 'info'
+};
+
+/**
+ * Build the lookup table the linter checks code against
+ * @param {Array} entries - Documentation entries with instruction, webdna_id, description, syntax, parameters and url
+ * @returns {Object} - { entries: Map of lower-case name to entry, instructions, contexts }
+ */
+function createDictionary(entries) {
+  const dictionary = {
+    entries: new Map(),
+    instructions: new Set(),
+    contexts: new Set(CORE_CONTEXTS)
+  };
+
+  entries.forEach(doc => {
+    const names = [doc.instruction, doc.webdna_id]
+      .filter(Boolean)
+      .map(name => String(name).replace(/^\[|\]$/g, '').toLowerCase());
+
+    const entry = {
+      instruction: doc.instruction,
+      webdna_id: doc.webdna_id,
+      url: doc.url,
+      deprecated: findDeprecation(doc.description),
+      // Takes [search] criteria and sort options on any field
+      searchCriteria: takesSearchCriteria(doc),
+      parameters: (Array.isArray(doc.parameters) ? doc.parameters : [])
+        .filter(parameter => parameter.name)
+        .map(parameter => ({
+          name: parameter.name,
+          pattern: parameterPattern(parameter.name),
+          required: parameter.required === true,
+          deprecated: findDeprecation(parameter.description)
+        }))
+    };
+
+    names.forEach(name => {
+      if (!dictionary.entries.has(name)) dictionary.entries.set(name, entry);
+      dictionary.instructions.add(name);
+
+      // The documented syntax shows the closing tag of a context
+      if (doc.syntax && doc.syntax.toLowerCase().includes(`[/${name}`)) {
+        dictionary.contexts.add(name);
+      }
+    });
+  });
+
+  return dictionary;
+}
+
+/**
+ * Match a documented parameter name
+ * Upper-case placeholders stand for any name (eqFIELDdata matches
+ * eqPRICEdata) and a trailing number for any number (sort1).
+ * @param {string} name - Documented parameter name
+ * @returns {RegExp}
+ */
+function parameterPattern(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const source = /[a-z]/.test(name)
+    ? escaped.replace(/[A-Z]{2,}/g, '\\w+').replace(/\d+$/, '\\d+')
+    : escaped;
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Find the sentence that says something is deprecated
+ * @returns {string|null}
+ */
+function findDeprecation(text) {
+  if (!text || !DEPRECATED_PATTERN.test(text)) return null;
+
+  const sentence = text.split(/(?<=[.!?])\s+/).find(part => DEPRECATED_PATTERN.test(part));
+  return sentence.trim();
+}
+
+/**
+ * Number of single-character edits between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the documented instruction closest to a misspelt name
+ * @returns {Object|null} - Dictionary entry
+ */
+function suggestInstruction(name, dictionary) {
+  const target = name.toLowerCase();
+  const maxDistance = Math.max(1, Math.floor(target.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  dictionary.entries.forEach((entry, candidate) => {
+    const distance = editDistance(target, candidate);
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Lint WebDNA code
+ * @param {string} code - WebDNA source
+ * @param {Object} dictionary - Lookup table from createDictionary
+ * @returns {Object} - { valid, errors, warnings, diagnostics }, diagnostics being
+ *   { severity, code, message, line, column, end_line, end_column, instruction, url }
+ */
+function lint(code, dictionary) {
+  const { ast, errors } = parse(code, {
+    instructions: dictionary.instructions,
+    contexts: dictionary.contexts
+  });
+  const diagnostics = [];
+
+  const report = (diagnosticCode, message, start, end, name, entry) => {
+    diagnostics.push({
+      severity: SEVERITIES[diagnosticCode],
+      code: diagnosticCode,
+      message,
+      line: start.line,
+      column: start.column,
+      end_line: end.line,
+      end_column: end.column,
+      instruction: name || (entry ? entry.instruction : null),
+      url: entry ? entry.url : null
+    });
+  };
+
+  errors.forEach(error => {
+    report(error.code, error.message, error.start, error.end, error.name, dictionary.entries.get(String(error.name).toLowerCase()));
+  });
+
+  if (dictionary.entries.size === 0) {
+    const start = ast.start;
+    report('no-documentation', 'The documentation table is empty, so only the tag structure was checked', start, start, null, null);
+  } else {
+    // Functions defined in the snippet can be called like instructions
+    const functions = new Set();
+    walk(ast, node => {
+      if (node.name && node.name.toLowerCase() === 'function') {
+        node.parameters
+          .filter(parameter => parameter.name && parameter.name.toLowerCase() === 'name')
+          .forEach(parameter => functions.add(parameter.value.map(value => value.value || '').join('').trim().toLowerCase()));
+      }
+    });
+
+    walk(ast, node => {
+      if (node.type === 'instruction' || node.type === 'context') {
+        checkTag(node, dictionary, functions, report);
+      }
+    });
+  }
+
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  const count = severity => diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+  return {
+    valid: count('error') === 0,
+    errors: count('error'),
+    warnings: count('warning'),
+    diagnostics
+  };
+}
+
+/**
+ * Check an instruction or context against its documentation
+ */
+function checkTag(node, dictionary, functions, report) {
+  const name = node.name.toLowerCase();
+  const entry = dictionary.entries.get(name);
+  const tagEnd = node.open ? node.open.end : node.end;
+
+  if (!entry) {
+    if (functions.has(name)) return;
+
+    const suggestion = suggestInstruction(name, dictionary);
+    const message = `Unknown instruction [${node.name}]` + (suggestion ? `, did you mean [${suggestion.instruction}]?` : '');
+    report('unknown-instruction', message, node.start, tagEnd, node.name, suggestion);
+    return;
+  }
+
+  if (entry.deprecated) {
+    report('deprecated', `[${node.name}] is deprecated: ${entry.deprecated}`, node.start, tagEnd, node.name, entry);
+  }
+
+  // Only name=value parameters can be checked
+  if (entry.parameters.length === 0 || node.parameters.some(parameter => !parameter.name)) return;
+
+  node.parameters.forEach(parameter => {
+    const documented = entry.parameters.find(candidate => candidate.pattern.test(parameter.name));
+    const criterion = entry.searchCriteria && (CRITERIA_PATTERN.test(parameter.name) || SORT_PATTERN.test(parameter.name));
+
+    if (!documented && !criterion) {
+      report('unknown-parameter', `[${node.name}] has no parameter "${parameter.name}"`, parameter.start, parameter.end, node.name, entry);
+    } else if (documented && documented.deprecated) {
+      report('deprecated', `Parameter "${parameter.name}" of [${node.name}] is deprecated: ${documented.deprecated}`, parameter.start, parameter.end, node.name, entry);
+    }
+  });
+
+  entry.parameters
+    .filter(documented => documented.required)
+    .filter(documented => !node.parameters.some(parameter => documented.pattern.test(parameter.name)))
+    .forEach(documented => {
+      report('missing-parameter', `[${node.name}] is missing its required parameter "${documented.name}"`, node.start, tagEnd, node.name, entry);
+    });
+}
+
+module.exports = {
+  createDictionary,
+  parameterPattern,
+  editDistance,
+  lint
+};
@@ -0,0 +1,165 @@
+/**
+ * WebDNA [math] expressions
+ * Evaluates the content of a [math] context: numbers, + - * / % and ^
+ * (power), parentheses, functions such as abs() and round(), and math
+ * variables assigned with "name=expression". Statements are separated by
+ * ";" and the value of the last one is the result. Variables that were
+ * never assigned are 0.
+ */
+
+// Functions callable from an expression
+const FUNCTIONS = {
+  abs: Math.abs,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  round: Math.round,
+  int: Math.trunc,
+  sqrt: Math.sqrt,
+  exp: Math.exp,
+  log: Math.log,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  min: Math.min,
+  max: Math.max
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+\.?\d*|\.\d+)|([A-Za-z_]\w*)|(\S))/y;
+
+/**
+ * Split an expression into number, name and operator tokens
+ */
+function tokenizeMath(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  let match;
+  while (TOKEN_PATTERN.lastIndex < expression.length && (match = TOKEN_PATTERN.exec(expression))) {
+    if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2]) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    else if (match[3]) tokens.push({ type: 'operator', value: match[3] });
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate a [math] expression
+ * @param {string} expression - Content of the [math] context, with its tags already evaluated
+ * @param {Map} variables - Math variables by lower-case name, updated by assignments
+ * @returns {number}
+ */
+function evaluateMath(expression, variables = new Map()) {
+  let result = 0;
+
+  String(expression).split(';').forEach(statement => {
+    const tokens = tokenizeMath(statement);
+    if (tokens.length === 0) return;
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+    const expect = (value) => {
+      if (!isOperator(value)) throw new Error(`Expected "${value}" in [math] expression: ${statement.trim()}`);
+      index++;
+    };
+
+    const parseExpression = () => {
+      let value = parseTerm();
+      while (isOperator('+') || isOperator('-')) {
+        const operator = tokens[index++].value;
+        const right = parseTerm();
+        value = operator === '+' ? value + right : value - right;
+      }
+      return value;
+    };
+
+    const parseTerm = () => {
+      let value = parsePower();
+      while (isOperator('*') || isOperator('/') || isOperator('%')) {
+        const operator = tokens[index++].value;
+        const right = parsePower();
+        if (operator !== '*' && right === 0) throw new Error('Division by zero in [math] expression');
+        value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+      }
+      return value;
+    };
+
+    const parsePower = () => {
+      const base = parseUnary();
+      if (!isOperator('^')) return base;
+      index++;
+      return Math.pow(base, parsePower());
+    };
+
+    const parseUnary = () => {
+      if (isOperator('-')) {
+        index++;
+        return -parseUnary();
+      }
+      if (isOperator('+')) {
+        index++;
+        return parseUnary();
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[index++];
+      if (!token) throw new Error(`Incomplete [math] expression: ${statement.trim()}`);
+
+      if (token.type === 'number') return token.value;
+
+      if (token.type === 'name') {
+        if (!isOperator('(')) return variables.has(token.value) ? variables.get(token.value) : 0;
+        if (!FUNCTIONS[token.value]) throw new Error(`Unknown [math] function: ${token.value}`);
+
+        index++;
+        const args = [];
+        while (!isOperator(')')) {
+          args.push(parseExpression());
+          if (!isOperator(',')) break;
+          index++;
+        }
+        expect(')');
+        return FUNCTIONS[token.value](...args);
+      }
+
+      if (token.value === '(') {
+        const value = parseExpression();
+        expect(')');
+        return value;
+      }
+
+      throw new Error(`Unexpected "${token.value}" in [math] expression: ${statement.trim()}`);
+    };
+
+    // name=expression assigns a math variable
+    const isAssignment = tokens.length > 1 && tokens[0].type === 'name' &&
+      tokens[1].type === 'operator' && tokens[1].value === '=';
+    if (isAssignment) index = 2;
+
+    result = parseExpression();
+    if (index < tokens.length) {
+      throw new Error(`Unexpected "${tokens[index].value}" in [math] expression: ${statement.trim()}`);
+    }
+    if (isAssignment) variables.set(tokens[0].value, result);
+  });
+
+  return result;
+}
+
+/**
+ * Write a [math] result without floating point noise (0.1+0.2 is 0.3)
+ * @param {number} value - Result
+ * @returns {string}
+ */
+function formatNumber(value) {
+  if (!Number.isFinite(value)) return String(value);
+  return String(parseFloat(value.toPrecision(15)));
+}
+
+module.exports = {
+  evaluateMath,
+  formatNumber
+};
@@ -0,0 +1,362 @@
+/**
+ * WebDNA parser
+ * Builds an AST from WebDNA source. Every node has start and end positions
+ * ({ offset, line, column }). Node types:
+ *   document  { children }
+ *   text      { value, raw } - value has the ^ escapes removed
+ *   context   { name, params, parameters, children, open, close } - [name ...]...[/name]
+ *   instruction { name, params, parameters } - [name params], or a known instruction without parameters
+ *   variable  { name } - [name] substitution (params is null)
+ * open and close are the ranges of a context's tags (close is null for a
+ * known context left open). params holds the nodes between the tag name and
+ * its "]" (null if there are none), and parameters splits them into
+ * name=value pairs at the top-level "&" separators ({ name, value, start,
+ * end }, name being null for an expression such as the one in
+ * [showif [x]=5]).
+ *
+ * Malformed input never throws: the parser recovers and reports errors
+ * ({ code, message, name, start, end }, name being the tag involved)
+ * alongside the tree. Tags nested more than MAX_NESTING deep are reported
+ * and kept as text.
+ */
+
+const { tokenize, unescape } = require('./lexer');
+const { createLocator } = require('./ast');
+
+// Names of name=value parameters
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_][\w.:-]*$/;
+
+// Deepest nesting of tags, in parameters or contexts, that is parsed; deeper tags are
+// kept as text so the tree stays shallow enough to walk recursively
+const MAX_NESTING = 256;
+
+/**
+ * Lower-case set of names
+ */
+function toNameSet(names) {
+  return new Set([...(names || [])].map(name => String(name).toLowerCase()));
+}
+
+/**
+ * Parse WebDNA source
+ * A tag is a context when a matching closing tag follows it. Without a
+ * list of instructions, a tag with no parameters and no closing tag is taken
+ * to be a variable.
+ * @param {string} source - WebDNA source
+ * @param {Object} options - Parser options
+ * @param {Iterable<string>} options.instructions - Names of instructions that take no parameters, such as date (optional)
+ * @param {Iterable<string>} options.contexts - Names of contexts that need a closing tag; leaving one open is reported (optional)
+ * @returns {Object} - { ast, errors }
+ */
+function parse(source, options = {}) {
+  const text = String(source || '');
+  const tokens = tokenize(text);
+  const positionAt = createLocator(text);
+  const instructions = toNameSet(options.instructions);
+  const contexts = toNameSet(options.contexts);
+  const errors = [];
+  let index = 0;
+  // Lower-case names of the tags kept as text for nesting too deeply, with how many there were
+  const skipped = new Map();
+
+  const children = parseSequence(false);
+  errors.sort((a, b) => a.start.offset - b.start.offset);
+
+  return {
+    ast: {
+      type: 'document',
+      children,
+      start: positionAt(0),
+      end: positionAt(text.length)
+    },
+    errors
+  };
+
+  /**
+   * Record a recoverable error
+   */
+  function report(code, message, name, start, end) {
+    errors.push({ code, message, name, start: positionAt(start), end: positionAt(end) });
+  }
+
+  /**
+   * Create a text node for a source range
+   */
+  function makeText(start, end, isRaw = false) {
+    const raw = text.slice(start, end);
+    return {
+      type: 'text',
+      value: isRaw ? raw : unescape(raw),
+      raw,
+      start: positionAt(start),
+      end: positionAt(end)
+    };
+  }
+
+  /**
+   * Add a text or escape token, merging it with a preceding text node
+   */
+  function appendText(nodes, token) {
+    const last = nodes[nodes.length - 1];
+    if (last && last.type === 'text' && !last.isRaw && !token.raw && last.end.offset === token.start) {
+      nodes[nodes.length - 1] = makeText(last.start.offset, token.end);
+      return;
+    }
+
+    const node = makeText(token.start, token.end, token.raw);
+    if (token.raw) {
+      Object.defineProperty(node, 'isRaw', { value: true });
+    }
+    nodes.push(node);
+  }
+
+  /**
+   * Parse nodes up to the end of the source, or up to the "]" of the enclosing tag
+   * @param {boolean} inTag - Whether the nodes are the parameters of a tag
+   * @param {number} depth - Number of tags enclosing the nodes
+   * @returns {Array} - Nodes
+   */
+  function parseSequence(inTag, depth = 0) {
+    const root = { children: [] };
+    const stack = [root];
+
+    while (index < tokens.length) {
+      const token = tokens[index];
+      if (token.type === 'end' && inTag) break;
+      index++;
+
+      const parent = stack[stack.length - 1];
+
+      if (token.type === 'open' && depth + stack.length > MAX_NESTING) {
+        appendText(parent.children, skipTag(token));
+      } else if (token.type === 'open') {
+        const tag = parseTag(token, depth + stack.length);
+        parent.children.push(tag);
+        if (tag.closable) stack.push(tag);
+      } else if (token.type === 'close') {
+        closeTag(stack, token);
+      } else {
+        appendText(parent.children, token);
+      }
+    }
+
+    while (stack.length > 1) {
+      finishOpenTag(stack);
+    }
+
+    return root.children.map(finalize);
+  }
+
+  /**
+   * Parse a tag from its "[name" token up to its "]"
+   * @param {Object} token - The "[name" token
+   * @param {number} depth - Nesting depth of the tag, 1 at the top level
+   */
+  function parseTag(token, depth) {
+    const params = parseSequence(true, depth);
+    let end;
+    let closable = true;
+
+    if (index < tokens.length && tokens[index].type === 'end') {
+      end = tokens[index].end;
+      index++;
+    } else {
+      end = text.length;
+      closable = false;
+      report('unterminated-tag', `Tag [${token.name} is missing its closing "]"`, token.name, token.start, token.end);
+    }
+
+    return {
+      name: token.name,
+      params: trimParams(params),
+      start: token.start,
+      end,
+      closable,
+      children: []
+    };
+  }
+
+  /**
+   * Pass over a tag nested too deeply, up to its "]"
+   * @returns {Object} - The source range it covers, to be kept as text
+   */
+  function skipTag(token) {
+    let open = 1;
+    let end = text.length;
+
+    while (index < tokens.length) {
+      const next = tokens[index++];
+      if (next.type === 'open') open++;
+      if (next.type === 'end' && --open === 0) {
+        end = next.end;
+        break;
+      }
+    }
+
+    // Reported once: every tag after it at that depth is kept as text as well
+    if (skipped.size === 0) {
+      report('nesting-too-deep', `Tag [${token.name} is nested more than ${MAX_NESTING} deep and is kept as text`, token.name, token.start, token.end);
+    }
+    const name = token.name.toLowerCase();
+    skipped.set(name, (skipped.get(name) || 0) + 1);
+
+    return { start: token.start, end };
+  }
+
+  /**
+   * Close the innermost open tag with the same name
+   * Tags opened after it without being closed are not contexts.
+   */
+  function closeTag(stack, token) {
+    const name = token.name.toLowerCase();
+    let match = stack.length - 1;
+    while (match > 0 && stack[match].name.toLowerCase() !== name) match--;
+
+    if (match === 0 && skipped.get(name) > 0) {
+      // Closes a tag kept as text
+      skipped.set(name, skipped.get(name) - 1);
+      appendText(stack[stack.length - 1].children, { start: token.start, end: token.end });
+      return;
+    }
+
+    if (match === 0) {
+      report('unexpected-close', `Closing tag [/${token.name}] has no matching opening tag`, token.name, token.start, token.end);
+      appendText(stack[stack.length - 1].children, { start: token.start, end: token.end });
+      return;
+    }
+
+    while (stack.length - 1 > match) {
+      finishOpenTag(stack);
+    }
+
+    const tag = stack.pop();
+    tag.close = { start: token.start, end: token.end };
+  }
+
+  /**
+   * Settle a tag that was never closed
+   * A known context is reported and keeps its content; any other tag is an
+   * instruction or variable and its content moves up to its parent.
+   */
+  function finishOpenTag(stack) {
+    const tag = stack.pop();
+    const parent = stack[stack.length - 1];
+
+    if (contexts.has(tag.name.toLowerCase())) {
+      report('unclosed-context', `Context [${tag.name}] is missing its closing [/${tag.name}]`, tag.name, tag.start, tag.end);
+      tag.close = null;
+      tag.implicitEnd = tag.children.length > 0 ? endOffset(tag.children[tag.children.length - 1]) : null;
+      return;
+    }
+
+    parent.children.push(...tag.children);
+    tag.children = [];
+  }
+
+  /**
+   * Offset where a text node or parsed tag ends, including a context's content
+   */
+  function endOffset(node) {
+    if (node.type === 'text') return node.end.offset;
+    if (node.close) return node.close.end;
+    return node.implicitEnd || node.end;
+  }
+
+  /**
+   * Turn a parsed tag into its final node
+   */
+  function finalize(node) {
+    if (node.type === 'text') return node;
+
+    const isContext = node.close !== undefined;
+    const params = node.params;
+    const result = {
+      type: isContext ? 'context' : (params || instructions.has(node.name.toLowerCase()) ? 'instruction' : 'variable'),
+      name: node.name,
+      params: params ? { start: params[0].start, end: params[params.length - 1].end, children: params } : null,
+      parameters: params ? splitParameters(params) : [],
+      start: positionAt(node.start),
+      end: positionAt(node.end)
+    };
+
+    if (isContext) {
+      result.open = { start: result.start, end: result.end };
+      result.children = node.children.map(finalize);
+      result.close = node.close ? { start: positionAt(node.close.start), end: positionAt(node.close.end) } : null;
+      if (node.close) {
+        result.end = result.close.end;
+      } else if (node.implicitEnd) {
+        result.end = positionAt(node.implicitEnd);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Drop the whitespace between a tag name and its parameters
+   * @returns {Array|null} - Parameter nodes, or null if there are none
+   */
+  function trimParams(nodes) {
+    const params = [...nodes];
+
+    if (params.length > 0 && params[0].type === 'text') {
+      const first = params[0];
+      const offset = first.start.offset + (first.raw.length - first.raw.trimStart().length);
+      if (offset < first.end.offset) {
+        params[0] = makeText(offset, first.end.offset);
+      } else {
+        params.shift();
+      }
+    }
+
+    return params.length > 0 ? params : null;
+  }
+
+  /**
+   * Split parameter nodes into name=value pairs at the top-level "&"
+   */
+  function splitParameters(nodes) {
+    const segments = [[]];
+
+    nodes.forEach(node => {
+      if (node.type !== 'text' || node.isRaw) {
+        segments[segments.length - 1].push(node);
+        return;
+      }
+
+      let start = node.start.offset;
+      node.raw.split('&').forEach((piece, pieceIndex) => {
+        if (pieceIndex > 0) segments.push([]);
+        if (piece.length > 0) {
+          segments[segments.length - 1].push(makeText(start, start + piece.length));
+        }
+        start += piece.length + 1;
+      });
+    });
+
+    return segments.filter(segment => segment.length > 0).map(segment => {
+      const first = segment[0];
+      const equals = first.type === 'text' ? first.raw.indexOf('=') : -1;
+      const name = equals >= 0 ? first.raw.slice(0, equals).trim() : '';
+
+      if (!PARAMETER_NAME_PATTERN.test(name)) {
+        return { name: null, value: segment, start: first.start, end: segment[segment.length - 1].end };
+      }
+
+      const valueStart = first.start.offset + equals + 1;
+      const value = valueStart < first.end.offset ? [makeText(valueStart, first.end.offset)] : [];
+
+      return {
+        name,
+        value: value.concat(segment.slice(1)),
+        start: first.start,
+        end: segment[segment.length - 1].end
+      };
+    });
+  }
+}
+
+module.exports = {
+  parse
+};
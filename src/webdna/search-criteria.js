@@ -0,0 +1,103 @@
+/**
+ * [search] criteria and sort options
+ * A [search] names the field it compares or sorts on inside its parameter
+ * names: eqNAMEdatarq=bob finds the records whose NAME is equal to bob, and
+ * the rq suffix makes the criterion required (required criteria must all
+ * match, the others are alternatives). NAMEsort, NAMEsdir and NAMEtype set
+ * the sort priority, sort direction and comparison type of NAME. The linter,
+ * explainer, evaluator, .db file checks and documentation search all read
+ * these names through this module.
+ */
+
+// Comparison prefixes of a criterion, with how they compare a field to the value
+const COMPARISONS = {
+  eq: 'is equal to',
+  ne: 'is not equal to',
+  ls: 'is less than',
+  le: 'is less than or equal to',
+  gr: 'is greater than',
+  ge: 'is greater than or equal to',
+  ct: 'contains',
+  co: 'contains',
+  bw: 'begins with',
+  ew: 'ends with',
+  wa: 'contains every word of',
+  ww: 'has a whole word equal to'
+};
+
+// Sort option suffixes, with what they set
+const SORT_OPTIONS = {
+  sort: 'sort priority (1 sorts first)',
+  sdir: 'sort direction (ascending or descending)',
+  type: 'comparison type (text, num or date)'
+};
+
+const CRITERIA_PATTERN = new RegExp(`^(${Object.keys(COMPARISONS).join('|')})(.+?)data(rq)?$`, 'i');
+const SORT_PATTERN = new RegExp(`^(.+?)(${Object.keys(SORT_OPTIONS).join('|')})$`, 'i');
+
+// Instructions taking criteria and sort options, whether or not their documentation lists them
+const SEARCH_INSTRUCTIONS = new Set(['search']);
+
+/**
+ * Read a criterion parameter name
+ * @param {string} name - Parameter name, such as eqNAMEdatarq
+ * @returns {Object|null} - { comparison: 'eq', description: 'is equal to', field: 'NAME', required: true }
+ */
+function parseCriterion(name) {
+  const match = CRITERIA_PATTERN.exec(String(name));
+  if (!match) return null;
+
+  const comparison = match[1].toLowerCase();
+  return {
+    comparison,
+    description: COMPARISONS[comparison],
+    field: match[2],
+    required: Boolean(match[3])
+  };
+}
+
+/**
+ * Read a sort option parameter name
+ * @param {string} name - Parameter name, such as AGEsort
+ * @returns {Object|null} - { option: 'sort', description, field: 'AGE' }
+ */
+function parseSortOption(name) {
+  const match = SORT_PATTERN.exec(String(name));
+  if (!match) return null;
+
+  const option = match[2].toLowerCase();
+  return {
+    option,
+    description: SORT_OPTIONS[option],
+    field: match[1]
+  };
+}
+
+/**
+ * Whether a documentation entry takes criteria and sort options on any field:
+ * [search] itself, or an instruction documenting one on a placeholder field
+ * (eqFIELDdata, FIELDsort)
+ * @param {Object} doc - Documentation entry with instruction, webdna_id and parameters
+ * @returns {boolean}
+ */
+function takesSearchCriteria(doc) {
+  const names = [doc.instruction, doc.webdna_id]
+    .filter(Boolean)
+    .map(name => String(name).replace(/^\[|\]$/g, '').toLowerCase());
+  const parameters = Array.isArray(doc.parameters) ? doc.parameters : [];
+
+  return names.some(name => SEARCH_INSTRUCTIONS.has(name)) ||
+    parameters.some(parameter => parameter.name && /[A-Z]{2,}/.test(parameter.name) &&
+      (CRITERIA_PATTERN.test(parameter.name) || SORT_PATTERN.test(parameter.name)));
+}
+
+module.exports = {
+  COMPARISONS,
+  SORT_OPTIONS,
+  CRITERIA_PATTERN,
+  SORT_PATTERN,
+  SEARCH_INSTRUCTIONS,
+  parseCriterion,
+  parseSortOption,
+  takesSearchCriteria
+};
@@ -0,0 +1,128 @@
+/**
+ * WebDNA syntax in documentation search queries
+ * Agents often search with code they are looking at, such as "[search db=",
+ * "[/founditems]" or "&eqNAMEdatarq". These fragments are taken out of the
+ * query and mapped to the instructions they belong to: a tag to its
+ * instruction, a closing tag to its context, and a parameter to the
+ * instructions documenting it (eqNAMEdatarq matches the eqFIELDdatarq
+ * parameter of [search]). Whatever is left is searched as text.
+ */
+
+const { CRITERIA_PATTERN, SORT_PATTERN, SEARCH_INSTRUCTIONS } = require('./search-criteria');
+
+// A tag, opening or closing, with whatever parameters were typed before its "]" (or the end of the query)
+const TAG_PATTERN = /\[(\/?)\s*([^\s[\]=&/]+)([^[\]]*)\]?/g;
+
+/**
+ * Whether a documented parameter name holds a placeholder, such as FIELD in eqFIELDdata
+ */
+function isPlaceholder(name) {
+  return /[a-z]/.test(name) && /[A-Z]{2,}/.test(name);
+}
+
+/**
+ * Instructions documenting a parameter
+ * @param {string} name - Parameter name as typed
+ * @param {Object} dictionary - Lookup table from createDictionary
+ * @param {boolean} explicit - Whether it was typed as a parameter (with & or =); a bare word
+ *   only counts when it fills in a placeholder, since "max" is more likely plain text
+ * @returns {Array<string>} - Lower-case instruction names
+ */
+function parameterOwners(name, dictionary, explicit) {
+  const owners = new Set();
+
+  new Set(dictionary.entries.values()).forEach(entry => {
+    if (entry.parameters.some(parameter => parameter.pattern.test(name) && (explicit || isPlaceholder(parameter.name)))) {
+      owners.add(String(entry.instruction).toLowerCase());
+    }
+  });
+
+  // [search] criteria and sort options are recognized even when the documentation
+  // lists them under another placeholder
+  if (owners.size === 0 && (CRITERIA_PATTERN.test(name) || (explicit && SORT_PATTERN.test(name)))) {
+    SEARCH_INSTRUCTIONS.forEach(instruction => owners.add(instruction));
+  }
+
+  return [...owners];
+}
+
+/**
+ * Split the parameters typed in a tag or a query chunk ("db=x&eqNAMEdatarq=y")
+ * @returns {Array<string>} - Parameter names
+ */
+function parameterNames(text) {
+  return text
+    .split('&')
+    .map(piece => piece.split('=')[0].trim())
+    .filter(name => /^[a-z_][\w.]*$/i.test(name));
+}
+
+/**
+ * Take the WebDNA syntax out of a search query
+ * @param {string} query - Search query
+ * @param {Object} dictionary - Lookup table from createDictionary
+ * @returns {Object} - { text: the rest of the query, fragments: [{ text, kind, name, instructions }],
+ *   boosts: Map of lower-case instruction name to a weight between 0 and 1 }
+ *   kind is 'tag', 'closing-tag' or 'parameter'. A tag or closing tag weighs 1,
+ *   a parameter documented by several instructions is shared between them.
+ */
+function analyzeSearchQuery(query, dictionary) {
+  const fragments = [];
+  const boosts = new Map();
+  const words = [];
+
+  const boost = (instructions, weight) => {
+    instructions.forEach(instruction => boosts.set(instruction, Math.max(boosts.get(instruction) || 0, weight)));
+  };
+
+  // Returns false when no instruction documents the parameter
+  const addParameter = (name, explicit) => {
+    const instructions = parameterOwners(name, dictionary, explicit);
+    if (instructions.length === 0) return false;
+
+    fragments.push({ text: name, kind: 'parameter', name, instructions });
+    boost(instructions, 1 / instructions.length);
+    return true;
+  };
+
+  const addParameters = (text) => {
+    parameterNames(text).forEach(name => {
+      if (!addParameter(name, true)) words.push(name);
+    });
+  };
+
+  // Tags first, then the chunks between them
+  const rest = String(query || '').replace(TAG_PATTERN, (match, slash, name, parameters) => {
+    const entry = dictionary.entries.get(name.toLowerCase());
+
+    if (entry) {
+      const instruction = String(entry.instruction).toLowerCase();
+      fragments.push({ text: match.trim(), kind: slash ? 'closing-tag' : 'tag', name, instructions: [instruction] });
+      boost([instruction], 1);
+    } else {
+      // Unknown names may be misspelt, so they are still searched as text
+      words.push(name);
+      addParameters(parameters);
+    }
+
+    return ' ';
+  });
+
+  rest.split(/\s+/).filter(Boolean).forEach(chunk => {
+    if (chunk.includes('=') || chunk.startsWith('&')) {
+      addParameters(chunk);
+    } else if (!/^[a-z_]\w*$/i.test(chunk) || !addParameter(chunk, false)) {
+      words.push(chunk);
+    }
+  });
+
+  return {
+    text: words.join(' '),
+    fragments,
+    boosts
+  };
+}
+
+module.exports = {
+  analyzeSearchQuery
+};
@@ -0,0 +1,385 @@
+/**
+ * WebDNA workspace scanner
+ * Walks a directory of WebDNA templates and reports which instructions each
+ * file uses, usage counts by instruction and documentation category,
+ * instructions the documentation doesn't know (typos or custom functions),
+ * deprecated usages, and the files that use each .db file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('./parser');
+const { walk } = require('./ast');
+const { lint } = require('./lint');
+const { createReference } = require('./complete');
+const { findDatabaseReferences, resolveRealDatabasePath, isInside } = require('./db-file');
+
+// Template extensions scanned unless others are given
+const DEFAULT_EXTENSIONS = ['.tpl', '.html', '.htm', '.inc'];
+
+// Directories that never hold templates
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git', '.svn', '.hg']);
+
+// Larger files are skipped rather than read into memory
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Scans stop after this many files
+const DEFAULT_MAX_FILES = 5000;
+
+/**
+ * Directory the scan-webdna-workspace tool may read from
+ * @returns {string} - WEBDNA_WORKSPACE_ROOT
+ * @throws {Error} - With code 'no-workspace-root' when WEBDNA_WORKSPACE_ROOT is not set
+ */
+function getWorkspaceRoot() {
+  if (!process.env.WEBDNA_WORKSPACE_ROOT) {
+    const error = new Error('WEBDNA_WORKSPACE_ROOT is not set: set it to the directory templates may be scanned in');
+    error.code = 'no-workspace-root';
+    throw error;
+  }
+
+  return path.resolve(process.env.WEBDNA_WORKSPACE_ROOT);
+}
+
+/**
+ * Resolve a directory inside the workspace root, following symbolic links
+ * A link inside the root may point anywhere, so the real path of the
+ * directory is checked against the real path of the root.
+ * @param {string} directory - Directory relative to the root
+ * @param {string} root - Root directory
+ * @returns {Promise<string>} - Real absolute path; rejects with ENOENT when the directory doesn't exist
+ */
+async function resolveWorkspacePath(directory, root = getWorkspaceRoot()) {
+  const resolved = path.resolve(root, String(directory).replace(/^[/\\]+/, ''));
+
+  // Never scan outside the root directory
+  if (!isInside(resolved, root)) {
+    throw new Error(`Directory is outside ${root}: ${directory}`);
+  }
+
+  const [realDirectory, realRoot] = await Promise.all([fs.promises.realpath(resolved), fs.promises.realpath(root)]);
+  if (!isInside(realDirectory, realRoot)) {
+    throw new Error(`Directory is outside ${root}: ${directory}`);
+  }
+
+  return realDirectory;
+}
+
+/**
+ * List the template files under a directory, sorted
+ * Hidden directories and symbolic links are not followed.
+ * @returns {Promise<Array>} - Absolute paths
+ */
+async function listTemplates(root, extensions, maxFiles) {
+  const files = [];
+  const pending = [root];
+
+  while (pending.length > 0 && files.length < maxFiles) {
+    const directory = pending.shift();
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+
+    entries
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          if (!entry.name.startsWith('.') && !IGNORED_DIRECTORIES.has(entry.name)) pending.push(fullPath);
+        } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+          files.push(fullPath);
+        }
+      });
+  }
+
+  return files.slice(0, maxFiles).sort();
+}
+
+/**
+ * Path of a database as WebDNA resolves it: from the site root when it
+ * starts with "/", otherwise from the template's directory
+ */
+function resolveDatabase(database, file) {
+  const normalized = database.replace(/\\/g, '/');
+  if (normalized.startsWith('/')) return path.posix.normalize(normalized).replace(/^\/+/, '');
+  return path.posix.normalize(path.posix.join(path.posix.dirname(file), normalized));
+}
+
+/**
+ * Whether a database named in the templates is a file inside the root
+ * Paths with "..", hidden files and symbolic links leading out of the root count as missing.
+ * @returns {Promise<boolean>}
+ */
+async function databaseExists(database, root) {
+  try {
+    const stats = await fs.promises.stat(await resolveRealDatabasePath(database, root));
+    return stats.isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Add an occurrence to a map of name to { count, files: Map of path to lines }
+ */
+function addOccurrence(map, key, file, line, extra = {}) {
+  if (!map.has(key)) map.set(key, { ...extra, count: 0, files: new Map() });
+
+  const entry = map.get(key);
+  entry.count++;
+  if (!entry.files.has(file)) entry.files.set(file, []);
+  entry.files.get(file).push(line);
+  return entry;
+}
+
+/**
+ * Turn a files map into a sorted list
+ */
+function listFiles(files) {
+  return [...files.entries()].map(([file, lines]) => ({ path: file, lines }));
+}
+
+/**
+ * Scan a directory of WebDNA templates
+ * @param {string} directory - Directory to scan
+ * @param {Object} options - Scanner options
+ * @param {Array} options.entries - Instruction reference from getInstructionReference()
+ * @param {Array<string>} options.extensions - File extensions to scan (default: .tpl, .html, .htm, .inc)
+ * @param {number} options.maxFiles - Maximum number of files to scan (default: 5000)
+ * @returns {Promise<Object>} - Usage report (see formatWorkspaceReport)
+ */
+async function scanWorkspace(directory, options = {}) {
+  const root = path.resolve(directory);
+  const reference = createReference(options.entries || []);
+  const { dictionary, docs } = reference;
+  const extensions = (options.extensions || DEFAULT_EXTENSIONS).map(extension => {
+    const lower = extension.toLowerCase();
+    return lower.startsWith('.') ? lower : `.${lower}`;
+  });
+  const maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+
+  const stats = await fs.promises.stat(root);
+  if (!stats.isDirectory()) {
+    throw new Error(`Not a directory: ${directory}`);
+  }
+
+  const templates = await listTemplates(root, extensions, maxFiles);
+  const usages = new Map();
+  const unknown = new Map();
+  const deprecated = new Map();
+  const databases = new Map();
+  const functions = new Set();
+  const files = [];
+  const skipped = [];
+  let dynamicDatabases = 0;
+
+  for (const fullPath of templates) {
+    const file = path.relative(root, fullPath).split(path.sep).join('/');
+    const size = (await fs.promises.stat(fullPath)).size;
+    if (size > MAX_FILE_SIZE) {
+      skipped.push({ path: file, reason: `larger than ${MAX_FILE_SIZE} bytes` });
+      continue;
+    }
+
+    const code = await fs.promises.readFile(fullPath, 'utf8');
+    const { ast, errors } = parse(code, { instructions: dictionary.instructions, contexts: dictionary.contexts });
+    const counts = new Map();
+
+    walk(ast, node => {
+      if (!node.name) return;
+      const name = node.name.toLowerCase();
+
+      // Functions defined anywhere in the workspace can be called like instructions
+      if (name === 'function') {
+        node.parameters
+          .filter(parameter => parameter.name && parameter.name.toLowerCase() === 'name')
+          .forEach(parameter => functions.add(parameter.value.map(value => value.value || '').join('').trim().toLowerCase()));
+      }
+
+      // Variables only count when they share a documented name, such as [date]
+      const doc = docs.get(name);
+      if (!doc) return;
+
+      const instruction = doc.instruction;
+      counts.set(instruction, (counts.get(instruction) || 0) + 1);
+      addOccurrence(usages, instruction, file, node.start.line, {
+        category: doc.categories ? doc.categories.name : null,
+        url: doc.url || null
+      });
+    });
+
+    const fileUnknown = [];
+    if (dictionary.entries.size > 0) {
+      lint(code, dictionary).diagnostics.forEach(diagnostic => {
+        if (diagnostic.code === 'unknown-instruction') {
+          const entry = addOccurrence(unknown, diagnostic.instruction.toLowerCase(), file, diagnostic.line, { name: diagnostic.instruction, message: diagnostic.message });
+          entry.suggestion = entry.suggestion || (/did you mean \[(.+?)\]/.exec(diagnostic.message) || [])[1] || null;
+          fileUnknown.push(diagnostic.instruction);
+        } else if (diagnostic.code === 'deprecated') {
+          addOccurrence(deprecated, diagnostic.message.toLowerCase(), file, diagnostic.line, { instruction: diagnostic.instruction, message: diagnostic.message, url: diagnostic.url });
+        }
+      });
+    }
+
+    const fileDatabases = new Set();
+    findDatabaseReferences(code).forEach(reference => {
+      if (reference.database === null) {
+        dynamicDatabases++;
+        return;
+      }
+      const database = resolveDatabase(reference.database, file);
+      fileDatabases.add(database);
+      addOccurrence(databases, database, file, reference.line);
+    });
+
+    files.push({
+      path: file,
+      usages: [...counts.values()].reduce((total, count) => total + count, 0),
+      instructions: Object.fromEntries([...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))),
+      unknown: [...new Set(fileUnknown)],
+      databases: [...fileDatabases],
+      parse_errors: errors.length
+    });
+  }
+
+  // Calls to functions defined in another template are not unknown
+  functions.forEach(name => unknown.delete(name));
+  const unknownByFile = new Set([...unknown.values()].map(entry => entry.name.toLowerCase()));
+  files.forEach(file => {
+    file.unknown = file.unknown.filter(name => unknownByFile.has(name.toLowerCase()));
+  });
+
+  const instructions = [...usages.entries()]
+    .map(([instruction, entry]) => ({ instruction, category: entry.category, count: entry.count, files: entry.files.size, url: entry.url }))
+    .sort((a, b) => b.count - a.count || a.instruction.localeCompare(b.instruction));
+
+  const categories = new Map();
+  instructions.forEach(usage => {
+    const name = usage.category || 'Uncategorized';
+    if (!categories.has(name)) categories.set(name, { category: name, count: 0, instructions: 0 });
+    categories.get(name).count += usage.count;
+    categories.get(name).instructions++;
+  });
+
+  const databaseList = [];
+  for (const [database, entry] of databases) {
+    databaseList.push({
+      database,
+      exists: await databaseExists(database, root),
+      count: entry.count,
+      files: listFiles(entry.files)
+    });
+  }
+
+  return {
+    root,
+    extensions,
+    files_scanned: files.length,
+    files_with_webdna: files.filter(file => file.usages > 0 || file.unknown.length > 0).length,
+    total_usages: instructions.reduce((total, usage) => total + usage.count, 0),
+    documented_instructions: dictionary.entries.size > 0,
+    instructions,
+    categories: [...categories.values()].sort((a, b) => b.count - a.count || a.category.localeCompare(b.category)),
+    unknown: [...unknown.values()]
+      .map(entry => ({ name: entry.name, count: entry.count, suggestion: entry.suggestion, files: listFiles(entry.files) }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    deprecated: [...deprecated.values()]
+      .map(entry => ({ instruction: entry.instruction, message: entry.message, count: entry.count, url: entry.url, files: listFiles(entry.files) }))
+      .sort((a, b) => b.count - a.count),
+    databases: databaseList.sort((a, b) => a.database.localeCompare(b.database)),
+    dynamic_databases: dynamicDatabases,
+    files,
+    skipped,
+    truncated: templates.length >= maxFiles
+  };
+}
+
+/**
+ * Escape text for a markdown table cell
+ */
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * Render a workspace report as markdown
+ * @param {Object} report - Result of scanWorkspace
+ * @param {Object} options - { files: include the per-file section }
+ * @returns {string}
+ */
+function formatWorkspaceReport(report, options = {}) {
+  const output = [];
+  const fileList = files => files.map(file => `${file.path} (line${file.lines.length > 1 ? 's' : ''} ${file.lines.join(', ')})`).join('; ');
+
+  output.push('# WebDNA workspace report', '');
+  output.push(`- Directory: ${report.root}`);
+  output.push(`- Files scanned: ${report.files_scanned} (${report.extensions.join(', ')})${report.truncated ? ', stopped at the file limit' : ''}`);
+  output.push(`- Files using WebDNA: ${report.files_with_webdna}`);
+  output.push(`- Instruction usages: ${report.total_usages} of ${report.instructions.length} instructions`);
+  if (!report.documented_instructions) {
+    output.push('- The documentation table is empty, so no instruction could be recognized');
+  }
+  output.push('');
+
+  if (report.categories.length > 0) {
+    output.push('## Usage by category', '', '| Category | Usages | Instructions |', '| --- | --- | --- |');
+    report.categories.forEach(category => output.push(`| ${cell(category.category)} | ${category.count} | ${category.instructions} |`));
+    output.push('');
+  }
+
+  if (report.instructions.length > 0) {
+    output.push('## Usage by instruction', '', '| Instruction | Category | Usages | Files |', '| --- | --- | --- | --- |');
+    report.instructions.forEach(usage => {
+      const name = usage.url ? `[${cell(usage.instruction)}](${usage.url})` : cell(usage.instruction);
+      output.push(`| ${name} | ${cell(usage.category || '')} | ${usage.count} | ${usage.files} |`);
+    });
+    output.push('');
+  }
+
+  output.push('## Unknown instructions', '');
+  if (report.unknown.length === 0) output.push('None.');
+  report.unknown.forEach(entry => {
+    output.push(`- \`[${entry.name}]\` in ${fileList(entry.files)}${entry.suggestion ? `, did you mean \`[${entry.suggestion}]\`?` : ''}`);
+  });
+  output.push('');
+
+  output.push('## Deprecated usages', '');
+  if (report.deprecated.length === 0) output.push('None.');
+  report.deprecated.forEach(entry => {
+    output.push(`- ${entry.message} In ${fileList(entry.files)}`);
+  });
+  output.push('');
+
+  output.push('## Databases', '');
+  if (report.databases.length === 0) output.push('None.');
+  report.databases.forEach(entry => {
+    output.push(`- \`${entry.database}\`${entry.exists ? '' : ' (not found)'}: ${fileList(entry.files)}`);
+  });
+  if (report.dynamic_databases > 0) {
+    output.push(`- ${report.dynamic_databases} computed database path${report.dynamic_databases > 1 ? 's' : ''} (such as \`db=[dbname]\`) could not be resolved`);
+  }
+  output.push('');
+
+  if (options.files) {
+    output.push('## Files', '');
+    report.files.filter(file => file.usages > 0 || file.unknown.length > 0).forEach(file => {
+      const instructions = Object.entries(file.instructions).map(([name, count]) => `${name} (${count})`).join(', ');
+      output.push(`- ${file.path}: ${instructions || 'no documented instructions'}${file.unknown.length > 0 ? `; unknown: ${file.unknown.join(', ')}` : ''}`);
+    });
+    output.push('');
+  }
+
+  if (report.skipped.length > 0) {
+    output.push('## Skipped files', '');
+    report.skipped.forEach(file => output.push(`- ${file.path}: ${file.reason}`));
+    output.push('');
+  }
+
+  return output.join('\n').trim() + '\n';
+}
+
+module.exports = {
+  DEFAULT_EXTENSIONS,
+  getWorkspaceRoot,
+  resolveWorkspacePath,
+  scanWorkspace,
+  formatWorkspaceReport
+};
@@ -26,7 +26,8 @@ logFile.write(`Script directory: ${scriptDir}\n`);
 
 // Start the MCP server using stdin/stdout protocol (preferred for Windsurf)
 // Use mcp-stdin-server.js for local integration
-const server = spawn('node', [path.join(scriptDir, 'mcp-stdin-server.js')], {
+// Any arguments (e.g. --legacy) are passed through to the server
+const server = spawn('node', [path.join(scriptDir, 'mcp-stdin-server.js'), ...process.argv.slice(2)], {
   cwd: scriptDir,
   stdio: ['pipe', 'pipe', 'pipe'] // Ensure stdio is piped for MCP protocol
 });
@@ -64,8 +65,8 @@ server.on('exit', (code) => {
   process.exit(code);
 });
 
-// Keep the process running
-process.stdin.resume();
+// Forward client messages to the server
+process.stdin.pipe(server.stdin);
 
 // Log that we're ready
 logFile.write(`\n[${new Date().toISOString()}] Wrapper script ready\n`);
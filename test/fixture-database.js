@@ -0,0 +1,53 @@
+/**
+ * Temporary SQLite database seeded from the committed documentation fixtures
+ * Require this before anything that opens the storage backend: it points
+ * STORAGE_BACKEND and SQLITE_PATH at a fresh temporary directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webdna-test-'));
+
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(directory, 'webdna.sqlite');
+
+const { scrapeDocumentation } = require('../src/scraper');
+const { closeDatabase } = require('../src/database');
+
+/**
+ * Scrape the fixture site into the temporary database
+ * @returns {Promise<Object>} - Scrape summary
+ */
+async function seedFixtureDatabase() {
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    return await scrapeDocumentation({
+      sourceDir: path.join(__dirname, '../fixtures'),
+      render: 'never',
+      rateLimit: 1000,
+      retryDelay: 1,
+      resume: false,
+      checkpointPath: path.join(directory, 'checkpoint.json')
+    });
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Close the database and delete the temporary directory
+ */
+async function removeFixtureDatabase() {
+  await closeDatabase();
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+module.exports = {
+  directory,
+  seedFixtureDatabase,
+  removeFixtureDatabase
+};
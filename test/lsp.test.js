@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ErrorCodes } = require('../src/jsonrpc');
+const { createLspSession, createMessageReader, encodeMessage } = require('../src/lsp');
+
+/**
+ * Build a JSON-RPC request
+ */
+function request(id, method, params) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+test('decodes framed messages split across chunks', () => {
+  const messages = [];
+  const errors = [];
+  const read = createMessageReader(message => messages.push(message), error => errors.push(error));
+
+  const framed = encodeMessage(request(1, 'initialize', { text: 'héllo' })) + encodeMessage(request(2, 'shutdown'));
+  const bytes = Buffer.from(framed);
+  read(bytes.slice(0, 10));
+  read(bytes.slice(10, 60));
+  read(bytes.slice(60));
+  read('Content-Length: 3\r\n\r\n{x}');
+
+  assert.deepEqual(messages.map(message => message.id), [1, 2]);
+  assert.equal(messages[0].params.text, 'héllo');
+  assert.equal(errors.length, 1);
+});
+
+test('exits with 0 only after shutdown', async () => {
+  const codes = [];
+  const session = createLspSession({ onExit: code => codes.push(code) });
+
+  const initialized = await session.handleMessage(request(1, 'initialize', {}));
+  assert.ok(initialized.result.capabilities.hoverProvider);
+
+  await session.handleMessage(request(2, 'shutdown'));
+  const refused = await session.handleMessage(request(3, 'textDocument/hover', {}));
+  assert.equal(refused.error.code, ErrorCodes.INVALID_REQUEST);
+
+  await session.handleMessage({ jsonrpc: '2.0', method: 'exit' });
+  assert.deepEqual(codes, [0]);
+});
+
+test('refuses requests before initialize', async () => {
+  const response = await createLspSession().handleMessage(request(1, 'textDocument/hover', {}));
+
+  assert.equal(response.error.code, -32002);
+});
+
+test('server: a failing notification gets a log message, not a response', { timeout: 30000 }, async (t) => {
+  const database = path.join(os.tmpdir(), `webdna-lsp-test-${process.pid}.sqlite`);
+  t.after(() => ['', '-shm', '-wal'].forEach(suffix => fs.rmSync(database + suffix, { force: true })));
+
+  const server = spawn(process.execPath, [path.join(__dirname, '../webdna-lsp-server.js')], {
+    env: { ...process.env, STORAGE_BACKEND: 'sqlite', SQLITE_PATH: database },
+    stdio: ['pipe', 'pipe', 'ignore']
+  });
+
+  const messages = [];
+  const read = createMessageReader(message => messages.push(message));
+  server.stdout.on('data', read);
+
+  server.stdin.write(encodeMessage(request(1, 'initialize', {})));
+  server.stdin.write(encodeMessage({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: null } }));
+  server.stdin.write(encodeMessage(request(2, 'shutdown')));
+  server.stdin.write(encodeMessage({ jsonrpc: '2.0', method: 'exit' }));
+
+  const code = await new Promise(resolve => server.on('exit', resolve));
+
+  assert.equal(code, 0);
+  assert.deepEqual(messages.filter(message => 'id' in message).map(message => message.id), [1, 2]);
+  const [logged] = messages.filter(message => message.method === 'window/logMessage');
+  assert.equal(logged.params.type, 1);
+  assert.match(logged.params.message, /textDocument\/didOpen/);
+});
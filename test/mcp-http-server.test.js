@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ErrorCodes } = require('../src/jsonrpc');
+
+const database = path.join(os.tmpdir(), `webdna-http-test-${process.pid}.sqlite`);
+let server;
+let baseUrl;
+
+/**
+ * Find a port nobody is listening on
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  server = spawn(process.execPath, [path.join(__dirname, '../mcp-http-server.js')], {
+    env: { ...process.env, PORT: String(port), STORAGE_BACKEND: 'sqlite', SQLITE_PATH: database },
+    stdio: 'ignore'
+  });
+
+  // Wait for the server to answer its health check
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${baseUrl}/health`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('The HTTP server did not start');
+});
+
+after(async () => {
+  const exited = new Promise(resolve => server.on('exit', resolve));
+  server.kill('SIGTERM');
+  await exited;
+  ['', '-shm', '-wal'].forEach(suffix => fs.rmSync(database + suffix, { force: true }));
+});
+
+/**
+ * POST a body to /mcp
+ */
+function post(body, headers = {}) {
+  return fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+async function sessionCount() {
+  const health = await fetch(`${baseUrl}/health`);
+  return (await health.json()).sessions;
+}
+
+test('refuses bodies that are not JSON-RPC messages', async () => {
+  const empty = await post('');
+  assert.equal(empty.status, 400);
+  assert.equal((await empty.json()).error.code, ErrorCodes.INVALID_REQUEST);
+
+  const primitive = await post('42');
+  assert.equal((await primitive.json()).error.code, ErrorCodes.INVALID_REQUEST);
+
+  const malformed = await post('{"jsonrpc": ');
+  assert.equal((await malformed.json()).error.code, ErrorCodes.PARSE_ERROR);
+});
+
+test('an initialize that is not a valid request leaves no session', async () => {
+  const notification = await post({ jsonrpc: '2.0', method: 'initialize', params: {} });
+  assert.equal(notification.status, 400);
+  assert.equal(notification.headers.get('Mcp-Session-Id'), null);
+
+  const invalid = await post({ id: 1, method: 'initialize', params: {} });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.headers.get('Mcp-Session-Id'), null);
+  assert.equal((await invalid.json()).error.code, ErrorCodes.INVALID_REQUEST);
+
+  const batched = await post([{ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, { jsonrpc: '2.0', id: 2, method: 'ping' }]);
+  assert.equal(batched.status, 400);
+
+  assert.equal(await sessionCount(), 0);
+});
+
+test('a successful initialize opens a session for the following requests', async () => {
+  const initialized = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {} } });
+  const sessionId = initialized.headers.get('Mcp-Session-Id');
+
+  assert.equal(initialized.status, 200);
+  assert.ok(sessionId);
+  assert.equal((await initialized.json()).result.protocolVersion, '2025-03-26');
+  assert.equal(await sessionCount(), 1);
+
+  const acknowledged = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+  assert.equal(acknowledged.status, 202);
+
+  const listed = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId });
+  assert.ok((await listed.json()).result.tools.length > 0);
+
+  const unknown = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { 'Mcp-Session-Id': 'no-such-session' });
+  assert.equal(unknown.status, 404);
+
+  const closed = await fetch(`${baseUrl}/mcp`, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+  assert.ok(closed.ok);
+  assert.equal(await sessionCount(), 0);
+});
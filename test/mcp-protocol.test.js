@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ErrorCodes, createErrorResponse, createNotification, getMessageKind } = require('../src/jsonrpc');
+const { createMcpSession, LATEST_PROTOCOL_VERSION } = require('../src/mcp-protocol');
+
+/**
+ * Build a JSON-RPC request
+ */
+function request(id, method, params) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+test('jsonrpc: tells requests, notifications, responses and invalid messages apart', () => {
+  assert.equal(getMessageKind(request(1, 'ping')), 'request');
+  assert.equal(getMessageKind(createNotification('notifications/initialized')), 'notification');
+  assert.equal(getMessageKind({ jsonrpc: '2.0', id: 1, result: {} }), 'response');
+  assert.equal(getMessageKind({ id: 1, method: 'ping' }), 'invalid');
+  assert.equal(getMessageKind(null), 'invalid');
+});
+
+test('jsonrpc: error responses without an id carry a null id', () => {
+  assert.deepEqual(createErrorResponse(undefined, ErrorCodes.PARSE_ERROR, 'Parse error'), {
+    jsonrpc: '2.0',
+    id: null,
+    error: { code: ErrorCodes.PARSE_ERROR, message: 'Parse error' }
+  });
+});
+
+test('mcp: negotiates the protocol version on initialize', async () => {
+  const session = createMcpSession();
+
+  const supported = await session.handleMessage(request(1, 'initialize', { protocolVersion: '2025-03-26', capabilities: {} }));
+  assert.equal(supported.result.protocolVersion, '2025-03-26');
+
+  const unknown = await createMcpSession().handleMessage(request(1, 'initialize', { protocolVersion: '1999-01-01' }));
+  assert.equal(unknown.result.protocolVersion, LATEST_PROTOCOL_VERSION);
+});
+
+test('mcp: refuses requests before initialize', async () => {
+  const response = await createMcpSession().handleMessage(request(1, 'tools/list'));
+
+  assert.equal(response.error.code, ErrorCodes.SERVER_NOT_INITIALIZED);
+});
+
+test('mcp: answers the requests of a batch and skips its notifications', async () => {
+  const session = createMcpSession();
+  await session.handleMessage(request(1, 'initialize', {}));
+
+  const responses = await session.handleMessage([
+    createNotification('notifications/initialized'),
+    request(2, 'tools/list'),
+    request(3, 'no/such/method')
+  ]);
+
+  assert.deepEqual(responses.map(response => response.id), [2, 3]);
+  assert.ok(responses[0].result.tools.some(tool => tool.name === 'search-webdna-docs'));
+  assert.equal(responses[1].error.code, ErrorCodes.METHOD_NOT_FOUND);
+  assert.equal(session.getState().initialized, true);
+});
+
+test('mcp: rejects empty batches and invalid messages', async () => {
+  const session = createMcpSession();
+
+  assert.equal((await session.handleMessage([])).error.code, ErrorCodes.INVALID_REQUEST);
+  assert.equal((await session.handleMessage({ id: 7 })).error.code, ErrorCodes.INVALID_REQUEST);
+  assert.equal(await session.handleMessage(createNotification('notifications/unknown')), null);
+});
+
+test('mcp: reports unknown tools as invalid params', async () => {
+  const session = createMcpSession();
+  await session.handleMessage(request(1, 'initialize', {}));
+
+  const response = await session.handleMessage(request(2, 'tools/call', { name: 'no-such-tool', arguments: {} }));
+  assert.equal(response.error.code, ErrorCodes.INVALID_PARAMS);
+});
+
+test('stdin server: answers the messages sent before stdin closes', { timeout: 30000 }, async (t) => {
+  const database = path.join(os.tmpdir(), `webdna-stdin-test-${process.pid}.sqlite`);
+  t.after(() => ['', '-shm', '-wal'].forEach(suffix => fs.rmSync(database + suffix, { force: true })));
+
+  const server = spawn(process.execPath, [path.join(__dirname, '../mcp-stdin-server.js')], {
+    env: { ...process.env, STORAGE_BACKEND: 'sqlite', SQLITE_PATH: database },
+    stdio: ['pipe', 'pipe', 'ignore']
+  });
+
+  let output = '';
+  server.stdout.on('data', chunk => { output += chunk; });
+
+  server.stdin.write(JSON.stringify(request(1, 'initialize', {})) + '\n');
+  server.stdin.write(JSON.stringify(createNotification('notifications/initialized')) + '\n');
+  server.stdin.write(JSON.stringify(request(2, 'tools/list')) + '\n');
+  server.stdin.end(JSON.stringify(request(3, 'tools/call', { name: 'search-webdna-docs', arguments: { query: 'search' } })) + '\n');
+
+  const code = await new Promise(resolve => server.on('exit', resolve));
+  const responses = output.trim().split('\n').map(line => JSON.parse(line));
+
+  assert.equal(code, 0);
+  assert.deepEqual(responses.map(response => response.id), [1, 2, 3]);
+  assert.ok(responses[1].result.tools.length > 0);
+  assert.ok(responses[2].result);
+});
@@ -0,0 +1,75 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { directory, removeFixtureDatabase } = require('./fixture-database');
+const { getStorage } = require('../src/storage');
+const { loadMigrationFiles, getMigrationStatus, runMigrations } = require('../src/migrations');
+
+const storage = getStorage();
+const quiet = { log: () => {} };
+
+after(removeFixtureDatabase);
+
+/**
+ * Write migration files to a new directory
+ * @param {string} name - Directory name
+ * @param {Object} files - File name to contents
+ */
+function migrationsDir(name, files) {
+  const dir = path.join(directory, name);
+  fs.mkdirSync(dir);
+  Object.entries(files).forEach(([file, sql]) => fs.writeFileSync(path.join(dir, file), sql));
+  return dir;
+}
+
+test('loads migration files in version order and skips other files', () => {
+  const dir = migrationsDir('ordered', {
+    '10_later.sql': 'SELECT 10;',
+    '02_earlier.sql': 'SELECT 2;',
+    'README.md': 'not a migration',
+    'draft.sql': 'SELECT 0;'
+  });
+
+  const migrations = loadMigrationFiles(dir);
+
+  assert.deepEqual(migrations.map(migration => [migration.version, migration.name]), [[2, 'earlier'], [10, 'later']]);
+  assert.match(migrations[0].checksum, /^[0-9a-f]{64}$/);
+});
+
+test('refuses duplicate versions and missing directories', () => {
+  const dir = migrationsDir('duplicates', { '01_a.sql': 'SELECT 1;', '1_b.sql': 'SELECT 1;' });
+
+  assert.throws(() => loadMigrationFiles(dir), /Duplicate migration version 1: /);
+  assert.throws(() => loadMigrationFiles(path.join(directory, 'nowhere')), /Migrations directory not found/);
+});
+
+test('applies pending migrations once', async () => {
+  const applied = await runMigrations(quiet);
+
+  assert.deepEqual(applied.map(migration => migration.file), loadMigrationFiles(storage.migrationsDir).map(migration => migration.file));
+  assert.ok(await storage.tableExists('documentation'));
+  assert.equal(await storage.tableExists('documentation_fts'), false);
+  assert.deepEqual(await runMigrations(quiet), []);
+  assert.ok((await getMigrationStatus()).every(entry => entry.status === 'applied'));
+});
+
+test('rolls back a failed migration', async () => {
+  const migration = { version: 900, name: 'broken', checksum: 'x', sql: 'CREATE TABLE half_done (id INTEGER); INSERT INTO no_such_table VALUES (1);' };
+
+  await assert.rejects(storage.applyMigration(migration), /no_such_table/);
+  assert.equal(await storage.tableExists('half_done'), false);
+  assert.ok(!(await storage.getAppliedMigrations()).some(row => row.version === 900));
+});
+
+test('reports edited and deleted migration files', async () => {
+  await storage.executeSql("UPDATE schema_migrations SET checksum = 'edited' WHERE version = 1");
+  await storage.executeSql("INSERT INTO schema_migrations (version, name, checksum) VALUES (999, 'deleted', 'x')");
+
+  const status = await getMigrationStatus();
+
+  assert.equal(status.find(entry => entry.version === 1).status, 'modified');
+  const deleted = status[status.length - 1];
+  assert.deepEqual([deleted.version, deleted.file, deleted.status], [999, null, 'missing']);
+  await assert.rejects(runMigrations(quiet), /Applied migration\(s\) changed on disk: 01_initial_setup\.sql/);
+});
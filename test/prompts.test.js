@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { seedFixtureDatabase, removeFixtureDatabase } = require('./fixture-database');
+const { mcp_prompts, getPrompt, getMissingArguments } = require('../src/prompts');
+
+before(seedFixtureDatabase);
+after(removeFixtureDatabase);
+
+/**
+ * URIs of the documentation resources embedded in a prompt
+ */
+function embeddedUris(prompt) {
+  return prompt.messages
+    .filter(message => message.content.type === 'resource')
+    .map(message => message.content.resource.uri);
+}
+
+test('lists the required arguments that are missing', () => {
+  const definition = mcp_prompts.find(prompt => prompt.name === 'write-webdna-search');
+
+  assert.deepEqual(getMissingArguments(definition, {}), ['database', 'criteria']);
+  assert.deepEqual(getMissingArguments(definition, { database: 'products.db', criteria: 'cheap items' }), []);
+});
+
+test('refuses prompts with missing arguments and ignores unknown prompts', async () => {
+  await assert.rejects(getPrompt('explain-webdna-snippet', {}), /Missing required argument\(s\) for explain-webdna-snippet: code/);
+  assert.equal(await getPrompt('no-such-prompt', {}), null);
+});
+
+test('embeds the documentation of the instructions used in a snippet', async () => {
+  const prompt = await getPrompt('explain-webdna-snippet', { code: '[search db=a.db&neNAMEdata=][founditems][text]x[/text][/founditems][/search]' });
+
+  assert.deepEqual(embeddedUris(prompt).sort(), [
+    'webdna://instruction/founditems',
+    'webdna://instruction/search',
+    'webdna://instruction/text'
+  ]);
+
+  const instructions = prompt.messages[prompt.messages.length - 1].content;
+  assert.equal(instructions.type, 'text');
+  assert.match(instructions.text, /```webdna\n\[search db=a\.db/);
+});
+
+test('maps PHP constructs to the WebDNA instructions that replace them', async () => {
+  const prompt = await getPrompt('port-php-to-webdna', {
+    php_code: '<?php $rows = mysqli_query($db, "SELECT * FROM t"); if ($rows) { echo "ok"; } ?>',
+    notes: 'Use products.db'
+  });
+
+  assert.deepEqual(embeddedUris(prompt), [
+    'webdna://instruction/search',
+    'webdna://instruction/founditems',
+    'webdna://instruction/showif'
+  ]);
+  assert.match(prompt.messages[prompt.messages.length - 1].content.text, /Additional requirements: Use products\.db/);
+});
+
+test('falls back to search results for an unknown instruction', async () => {
+  const documented = await getPrompt('use-webdna-instruction', { instruction: 'search', task: 'list products' });
+  assert.equal(embeddedUris(documented)[0], 'webdna://instruction/search');
+  assert.match(documented.messages[documented.messages.length - 1].content.text, /how to use search to list products\./);
+
+  const searched = await getPrompt('use-webdna-instruction', { instruction: 'records found' });
+  assert.ok(embeddedUris(searched).length > 0);
+  assert.ok(!embeddedUris(searched).includes('webdna://instruction/records found'));
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { seedFixtureDatabase, removeFixtureDatabase } = require('./fixture-database');
+const {
+  instructionUri,
+  categoryUri,
+  parseResourceUri,
+  formatDocumentationMarkdown,
+  listResources,
+  readResource
+} = require('../src/resources');
+
+before(seedFixtureDatabase);
+after(removeFixtureDatabase);
+
+test('resource URIs round-trip through parseResourceUri', () => {
+  assert.equal(instructionUri('founditems'), 'webdna://instruction/founditems');
+  assert.deepEqual(parseResourceUri(categoryUri('Date & Time')), { type: 'category', key: 'Date & Time' });
+  assert.equal(parseResourceUri('webdna://function/search'), null);
+  assert.equal(parseResourceUri('webdna://instruction/%E0%A4%A'), null);
+  assert.equal(parseResourceUri(undefined), null);
+});
+
+test('renders a documentation entry as markdown', () => {
+  const markdown = formatDocumentationMarkdown({
+    instruction: 'search',
+    category_name: 'Database',
+    description: 'Searches a database.',
+    syntax: '[search db=file.db&criteria]...[/search]',
+    parameters: [
+      { name: 'db', required: true, description: 'Path to the database' },
+      { name: 'ranked', required: false, default: 'F', values: ['T', 'F'] },
+      { name: 'comparison', values: ['=', '^'], value_descriptions: { '^': 'contains' } }
+    ],
+    examples: [{ explanation: 'Every product:', language: 'webdna', code: '[search db=products.db&neNAMEdata=]', results: 'Pencil' }],
+    related_docs: [{ instruction: 'founditems', webdna_id: 'founditems' }],
+    url: 'https://docs.webdna.us/instructions/search'
+  });
+
+  assert.match(markdown, /^# search\n\nCategory: Database\n\nSearches a database\.\n/);
+  assert.match(markdown, /```webdna\n\[search db=file\.db&criteria\]\.\.\.\[\/search\]\n```/);
+  assert.match(markdown, /- `db` \(required\) - Path to the database/);
+  assert.match(markdown, /- `ranked` \(optional, default: `F`, values: `T`, `F`\)/);
+  assert.match(markdown, /- `comparison` \(values: `=`, `\^` \(contains\)\)/);
+  assert.match(markdown, /Every product:\n\n```webdna\n.*\n```\n\nResults:\n\n```\nPencil\n```/);
+  assert.match(markdown, /- \[founditems\]\(webdna:\/\/instruction\/founditems\)/);
+  assert.match(markdown, /Source: https:\/\/docs\.webdna\.us\/instructions\/search\n$/);
+});
+
+test('lists the categories before the documentation entries', async () => {
+  const { resources, nextCursor } = await listResources();
+  const uris = resources.map(resource => resource.uri);
+
+  assert.equal(nextCursor, undefined);
+  assert.deepEqual(uris.filter(uri => uri.startsWith('webdna://category/')), uris.slice(0, 3));
+  assert.ok(uris.includes('webdna://category/Database'));
+  assert.ok(uris.includes('webdna://instruction/search'));
+  assert.ok(resources.every(resource => resource.mimeType === 'text/markdown'));
+});
+
+test('reads instruction and category resources', async () => {
+  const instruction = await readResource('webdna://instruction/search');
+  const [content] = instruction.contents;
+
+  assert.equal(content.uri, 'webdna://instruction/search');
+  assert.match(content.text, /^# search\n/);
+  assert.match(content.text, /## Parameters/);
+
+  const category = await readResource('webdna://category/Database');
+  assert.match(category.contents[0].text, /^# Database\n/);
+  assert.match(category.contents[0].text, /\[search\]\(webdna:\/\/instruction\/search\)/);
+
+  assert.equal(await readResource('webdna://instruction/no-such-instruction'), null);
+  assert.equal(await readResource('webdna://category/No such category'), null);
+  assert.equal(await readResource('https://docs.webdna.us/'), null);
+});
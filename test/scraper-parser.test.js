@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseInstructionPage } = require('../src/scraper-parser');
+
+/**
+ * Wrap a parameters section in an instruction page
+ */
+function page(parameters) {
+  return `<html><body><article><h1>[x]</h1><p>Does x.</p><h3>Parameters</h3>${parameters}<h3>Examples</h3><pre><code>[x]</code></pre></article></body></html>`;
+}
+
+test('takes the required marker and default sentence out of parameter descriptions', () => {
+  const { parameters } = parseInstructionPage(page(`<ul>
+    <li>db - (required) Path to the database file</li>
+    <li>max - Optional. Maximum number of records to return. Default is 100.</li>
+    <li>type - Either all or unique. Defaults to all.</li>
+    <li>sort - How to sort. Required.</li>
+  </ul>`));
+
+  assert.deepEqual(parameters.map(({ name, required, default: defaultValue, description }) => [name, required, defaultValue, description]), [
+    ['db', true, null, 'Path to the database file'],
+    ['max', false, '100', 'Maximum number of records to return.'],
+    ['type', null, 'all', 'Either all or unique.'],
+    ['sort', true, null, 'How to sort.']
+  ]);
+});
+
+test('lists values bare and keeps their meaning in value_descriptions', () => {
+  const [comparison, type] = parseInstructionPage(page(`<ul>
+    <li>comparison - One of =, ^ (contains) or ~ (begins with)</li>
+    <li>type - Either all or unique.</li>
+  </ul>`)).parameters;
+
+  assert.deepEqual(comparison.values, ['=', '^', '~']);
+  assert.deepEqual(comparison.value_descriptions, { '^': 'contains', '~': 'begins with' });
+  assert.equal(comparison.description, 'One of =, ^ (contains) or ~ (begins with)');
+  assert.deepEqual(type.values, ['all', 'unique']);
+  assert.equal('value_descriptions' in type, false);
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseDocumentation, parseArgs } = require('../src/scraper');
+
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/docs.webdna.us');
+const expected = require('../fixtures/parsed.json');
+
+// Pages answer with an error for their first requests: path to the statuses to send
+const failures = new Map();
+const requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    requests.push(pathname);
+
+    const pending = failures.get(pathname);
+    if (pending && pending.length > 0) {
+      res.writeHead(pending.shift());
+      return res.end();
+    }
+
+    const file = path.join(FIXTURE_DIR, `${pathname}.html`);
+    if (!file.startsWith(FIXTURE_DIR + path.sep) || !fs.existsSync(file)) {
+      res.writeHead(404);
+      return res.end('Not found');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(fs.readFileSync(file));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Parse the fixture site through the HTTP source, without rendering or waiting
+ */
+function scrape(t, overrides = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  return parseDocumentation({
+    baseUrl,
+    render: 'never',
+    concurrency: 2,
+    rateLimit: 1000,
+    retries: 2,
+    retryDelay: 1,
+    ...overrides
+  });
+}
+
+/**
+ * The parts of a parsed instruction that don't depend on where it was read from
+ */
+function contentOf(instruction) {
+  return {
+    instruction: instruction.instruction,
+    webdna_id: instruction.webdna_id,
+    category: instruction.category,
+    description: instruction.description,
+    syntax: instruction.syntax,
+    parameters: instruction.parameters,
+    examples: instruction.examples
+  };
+}
+
+test('parses the fixture site over HTTP like the fixture snapshot', async (t) => {
+  const result = await scrape(t);
+
+  assert.deepEqual(result.failures, []);
+  assert.deepEqual(result.categories, expected.categories);
+  assert.deepEqual(result.instructions.map(contentOf), expected.instructions.map(contentOf));
+  assert.ok(requests.includes('/at-a-glance'));
+});
+
+test('retries pages that fail with a server error', async (t) => {
+  failures.set('/instructions/search', [503, 503]);
+  const result = await scrape(t);
+
+  assert.deepEqual(result.failures, []);
+  assert.ok(result.instructions.some(instruction => instruction.instruction === 'search'));
+  assert.equal(failures.get('/instructions/search').length, 0);
+});
+
+test('reports the pages that still fail after the retries', async (t) => {
+  failures.set('/contexts/showif', [500, 500, 500]);
+  const result = await scrape(t, { retries: 1 });
+
+  assert.equal(result.failures.length, 1);
+  assert.equal(result.failures[0].instruction, 'showif');
+  assert.equal(result.failures[0].url, `${baseUrl}/contexts/showif`);
+  assert.equal(result.failures[0].attempts, 2);
+  assert.equal(result.instructions.length, expected.instructions.length - 1);
+  failures.delete('/contexts/showif');
+});
+
+test('does not retry pages that are not found', async (t) => {
+  failures.set('/contexts/text', [404]);
+  const result = await scrape(t);
+
+  assert.deepEqual(result.failures.map(failure => [failure.instruction, failure.attempts]), [['text', 1]]);
+  failures.delete('/contexts/text');
+});
+
+test('parseArgs keeps "=" inside flag values', () => {
+  assert.deepEqual(parseArgs(['--base-url=http://localhost:8080/?lang=en', '--concurrency=4', '--fresh']), {
+    baseUrl: 'http://localhost:8080/?lang=en',
+    concurrency: 4,
+    resume: false
+  });
+  assert.throws(() => parseArgs(['--bogus']), /Unknown argument/);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, createSearchIndex } = require('../src/search-index');
+const { instructions } = require('../fixtures/parsed.json');
+
+// The documentation entries as the storage backends return them
+const index = createSearchIndex(instructions.map(doc => ({ ...doc, categories: { name: doc.category } })));
+
+const ranked = result => result.results.map(entry => entry.doc.instruction);
+
+test('splits text into lowercase words', () => {
+  assert.deepEqual(tokenize('[FoundItems type=all]&eq_NAME'), ['founditems', 'type', 'all', 'eq_name']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('ranks an entry named by the query above entries mentioning it', () => {
+  const result = index.search('search');
+
+  assert.equal(index.size, 6);
+  assert.deepEqual(ranked(result), ['search', 'founditems', 'numfound']);
+  assert.deepEqual(result.results.map(entry => entry.match_type), ['exact', 'content', 'content']);
+  assert.ok(result.results[0].score > 2 * result.results[1].score);
+});
+
+test('matches words by prefix and with typos, and reports the correction', () => {
+  const prefix = index.search('founditem');
+  assert.deepEqual(ranked(prefix), ['founditems', 'search']);
+  assert.equal(prefix.results[0].match_type, 'prefix');
+  assert.deepEqual(prefix.corrections, { founditem: 'founditems' });
+
+  const typo = index.search('serch');
+  assert.equal(ranked(typo)[0], 'search');
+  assert.equal(typo.results[0].match_type, 'fuzzy');
+  assert.deepEqual(typo.corrections, { serch: 'search' });
+  assert.ok(typo.results[0].score < index.search('search').results[0].score);
+  assert.deepEqual(index.expand('srch'), []);
+});
+
+test('excludes "-word" matches and filters by category', () => {
+  assert.deepEqual(ranked(index.search('database -search')), ['append']);
+  assert.deepEqual(ranked(index.search('search', { category: 'DATABASE' })), ['search', 'founditems', 'numfound']);
+  assert.deepEqual(ranked(index.search('search', { category: 'Logic' })), []);
+});
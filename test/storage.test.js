@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { seedFixtureDatabase, removeFixtureDatabase } = require('./fixture-database');
+const { getStorage } = require('../src/storage');
+
+const storage = getStorage();
+
+before(seedFixtureDatabase);
+after(removeFixtureDatabase);
+
+test('uses the SQLite backend named in STORAGE_BACKEND', () => {
+  assert.equal(storage.name, 'sqlite');
+});
+
+test('returns entries with their JSON columns parsed and their category nested', async () => {
+  const doc = await storage.getDocumentation({ webdnaId: 'search' });
+
+  assert.equal(doc.instruction, 'search');
+  assert.deepEqual(doc.categories, { id: doc.category_id, name: 'Database' });
+  assert.ok(Array.isArray(doc.parameters) && doc.parameters.some(parameter => parameter.name === 'db'));
+  assert.ok(Array.isArray(doc.examples) && doc.examples.length > 0);
+
+  assert.equal((await storage.getDocumentation({ id: doc.id })).webdna_id, 'search');
+  assert.equal((await storage.getDocumentation({ instruction: 'SEARCH' })).id, doc.id);
+  assert.equal(await storage.getDocumentation({ webdnaId: 'no-such-instruction' }), null);
+});
+
+test('lists summaries in instruction order and counts entries per category', async () => {
+  const docs = await storage.listDocumentation({ limit: 3, offset: 1 });
+  const categories = await storage.listCategories();
+
+  assert.deepEqual(docs.map(doc => doc.instruction), ['founditems', 'numfound', 'search']);
+  assert.equal(categories.find(category => category.name === 'Database').instruction_count, 4);
+  assert.equal(await storage.countDocumentation(), 6);
+});
+
+test('hides removed entries from every lookup', async () => {
+  const doc = await storage.getDocumentation({ webdnaId: 'append' });
+  await storage.updateDocumentation(doc.id, { removed_at: new Date().toISOString() });
+
+  assert.equal(await storage.getDocumentation({ id: doc.id }), null);
+  assert.equal(await storage.getDocumentation({ webdnaId: 'append' }), null);
+  assert.equal(await storage.getDocumentation({ instruction: 'append' }), null);
+  assert.deepEqual(await storage.getDocumentationByIds([doc.id]), []);
+  assert.ok(!(await storage.listDocumentation()).some(entry => entry.id === doc.id));
+  assert.equal(await storage.countDocumentation(), 5);
+
+  // The scraper still sees the row so it can restore it
+  const hashes = await storage.listDocumentationHashes();
+  assert.ok(hashes.find(row => row.id === doc.id).removed_at);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createReference, complete } = require('../src/webdna');
+const { instructions } = require('../fixtures/parsed.json');
+
+const reference = createReference(instructions);
+
+/**
+ * Complete at the end of a snippet
+ */
+function completeAtEnd(code) {
+  return complete(code, code.length, reference);
+}
+
+const labels = result => result.completions.map(completion => completion.label);
+
+test('completes instruction names after "["', () => {
+  const result = completeAtEnd('[sea');
+
+  assert.equal(result.context.kind, 'instruction');
+  assert.equal(result.completions[0].label, 'search');
+  assert.equal(result.completions[0].kind, 'context');
+});
+
+test('offers the innermost open context first when closing', () => {
+  const result = completeAtEnd('[search db=x.db][founditems]x[/');
+
+  assert.deepEqual(result.context.open_contexts, ['search', 'founditems']);
+  assert.deepEqual(labels(result), ['[/founditems]', '[/search]']);
+  assert.equal(result.completions[0].insert_text, 'founditems]');
+});
+
+test('completes documented parameters and their values', () => {
+  const parameter = completeAtEnd('[search db=x.db&ma');
+  assert.equal(parameter.context.kind, 'parameter');
+  assert.deepEqual(labels(parameter), ['max']);
+  assert.equal(parameter.completions[0].insert_text, 'max=');
+
+  const value = completeAtEnd('[founditems type=');
+  assert.equal(value.context.kind, 'value');
+  assert.deepEqual(labels(value), ['all', 'unique']);
+});
+
+test('leaves expressions alone unless a documented parameter name is typed', () => {
+  const expression = completeAtEnd('[showif [a]');
+  assert.equal(expression.context.kind, 'expression');
+  assert.deepEqual(expression.completions, []);
+
+  const named = completeAtEnd('[showif comparison=');
+  assert.equal(named.context.kind, 'value');
+  assert.ok(labels(named).includes('^'));
+});
+
+test('documents values with the meaning given on the documentation page', () => {
+  const { completions } = completeAtEnd('[showif comparison=');
+  const contains = completions.find(completion => completion.label === '^');
+
+  assert.equal(contains.documentation, 'contains');
+  assert.equal(completions.find(completion => completion.label === '=').documentation, null);
+});
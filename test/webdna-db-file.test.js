@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeDbFile, inspectDbFile, checkFieldReferences } = require('../src/webdna');
+const { getDatabaseRoot } = require('../src/webdna/db-file');
+
+// <tmp>/root holds the databases, <tmp>/outside a file the tools must not reach
+let directory;
+let root;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webdna-db-test-'));
+  root = path.join(directory, 'root');
+
+  fs.mkdirSync(path.join(root, 'data'), { recursive: true });
+  fs.mkdirSync(path.join(root, '.private'));
+  fs.mkdirSync(path.join(directory, 'outside'));
+
+  fs.writeFileSync(path.join(root, 'data/people.db'), 'NAME\tAGE\nbob\t30\nann\t41\n');
+  fs.writeFileSync(path.join(root, '.env'), 'SUPABASE_KEY=secret\n');
+  fs.writeFileSync(path.join(root, 'notes.txt'), 'NAME\nbob\n');
+  fs.writeFileSync(path.join(root, '.private/people.db'), 'NAME\nbob\n');
+  fs.writeFileSync(path.join(directory, 'outside/secret.db'), 'KEY\nsecret\n');
+  fs.symlinkSync(path.join(directory, 'outside/secret.db'), path.join(root, 'escape.db'));
+  fs.symlinkSync(path.join(root, '.env'), path.join(root, 'env.db'));
+  fs.symlinkSync(path.join(root, 'data/people.db'), path.join(root, 'people.db'));
+  fs.writeFileSync(path.join(root, 'Books.db'), 'TITLE\nDune\n');
+  fs.writeFileSync(path.join(root, 'books.db'), 'AUTHOR\nHerbert\n');
+});
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('reports fields, guessed types, malformed rows and header issues', () => {
+  const analysis = analyzeDbFile('NAME\tAGE\tage\nbob\t30\t1\nann\t\nx\t1\t2\t3\n');
+
+  assert.deepEqual(analysis.fields.map(field => [field.name, field.type, field.empty]), [['NAME', 'text', 0], ['AGE', 'integer', 1], ['age', 'integer', 1]]);
+  assert.equal(analysis.row_count, 3);
+  assert.deepEqual(analysis.malformed_rows, [{ line: 3, expected: 3, found: 2 }, { line: 4, expected: 3, found: 4 }]);
+  assert.equal(analysis.issues.length, 1);
+});
+
+test('inspects .db files inside the root, from the root or relative to it', async () => {
+  const database = await inspectDbFile('/data/people.db', { root });
+
+  assert.equal(database.path, path.join('data', 'people.db'));
+  assert.equal(database.row_count, 2);
+  assert.deepEqual((await inspectDbFile('data/people.db', { root })).fields, database.fields);
+});
+
+test('refuses paths outside the root, hidden files and files that are not .db files', async () => {
+  await assert.rejects(inspectDbFile('../outside/secret.db', { root }), /outside/);
+  await assert.rejects(inspectDbFile('.env', { root }), /Hidden files are not read/);
+  await assert.rejects(inspectDbFile('.private/people.db', { root }), /Hidden files are not read/);
+  await assert.rejects(inspectDbFile('notes.txt', { root }), /Not a \.db file/);
+  await assert.rejects(inspectDbFile('data', { root }), /Not a \.db file/);
+});
+
+test('refuses symbolic links that lead out of the root or to a hidden file', async () => {
+  await assert.rejects(inspectDbFile('escape.db', { root }), /outside/);
+  await assert.rejects(inspectDbFile('env.db', { root }), /Hidden files are not read/);
+});
+
+test('refuses to read anything while WEBDNA_DB_ROOT is not set', async (t) => {
+  const configured = process.env.WEBDNA_DB_ROOT;
+  t.after(() => {
+    if (configured === undefined) delete process.env.WEBDNA_DB_ROOT;
+    else process.env.WEBDNA_DB_ROOT = configured;
+  });
+
+  delete process.env.WEBDNA_DB_ROOT;
+  assert.throws(getDatabaseRoot, error => error.code === 'no-database-root');
+  await assert.rejects(inspectDbFile('data/people.db'), /WEBDNA_DB_ROOT is not set/);
+  await assert.rejects(checkFieldReferences('[search db=data/people.db&eqNAMEdata=bob][/search]'), /WEBDNA_DB_ROOT is not set/);
+
+  process.env.WEBDNA_DB_ROOT = root;
+  assert.equal((await inspectDbFile('data/people.db')).row_count, 2);
+});
+
+test('checks the fields a snippet uses against its databases', async () => {
+  const result = await checkFieldReferences('[search db=data/people.db&eqNAMdata=bob][founditems][age][nickname][/founditems][/search]', { root });
+
+  assert.deepEqual(result.databases, [{ path: path.join('data', 'people.db'), fields: ['NAME', 'AGE'], row_count: 2 }]);
+  assert.deepEqual(result.problems.map(problem => [problem.severity, problem.field]), [['error', 'NAM'], ['warning', 'nickname']]);
+  assert.match(result.problems[0].message, /did you mean "NAME"\?/);
+});
+
+test('reads each file once, however it is named, and tells apart names that differ in case', async () => {
+  const result = await checkFieldReferences(
+    '[search db=/data/people.db&eqNAMEdata=x][/search][search db=data/people.db&eqAGEdata=1][/search][search db=people.db&neNAMEdata=][/search]' +
+    '[search db=Books.db&eqTITLEdata=x][/search][search db=books.db&eqAUTHORdata=x][/search]',
+    { root }
+  );
+
+  assert.deepEqual(result.databases.map(database => database.fields), [['NAME', 'AGE'], ['TITLE'], ['AUTHOR']]);
+  assert.deepEqual(result.problems, []);
+});
+
+test('reports databases it cannot read without reading them', async () => {
+  const result = await checkFieldReferences('[search db=missing.db&eqNAMEdata=x][/search][search db=.env&eqKEYdata=x][/search]', { root });
+
+  assert.deepEqual(result.databases.map(database => [database.path, database.error]), [
+    ['missing.db', 'file not found'],
+    ['.env', 'Hidden files are not read: .env']
+  ]);
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluate } = require('../src/webdna');
+
+const people = 'NAME\tAGE\tCITY\nbob\t30\tParis\nann\t41\tLyon\ncid\t25\tParis\n';
+
+test('evaluates text variables, math and conditions', () => {
+  assert.equal(evaluate('[text]x=5[/text][math][x]*2+1[/math]').output, '11');
+  assert.equal(evaluate('[showif [a]=1]yes[/showif][hideif [a]=1]no[/hideif]', { variables: { a: '1' } }).output, 'yes');
+  assert.equal(evaluate('[loop start=1&end=3][index][/loop]').output, '123');
+  assert.equal(evaluate('[date]', { now: '2024-02-03T04:05:06Z' }).output, '02/03/2024');
+});
+
+test('searches the given databases with criteria and sort options', () => {
+  const databases = { 'people.db': people };
+
+  const sorted = evaluate('[search db=people.db&geAGEdata=30&AGEsort=1&AGEsdir=de&AGEtype=num][numfound]:[founditems][NAME],[/founditems][/search]', { databases });
+  assert.equal(sorted.output, '2:ann,bob,');
+
+  const required = evaluate('[search db=people.db&eqCITYdatarq=Paris&geAGEdata=30&NAMEsort=1][founditems][NAME][/founditems][/search]', { databases });
+  assert.equal(required.output, 'bob');
+});
+
+test('stops at the step limit and reports what it could not run', () => {
+  const limited = evaluate('[loop start=1&end=100000][index][/loop]', { maxSteps: 50 });
+  assert.deepEqual(limited.errors.map(error => error.code), ['step-limit']);
+
+  const result = evaluate('[unknownthing][sendmail to=x]hi[/sendmail]');
+  assert.deepEqual(result.unsupported, ['sendmail']);
+  assert.deepEqual(result.unresolved, ['unknownthing']);
+  assert.throws(() => evaluate('[date]', { now: 'yesterday' }), /Invalid date: yesterday/);
+});
+
+test('compares the output with the expected result, ignoring whitespace', () => {
+  assert.equal(evaluate('[text]a=b[/text][a]<br>[a]', { expected: ' b\nb ' }).matches, true);
+  assert.equal(evaluate('[text]a=b[/text]', { expected: 'b' }).matches, false);
+  assert.equal(evaluate('x').matches, undefined);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDictionary, explain } = require('../src/webdna');
+const { instructions } = require('../fixtures/parsed.json');
+
+const dictionary = createDictionary(instructions);
+
+/**
+ * Look up a documentation entry in the fixture snapshot
+ */
+async function lookup(name) {
+  return instructions.find(doc => doc.instruction === name.toLowerCase()) || null;
+}
+
+test('annotates each line with the tags it opens and closes', async () => {
+  const result = await explain('[search db=people.db]\n  [founditems][name][/founditems]\n[/search]', { lookup, dictionary });
+
+  assert.deepEqual(result.lines.map(line => line.line), [1, 2, 3]);
+  assert.deepEqual(result.lines[1].notes.map(note => [note.kind, note.depth]), [['context', 1], ['variable', 2], ['close', 1]]);
+  assert.equal(result.lines[2].notes[0].summary, 'End of the [search] context opened on line 1');
+  assert.deepEqual(result.instructions.map(doc => doc.instruction).sort(), ['founditems', 'search']);
+  assert.match(result.explanation, /^Line 1: `\[search db=people\.db\]`/);
+});
+
+test('describes documented arguments and lists unknown instructions', async () => {
+  const result = await explain('[search db=people.db&max=10][/search][bogus a=1]', { lookup, dictionary });
+  const [db, max] = result.lines[0].notes[0].arguments;
+
+  assert.equal(db.required, true);
+  assert.equal(db.documented, true);
+  assert.equal(max.default, '100');
+  assert.deepEqual(result.unknown, ['bogus']);
+});
+
+test('explains [search] criteria and sort options from their names', async () => {
+  const result = await explain('[search db=people.db&eqNAMEdatarq=bob&geAGEdata=30&AGEsort=1][/search]', { lookup, dictionary });
+  const [, name, age, sort] = result.lines[0].notes[0].arguments;
+
+  assert.equal(name.description, 'Finds the records whose NAME field is equal to the value (rq: required, every required criterion must match)');
+  assert.equal(age.description, 'Finds the records whose AGE field is greater than or equal to the value (optional, a record matching any optional criterion is kept)');
+  assert.equal(sort.description, 'AGE field sort priority (1 sorts first)');
+  assert.ok([name, age, sort].every(argument => argument.documented));
+});
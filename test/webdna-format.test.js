@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCode } = require('../src/webdna');
+
+test('normalizes the whitespace around parameter separators', () => {
+  assert.equal(formatCode('[search   db =x&  max=5][/search]').code, '[search db=x&max=5][/search]');
+});
+
+test('keeps parameter values byte for byte', () => {
+  const code = '[listwords words=a,b&delimiters= ,][index][/listwords]';
+  assert.equal(formatCode(code).code, code);
+});
+
+test('indents context content one level per context', () => {
+  const code = '[search db=x]\n[founditems]\n[name]\n[/founditems]\n[/search]';
+  const expected = '[search db=x]\n  [founditems]\n    [name]\n  [/founditems]\n[/search]';
+
+  const result = formatCode(code);
+  assert.equal(result.code, expected);
+  assert.equal(result.changed, true);
+  assert.equal(formatCode(expected).changed, false);
+});
+
+test('leaves <pre> and <textarea> content unindented', () => {
+  const code = '[showif [x]=1]\n<pre>\nline one\n   line two\n</pre>\n<textarea>\n[name]\n</textarea>\n[/showif]';
+  const { code: formatted } = formatCode(code);
+
+  assert.equal(formatted, '[showif [x]=1]\n  <pre>\nline one\n   line two\n  </pre>\n  <textarea>\n[name]\n  </textarea>\n[/showif]');
+});
+
+test('returns code with an unterminated tag unchanged', () => {
+  const result = formatCode('[search   db=x\n[founditems]');
+
+  assert.equal(result.code, '[search   db=x\n[founditems]');
+  assert.equal(result.changed, false);
+  assert.deepEqual(result.errors.map(error => error.code), ['unterminated-tag']);
+});
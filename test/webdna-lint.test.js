@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDictionary, lint } = require('../src/webdna');
+const { instructions } = require('../fixtures/parsed.json');
+
+const dictionary = createDictionary(instructions);
+
+/**
+ * Diagnostic codes and messages of a snippet
+ */
+function diagnosticsOf(code) {
+  return lint(code, dictionary).diagnostics.map(diagnostic => [diagnostic.code, diagnostic.message]);
+}
+
+test('accepts documented code', () => {
+  const result = lint('[search db=people.db&max=10][founditems type=unique&field=name][name][/founditems][/search]', dictionary);
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.diagnostics, []);
+});
+
+test('accepts [search] criteria and sort options on any field', () => {
+  assert.deepEqual(diagnosticsOf('[search db=people.db&eqNAMEdatarq=bob&geAGEdata=30&AGEsort=1&AGEsdir=de&AGEtype=num][/search]'), []);
+});
+
+test('warns about unknown parameters', () => {
+  assert.deepEqual(diagnosticsOf('[search db=people.db&bogus=1][/search]'), [
+    ['unknown-parameter', '[search] has no parameter "bogus"']
+  ]);
+});
+
+test('reports missing required parameters', () => {
+  const [diagnostic] = lint('[search max=5][/search]', dictionary).diagnostics;
+
+  assert.equal(diagnostic.code, 'missing-parameter');
+  assert.equal(diagnostic.severity, 'error');
+  assert.equal(diagnostic.url, instructions[0].url);
+});
+
+test('suggests the closest instruction for an unknown one', () => {
+  assert.deepEqual(diagnosticsOf('[serch db=x][/serch]'), [
+    ['unknown-instruction', 'Unknown instruction [serch], did you mean [search]?']
+  ]);
+});
+
+test('does not check expressions against the parameters', () => {
+  assert.deepEqual(diagnosticsOf('[showif [x]^abc]yes[/showif]'), []);
+});
+
+test('reports unclosed contexts with their position', () => {
+  const [diagnostic] = lint('[search db=x]\n[founditems]', dictionary).diagnostics
+    .filter(item => item.code === 'unclosed-context');
+
+  assert.equal(diagnostic.line, 1);
+  assert.equal(diagnostic.column, 1);
+  assert.equal(diagnostic.instruction, 'search');
+});
+
+test('reports tags nested too deeply as a single error', () => {
+  const result = lint('[showif 1=1]'.repeat(300) + '[/showif]'.repeat(300), dictionary);
+  const nesting = result.diagnostics.filter(diagnostic => diagnostic.code === 'nesting-too-deep');
+
+  assert.equal(nesting.length, 1);
+  assert.equal(nesting[0].severity, 'error');
+  assert.equal(result.valid, false);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, walk } = require('../src/webdna');
+
+/**
+ * Error codes of a parse, in source order
+ */
+function errorCodes(code, options) {
+  return parse(code, options).errors.map(error => error.code);
+}
+
+test('builds contexts, instructions, variables and text', () => {
+  const { ast, errors } = parse('Hi [search db=people.db][founditems][name][/founditems][/search]');
+  const [text, search] = ast.children;
+
+  assert.deepEqual(errors, []);
+  assert.equal(text.type, 'text');
+  assert.equal(text.value, 'Hi ');
+  assert.equal(search.type, 'context');
+  assert.equal(search.name, 'search');
+  assert.equal(search.children[0].type, 'context');
+  assert.equal(search.children[0].children[0].type, 'variable');
+  assert.deepEqual(search.close.start, { offset: 55, line: 1, column: 56 });
+});
+
+test('tells instructions without parameters from variables when it knows them', () => {
+  const [date, name] = parse('[date][name]', { instructions: ['date'] }).ast.children;
+
+  assert.equal(date.type, 'instruction');
+  assert.equal(name.type, 'variable');
+});
+
+test('splits parameters at the top-level "&" only', () => {
+  const [node] = parse('[search db=[dir]/people.db&eqNAMEdatarq=[url]a&b[/url]&max=5]').ast.children;
+
+  assert.deepEqual(node.parameters.map(parameter => parameter.name), ['db', 'eqNAMEdatarq', 'max']);
+  assert.equal(node.parameters[0].value[0].type, 'variable');
+  assert.equal(node.parameters[1].value[0].type, 'context');
+  assert.equal(node.parameters[1].value[0].children[0].value, 'a&b');
+});
+
+test('keeps parameter values as written', () => {
+  const [node] = parse('[listwords words=a,b&delimiters= ,]').ast.children;
+
+  assert.equal(node.parameters[1].value[0].raw, ' ,');
+});
+
+test('reads expressions as unnamed parameters', () => {
+  const [node] = parse('[showif [x]=5]yes[/showif]').ast.children;
+
+  assert.equal(node.parameters.length, 1);
+  assert.equal(node.parameters[0].name, null);
+});
+
+test('reports unbalanced tags', () => {
+  assert.deepEqual(errorCodes('[search db=x'), ['unterminated-tag']);
+  assert.deepEqual(errorCodes('text[/founditems]'), ['unexpected-close']);
+  assert.deepEqual(errorCodes('[founditems][x]', { contexts: ['founditems'] }), ['unclosed-context']);
+});
+
+test('keeps deeply nested tags as text instead of overflowing the stack', () => {
+  for (const code of ['[a '.repeat(5000) + ']'.repeat(5000), '[if x]'.repeat(5000) + '[/if]'.repeat(5000)]) {
+    const { ast, errors } = parse(code);
+    let depth = 0;
+    walk(ast, (node, parent, nodeDepth) => { depth = Math.max(depth, nodeDepth); });
+
+    assert.deepEqual(errors.map(error => error.code), ['nesting-too-deep']);
+    assert.ok(depth <= 256);
+  }
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDictionary, analyzeSearchQuery } = require('../src/webdna');
+const { instructions } = require('../fixtures/parsed.json');
+
+const dictionary = createDictionary(instructions);
+
+/**
+ * Analyze a query, with the boosts as a plain object
+ */
+function analyze(query) {
+  const { text, fragments, boosts } = analyzeSearchQuery(query, dictionary);
+  return { text, fragments, boosts: Object.fromEntries(boosts) };
+}
+
+test('maps tags and closing tags to their instruction and keeps the rest as text', () => {
+  const result = analyze('[search db=people.db&eqNAMEdatarq=x] [/founditems] sorting');
+
+  assert.equal(result.text, 'sorting');
+  assert.deepEqual(result.fragments.map(fragment => [fragment.kind, fragment.name, fragment.instructions]), [
+    ['tag', 'search', ['search']],
+    ['closing-tag', 'founditems', ['founditems']]
+  ]);
+  assert.deepEqual(result.boosts, { search: 1, founditems: 1 });
+});
+
+test('maps [search] criteria and sort options to [search]', () => {
+  const result = analyze('eqNAMEdatarq &AGEsort=1&NAMEsdir=de');
+
+  assert.equal(result.text, '');
+  assert.deepEqual(result.fragments.map(fragment => [fragment.name, fragment.instructions]), [
+    ['eqNAMEdatarq', ['search']],
+    ['AGEsort', ['search']],
+    ['NAMEsdir', ['search']]
+  ]);
+});
+
+test('only reads a plain parameter name as a parameter when typed with "=" or "&"', () => {
+  assert.deepEqual(analyze('numfound max'), { text: 'numfound max', fragments: [], boosts: {} });
+  assert.deepEqual(analyze('numfound max=3').boosts, { search: 1 });
+  // A sort suffix alone is too common a word ending to be read as a sort option
+  assert.equal(analyze('NAMEsort').text, 'NAMEsort');
+});
+
+test('searches unknown tag names as text and shares a parameter between the instructions documenting it', () => {
+  const result = analyze('[serch db=x&geAGEdata=1');
+
+  assert.equal(result.text, 'serch');
+  assert.deepEqual(result.fragments.map(fragment => [fragment.name, fragment.instructions]), [
+    ['db', ['search', 'append']],
+    ['geAGEdata', ['search']]
+  ]);
+  assert.deepEqual(result.boosts, { search: 1, append: 0.5 });
+});
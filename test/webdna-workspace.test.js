@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveWorkspacePath, scanWorkspace, formatWorkspaceReport } = require('../src/webdna');
+const { instructions } = require('../fixtures/parsed.json');
+
+// The instruction reference as getInstructionReference() returns it
+const entries = instructions.map(doc => ({ ...doc, categories: { name: doc.category } }));
+
+// <tmp>/site is the workspace, <tmp>/outside holds files it must not reach
+let directory;
+let root;
+
+before(() => {
+  directory = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'webdna-workspace-test-')));
+  root = path.join(directory, 'site');
+
+  const files = {
+    'site/index.tpl': [
+      '[search db=data/people.db&eqNAMEdata=x][founditems][NAME][/founditems][/search]',
+      '[serch db=x.db]',
+      '[function name=greet]hi[/function][greet]',
+      '[search db=/missing.db][/search]',
+      '[search db=../outside/secret.db][/search]'
+    ].join('\n'),
+    'site/data/page.inc': '[search db=link.db][/search][search db=.hidden.db][/search]',
+    'site/data/people.db': 'NAME\nbob\n',
+    'site/data/.hidden.db': 'NAME\nbob\n',
+    'site/.git/page.tpl': '[search db=people.db][/search]',
+    'site/notes.txt': '[search db=people.db][/search]',
+    'outside/secret.db': 'KEY\nsecret\n',
+    'outside/page.tpl': '[search db=secret.db][/search]'
+  };
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), content);
+  });
+
+  fs.symlinkSync(path.join(directory, 'outside'), path.join(root, 'linked'));
+  fs.symlinkSync(path.join(directory, 'outside/secret.db'), path.join(root, 'data/link.db'));
+});
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('reports instruction usage, unknown instructions and databases', async () => {
+  const report = await scanWorkspace(root, { entries });
+
+  assert.equal(report.files_scanned, 2);
+  assert.deepEqual(report.instructions.map(entry => [entry.instruction, entry.category, entry.count]), [['search', 'Database', 5], ['founditems', 'Database', 1]]);
+  // [greet] is defined in the workspace; [function] itself is not in the fixture documentation
+  assert.deepEqual(report.unknown.map(entry => [entry.name, entry.suggestion, entry.files[0].lines]), [['function', null, [3]], ['serch', 'search', [2]]]);
+  assert.match(formatWorkspaceReport(report), /- `\[serch\]` in index\.tpl \(line 2\), did you mean `\[search\]`\?/);
+});
+
+test('only counts databases that are .db files inside the workspace', async () => {
+  const report = await scanWorkspace(root, { entries });
+
+  assert.deepEqual(report.databases.map(entry => [entry.database, entry.exists]), [
+    ['../outside/secret.db', false],
+    ['data/.hidden.db', false],
+    ['data/link.db', false],
+    ['data/people.db', true],
+    ['missing.db', false],
+    ['x.db', false]
+  ]);
+});
+
+test('resolves directories inside the root to their real path', async () => {
+  assert.equal(await resolveWorkspacePath('.', root), root);
+  assert.equal(await resolveWorkspacePath('/data', root), path.join(root, 'data'));
+  await assert.rejects(resolveWorkspacePath('nowhere', root), error => error.code === 'ENOENT');
+});
+
+test('refuses directories outside the root, including through a symbolic link', async () => {
+  await assert.rejects(resolveWorkspacePath('..', root), /Directory is outside/);
+  await assert.rejects(resolveWorkspacePath('../outside', root), /Directory is outside/);
+  await assert.rejects(resolveWorkspacePath('linked', root), /Directory is outside/);
+});
+
+test('refuses to scan while WEBDNA_WORKSPACE_ROOT is not set', async (t) => {
+  const configured = process.env.WEBDNA_WORKSPACE_ROOT;
+  t.after(() => {
+    if (configured === undefined) delete process.env.WEBDNA_WORKSPACE_ROOT;
+    else process.env.WEBDNA_WORKSPACE_ROOT = configured;
+  });
+
+  delete process.env.WEBDNA_WORKSPACE_ROOT;
+  await assert.rejects(resolveWorkspacePath('.'), error => error.code === 'no-workspace-root');
+
+  process.env.WEBDNA_WORKSPACE_ROOT = root;
+  assert.equal(await resolveWorkspacePath('data'), path.join(root, 'data'));
+});
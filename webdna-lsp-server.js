@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * WebDNA Language Server using stdin/stdout for communication
+ * Speaks the Language Server Protocol (JSON-RPC 2.0 framed with
+ * Content-Length headers) so editors such as VS Code, Neovim and JetBrains
+ * IDEs get hover docs, completion, signature help and documentation links
+ * for WebDNA templates (.tpl, .html).
+ */
+
+// stdout is reserved for protocol messages, so route console.log to stderr
+console.log = console.error;
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+
+const { createLspSession, createMessageReader, encodeMessage } = require('./src/lsp');
+const { ErrorCodes, createErrorResponse, createNotification } = require('./src/jsonrpc');
+
+// Import database module
+const { initializeDatabase } = require('./src/database');
+
+// Configure logging
+const LOG_DIR = path.join(__dirname, 'logs');
+if (!fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+const LOG_FILE = path.join(LOG_DIR, `webdna-lsp-server-${new Date().toISOString().split('T')[0]}.log`);
+const logStream = fs.createWriteStream(LOG_FILE, { flags: 'a' });
+
+// Log to stderr, which editors show in their language server output panel
+const log = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  let logString = `[${timestamp}] ${message}`;
+
+  if (data) {
+    if (typeof data === 'object') {
+      logString += ` ${JSON.stringify(data)}`;
+    } else {
+      logString += ` ${data}`;
+    }
+  }
+
+  console.error(logString);
+  logStream.write(logString + '\n');
+};
+
+// Stop once the editor asked to, after the log is flushed
+const exit = (code) => {
+  logStream.end(() => process.exit(code));
+};
+
+// Send a message to stdout
+function sendMessage(message) {
+  process.stdout.write(encodeMessage(message));
+}
+
+// window/logMessage type of errors
+const MESSAGE_TYPE_ERROR = 1;
+
+// Language server session for the editor on the other end of stdin/stdout
+const session = createLspSession({ log, onExit: exit });
+
+// Database setup runs once; requests wait for it
+const ready = initializeDatabase().catch(error => {
+  log(`Error during initialization: ${error.message}`);
+});
+
+// Handle incoming messages
+const read = createMessageReader(
+  (message) => {
+    // Callbacks on one promise run in order, so edits stay ahead of the requests that follow them
+    ready
+      .then(() => session.handleMessage(message))
+      .then(result => {
+        if (result) {
+          sendMessage(result);
+        }
+      })
+      .catch(error => {
+        log(`Error processing message: ${error.message}`);
+
+        // Notifications get no response; the editor is told through its log instead
+        if (message?.id === undefined || message?.id === null) {
+          sendMessage(createNotification('window/logMessage', {
+            type: MESSAGE_TYPE_ERROR,
+            message: `Error processing ${message?.method || 'notification'}: ${error.message}`
+          }));
+          return;
+        }
+
+        sendMessage(createErrorResponse(message.id, ErrorCodes.INTERNAL_ERROR, error.message));
+      });
+  },
+  (error) => {
+    log(`Error reading message: ${error.message}`);
+    sendMessage(createErrorResponse(null, ErrorCodes.PARSE_ERROR, `Parse error: ${error.message}`));
+  }
+);
+
+process.stdin.on('data', read);
+
+// The editor closed stdin, there is nobody left to talk to
+process.stdin.on('end', () => {
+  log('stdin closed, shutting down');
+  exit(0);
+});
+
+// Handle process termination
+process.on('SIGINT', () => {
+  log('Received SIGINT, shutting down');
+  exit(0);
+});
+
+process.on('SIGTERM', () => {
+  log('Received SIGTERM, shutting down');
+  exit(0);
+});
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  log(`Uncaught exception: ${error.message}`, error.stack);
+  // Keep running despite the error
+});
+
+log('WebDNA Language Server (stdin/stdout) starting...');